@@ -1,231 +1,710 @@
-import fetch from 'node-fetch';
-import { GoogleGenAI } from '@google/genai';
+import { parseArgs } from 'node:util';
+import { writeFile } from 'node:fs/promises';
+import { calculateWeeklyProfit, getPolymarketStats, toTraderResult } from './lib/analysis.js';
+import { discoverTraders, parseDiscoveryOptions, selectMarkets } from './lib/discovery.js';
+import { parseRankOptions, rankFlaggedTraders, rankTraders, FLAGGED_MODES, RANK_KEYS } from './lib/ranking.js';
+import { createExplainer, createExplanationCache, createUsageTracker, explainStrategy, parseTokenBudget } from './lib/explainers/index.js';
+import { config } from './lib/config.js';
+import { parseWindow } from './lib/window.js';
+import { analyzeTrader, parseWallet } from './lib/trader.js';
+import { parseBacktestOptions, runBacktest, SIZING_MODES } from './lib/backtest.js';
+import { formatFromPath, parseExportOptions, renderExport } from './lib/export.js';
+import { polymarket } from './lib/polymarket.js';
+import { mapPool, parseConcurrency } from './lib/pool.js';
+import { createPhaseTimer } from './lib/timings.js';
+import { buildConsensus } from './lib/consensus.js';
 
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY || '' });
+// Exit codes: 0 success, 1 upstream/runtime failure, 2 bad usage.
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
 
-async function getRecentActiveTraders() {
+class CliError extends Error {
+    constructor(message, exitCode = EXIT_FAILURE) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+// [name, parseArgs spec, value hint, description]
+const WINDOW_OPTIONS = [
+    ['window', { type: 'string', short: 'w' }, '<spec>', `Lookback window: 24h, 7d, 2w, 30d, ... (default ${config.defaultWindow})`],
+    ['from', { type: 'string' }, '<time>', 'Window start (date, ISO time or unix seconds)'],
+    ['to', { type: 'string' }, '<time>', 'Window end (default now)']
+];
+
+const DISCOVERY_OPTIONS = [
+    ['markets', { type: 'string', short: 'm' }, '<n>', `Number of top markets to scan (default ${config.discovery.topMarkets})`],
+    ['holders', { type: 'string' }, '<n>', `Holders fetched per market (default ${config.discovery.holdersPerMarket})`],
+    ['max-traders', { type: 'string' }, '<n>', `Candidate wallets to analyse (default ${config.discovery.maxTraders})`],
+    ['category', { type: 'string' }, '<name>', 'Only markets in this category'],
+    ['tag', { type: 'string' }, '<tag>', 'Only markets with this tag (label, slug or numeric id)'],
+    ['min-volume', { type: 'string' }, '<usd>', `Minimum market volume (default ${config.discovery.minVolume})`],
+    ['min-liquidity', { type: 'string' }, '<usd>', `Minimum market liquidity (default ${config.discovery.minLiquidity})`],
+    ['max-markets', { type: 'string' }, '<n>', `Markets fetched before filtering (default ${config.discovery.maxMarkets})`],
+    ['sources', { type: 'string' }, '<list>', 'Discovery sources: holders,trades']
+];
+
+const RANK_OPTIONS = [
+    ['top', { type: 'string', short: 'n' }, '<n>', `Number of traders to report (default ${config.ranking.limit})`],
+    ['rank-by', { type: 'string' }, '<key>', `Ranking key: ${Object.keys(RANK_KEYS).join(', ')}`],
+    ['min-trades', { type: 'string' }, '<n>', `Minimum trades in the window (default ${config.ranking.minTrades})`],
+    ['min-capital', { type: 'string' }, '<usd>', `Minimum capital deployed (default ${config.ranking.minCapital})`],
+    ['flagged', { type: 'string' }, '<mode>', `Market makers, bots and wash-like wallets: ${FLAGGED_MODES.join(', ')} (default ${config.ranking.flagged})`],
+    ['no-consensus', { type: 'boolean' }, '', 'Skip the report of positions and traits the top traders share']
+];
+
+const AI_OPTIONS = [
+    ['no-ai', { type: 'boolean' }, '', 'Skip AI calls; use the offline rule-based explainer'],
+    ['explainer', { type: 'string' }, '<name>', `Strategy explainer: gemini or heuristic (default ${config.explainer.provider})`],
+    ['token-budget', { type: 'string' }, '<n>', 'Stop AI calls after this many tokens']
+];
+
+const PERFORMANCE_OPTIONS = [
+    ['concurrency', { type: 'string' }, '<n>', `Markets and wallets fetched in parallel (default ${config.concurrency})`]
+];
+
+const EXPORT_OPTIONS = [
+    ['format', { type: 'string' }, '<fmt>', 'Write a report: json, csv or md'],
+    ['out', { type: 'string' }, '<file>', 'Write the report to a file (format from the extension)'],
+    ['rows', { type: 'string' }, '<rows>', 'CSV rows: traders (default) or trades']
+];
+
+const BACKTEST_OPTIONS = [
+    ['bankroll', { type: 'string' }, '<usd>', `Starting bankroll (default ${config.backtest.bankroll})`],
+    ['sizing', { type: 'string' }, '<mode>', `Position sizing: ${Object.keys(SIZING_MODES).join(', ')} (default ${config.backtest.sizing})`],
+    ['amount', { type: 'string' }, '<n>', 'Dollars, percent of equity or leader multiple, by sizing mode'],
+    ['delay', { type: 'string' }, '<time>', 'Follow delay: seconds or 30s, 5m, 1h (default 0)'],
+    ['slippage-bps', { type: 'string' }, '<bps>', `Slippage per fill (default ${config.backtest.slippageBps})`],
+    ['fee-bps', { type: 'string' }, '<bps>', `Fees on notional (default ${config.backtest.feeBps})`]
+];
+
+const OUTPUT_OPTIONS = [
+    ['json', { type: 'boolean' }, '', 'Print machine-readable JSON instead of text'],
+    ['quiet', { type: 'boolean', short: 'q' }, '', 'Only print results and errors'],
+    ['verbose', { type: 'boolean', short: 'v' }, '', 'Also print per-request and per-wallet details'],
+    ['help', { type: 'boolean', short: 'h' }, '', 'Show help']
+];
+
+const COMMANDS = {
+    top: {
+        usage: 'top [options]',
+        summary: 'Discover active traders and report the top N with strategies (default command)',
+        groups: [['Window', WINDOW_OPTIONS], ['Discovery', DISCOVERY_OPTIONS], ['Ranking', RANK_OPTIONS],
+            ['Strategy', AI_OPTIONS], ['Performance', PERFORMANCE_OPTIONS], ['Report', EXPORT_OPTIONS], ['Output', OUTPUT_OPTIONS]],
+        run: runTop
+    },
+    trader: {
+        usage: 'trader <wallet> [options]',
+        summary: 'Deep-dive one wallet: PnL by market, position timeline and strategy',
+        groups: [['Window', WINDOW_OPTIONS], ['Strategy', AI_OPTIONS], ['Output', OUTPUT_OPTIONS]],
+        run: runTrader
+    },
+    markets: {
+        usage: 'markets [options]',
+        summary: 'List the markets discovery would scan',
+        groups: [['Discovery', DISCOVERY_OPTIONS], ['Output', OUTPUT_OPTIONS]],
+        run: runMarkets
+    },
+    stats: {
+        usage: 'stats [options]',
+        summary: 'Show Polymarket-wide volume, liquidity and market counts',
+        groups: [['Output', OUTPUT_OPTIONS]],
+        run: runStats
+    },
+    backtest: {
+        usage: 'backtest <wallet>... [options]',
+        summary: 'Simulate copy-trading one or more wallets',
+        groups: [['Window', WINDOW_OPTIONS], ['Backtest', BACKTEST_OPTIONS], ['Output', OUTPUT_OPTIONS]],
+        run: runBacktestCommand
+    }
+};
+
+function formatOptions(options) {
+    return options.map(([name, spec, hint, description]) => {
+        const flag = `${spec.short ? `-${spec.short}, ` : '    '}--${name}${hint ? ` ${hint}` : ''}`;
+        return `  ${flag.padEnd(28)} ${description}`;
+    }).join('\n');
+}
+
+function helpText(command) {
+    if (command) {
+        const { usage, summary, groups } = COMMANDS[command];
+        return [
+            `Usage: node index.js ${usage}`,
+            '',
+            summary,
+            ...groups.map(([title, options]) => `\n${title}:\n${formatOptions(options)}`)
+        ].join('\n');
+    }
+    return [
+        'Usage: node index.js <command> [options]',
+        '',
+        'Commands:',
+        ...Object.entries(COMMANDS).map(([name, { summary }]) => `  ${name.padEnd(10)} ${summary}`),
+        '',
+        'Run `node index.js <command> --help` for the options of a command.',
+        'Exit codes: 0 success, 1 upstream API or runtime failure, 2 invalid usage.'
+    ].join('\n');
+}
+
+function createLogger({ quiet = false, verbose = false } = {}) {
+    const write = text => process.stderr.write(text);
+    return {
+        info: (...args) => { if (!quiet) console.error(...args); },
+        warn: (...args) => { if (!quiet) console.error(...args); },
+        debug: (...args) => { if (verbose) console.error(...args); },
+        progress: text => { if (!quiet && process.stderr.isTTY) write(text); }
+    };
+}
+
+function optionSpecs(groups) {
+    return Object.fromEntries(groups.flatMap(([, options]) => options).map(([name, spec]) => [name, spec]));
+}
+
+// Runs a parser from lib/ and turns its validation errors into usage errors.
+function usage(parse) {
     try {
-        const marketsUrl = 'https://gamma-api.polymarket.com/markets?limit=20&active=true&closed=false';
-        const marketsResponse = await fetch(marketsUrl, {
-            headers: { 'Accept': 'application/json' }
-        });
-        
-        if (!marketsResponse.ok) {
-            throw new Error(`Markets HTTP error! status: ${marketsResponse.status}`);
-        }
-        
-        const markets = await marketsResponse.json();
-        const sortedMarkets = markets
-            .filter(m => m.volumeNum && m.volumeNum > 100000)
-            .sort((a, b) => (b.volumeNum || 0) - (a.volumeNum || 0))
-            .slice(0, 5);
-        
-        console.log(`Scanning ${sortedMarkets.length} high-volume markets for active traders...`);
-        
-        const allTraders = new Map();
-        
-        for (const market of sortedMarkets) {
-            const holdersUrl = `https://data-api.polymarket.com/holders?market=${market.conditionId}&limit=20`;
-            const holdersResponse = await fetch(holdersUrl, {
-                headers: { 'Accept': 'application/json' }
-            });
-            
-            if (holdersResponse.ok) {
-                const holdersData = await holdersResponse.json();
-                if (Array.isArray(holdersData)) {
-                    for (const tokenData of holdersData) {
-                        if (tokenData.holders && Array.isArray(tokenData.holders)) {
-                            for (const holder of tokenData.holders) {
-                                const wallet = holder.proxyWallet;
-                                if (wallet && !allTraders.has(wallet)) {
-                                    allTraders.set(wallet, {
-                                        walletAddress: wallet,
-                                        name: holder.name || holder.pseudonym || 'Anonymous'
-                                    });
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        }
-        
-        return Array.from(allTraders.values()).slice(0, 50);
+        return parse();
     } catch (error) {
-        console.error('Error fetching active traders:', error.message);
-        return [];
+        throw new CliError(error.message, EXIT_USAGE);
     }
 }
 
-async function calculateWeeklyProfit(walletAddress) {
-    const sevenDaysAgo = Math.floor((Date.now() - (7 * 24 * 60 * 60 * 1000)) / 1000);
-    const url = `https://data-api.polymarket.com/trades?user=${walletAddress}&limit=500`;
-    
-    try {
-        const response = await fetch(url, {
-            headers: { 'Accept': 'application/json' }
-        });
-        
-        if (!response.ok) {
-            return { profit: 0, trades: [], tradeCount: 0 };
-        }
-        
-        const data = await response.json();
-        const trades = Array.isArray(data) ? data : (data.trades || data.data || []);
-        
-        const recentTrades = trades.filter(trade => {
-            const tradeTime = trade.timestamp || 0;
-            return tradeTime >= sevenDaysAgo;
-        });
-        
-        let totalProfit = 0;
-        const cleanTrades = [];
-        
-        for (const trade of recentTrades) {
-            const price = parseFloat(trade.price) || 0;
-            const size = parseFloat(trade.size) || 0;
-            const side = trade.side || '';
-            const tradeValue = price * size;
-            
-            if (side === 'SELL') {
-                totalProfit += tradeValue;
-            } else if (side === 'BUY') {
-                totalProfit -= tradeValue;
-            }
-            
-            cleanTrades.push({
-                market: trade.title || trade.slug || 'Unknown Market',
-                action: side,
-                price: price,
-                size: size,
-                value: tradeValue,
-                timestamp: trade.timestamp
-            });
-        }
-        
+function windowFrom(values) {
+    return usage(() => parseWindow({ window: values.window || config.defaultWindow, from: values.from, to: values.to }));
+}
+
+function discoveryFrom(values) {
+    return usage(() => parseDiscoveryOptions({
+        category: values.category,
+        tag: values.tag,
+        minVolume: values['min-volume'],
+        minLiquidity: values['min-liquidity'],
+        maxMarkets: values['max-markets'],
+        topMarkets: values.markets,
+        holdersPerMarket: values.holders,
+        maxTraders: values['max-traders'],
+        sources: values.sources
+    }));
+}
+
+function strategyFrom(values) {
+    return usage(() => {
+        const explainer = createExplainer({ provider: values['no-ai'] ? 'heuristic' : values.explainer || config.explainer.provider });
         return {
-            profit: totalProfit,
-            trades: cleanTrades,
-            tradeCount: recentTrades.length
+            explainer,
+            fallback: values['no-ai'] ? null : undefined,
+            cache: config.explainer.cache ? createExplanationCache() : null,
+            usage: createUsageTracker({ tokenBudget: parseTokenBudget(values['token-budget']) })
         };
-    } catch (error) {
-        return { profit: 0, trades: [], tradeCount: 0 };
+    });
+}
+
+function printJson(value) {
+    process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+function formatRatio(value, digits = 2) {
+    return value === null ? 'n/a' : value.toFixed(digits);
+}
+
+function formatPercent(value) {
+    return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatMetrics(metrics) {
+    return [
+        `ROI: ${formatPercent(metrics.roi)}`,
+        `Win Rate: ${formatPercent(metrics.winRate)} (${metrics.closedPositions} closed)`,
+        `Avg Hold: ${metrics.avgHoldingHours === null ? 'n/a' : metrics.avgHoldingHours.toFixed(1) + 'h'}`,
+        `Max Drawdown: $${metrics.maxDrawdown.toFixed(2)}`,
+        `Sharpe: ${formatRatio(metrics.sharpe)}`,
+        `Top Market Share: ${formatPercent(metrics.topMarketShare)}`,
+        `Buys Before End: ${metrics.avgHoursToResolution === null ? 'n/a' : (metrics.avgHoursToResolution / 24).toFixed(1) + 'd'}`
+    ].join(' | ');
+}
+
+function formatCategories(categoryBreakdown) {
+    return (categoryBreakdown || [])
+        .map(category => `${category.category} ${formatPercent(category.volumeShare)} ($${category.totalPnl.toFixed(2)})`)
+        .join(' | ');
+}
+
+function formatTime(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 16) : 'unknown';
+}
+
+function formatUsd(value) {
+    return `$${Math.round(value || 0).toLocaleString('en-US')}`;
+}
+
+function printStrategy(summary, profile) {
+    console.log('STRATEGY ANALYSIS:');
+    if (profile) {
+        console.log(`Archetype: ${profile.archetype} | Risk: ${profile.riskRating} | Confidence: ${(profile.confidence * 100).toFixed(0)}%`);
+        console.log(`Categories: ${profile.categories.join(', ') || 'n/a'} | Entry Band: ${profile.entryPriceBand.min.toFixed(2)}-${profile.entryPriceBand.max.toFixed(2)} | Holding: ${profile.holdingPeriod}`);
+        console.log();
     }
+    console.log(summary);
+    console.log();
+}
+
+function printUsage(explainer, usage) {
+    if (!explainer.usesTokens) return;
+    const aiUsage = usage.summary();
+    console.log(`AI usage: ${aiUsage.calls} calls, ${aiUsage.cacheHits} cached, ${aiUsage.totalTokens} tokens (~$${aiUsage.estimatedCostUsd.toFixed(4)})` +
+        (aiUsage.skippedForBudget > 0 ? `, ${aiUsage.skippedForBudget} skipped after reaching the ${aiUsage.tokenBudget}-token budget` : ''));
+}
+
+function formatTimings(timings) {
+    const phases = Object.entries(timings.phases).map(([phase, ms]) => `${phase} ${(ms / 1000).toFixed(1)}s`).join(', ');
+    return `Timings: ${phases} (total ${(timings.totalMs / 1000).toFixed(1)}s, ` +
+        `${timings.httpCache.hits} cached / ${timings.httpCache.misses} fetched responses, concurrency ${timings.concurrency})`;
+}
+
+function printFlagged(flaggedResults) {
+    if (flaggedResults.length === 0) return;
+    console.log('-'.repeat(60));
+    console.log('FLAGGED WALLETS (ranked separately):');
+    for (const trader of flaggedResults) {
+        console.log(`#${trader.rank} ${trader.name} ${trader.walletAddress}  $${trader.weeklyProfit.toFixed(2)}  ${trader.tradeCount} trades  [${trader.classification.labels.join(', ')}]`);
+    }
+    console.log();
 }
 
-async function getTopFiveWeeklyProfitTraders() {
-    console.log('Fetching active traders from high-volume markets...');
-    const activeTraders = await getRecentActiveTraders();
-    
+function formatSupportingTrade(trade) {
+    const time = trade.timestamp ? new Date(trade.timestamp * 1000).toISOString().slice(0, 16).replace('T', ' ') : 'unknown time';
+    return `    #${trade.rank} ${trade.name}  ${time}  ${trade.action} ${trade.outcome} @ ${trade.price.toFixed(3)}  $${trade.value.toFixed(2)}`;
+}
+
+function printConsensus(consensus) {
+    if (!consensus) return;
+    const { shared, disagreements, patterns } = consensus;
+    console.log('-'.repeat(60));
+    console.log('CONSENSUS:');
+    if (shared.length + disagreements.length + patterns.length === 0) {
+        console.log(`No positions or strategy traits shared by ${consensus.minTraders} or more traders.`);
+        console.log();
+        return;
+    }
+    for (const entry of shared) {
+        const traders = entry.traders.map(trader => `#${trader.rank}`).join(', ');
+        console.log(`${entry.traders.length} traders ${entry.direction} ${entry.outcome} in ${entry.market} (${traders}; $${entry.totalValue.toFixed(2)} traded)`);
+        entry.supportingTrades.forEach(trade => console.log(formatSupportingTrade(trade)));
+    }
+    for (const entry of disagreements) {
+        const stances = entry.stances.map(stance => `#${stance.rank} ${stance.direction} ${stance.outcome}`).join(' vs ');
+        console.log(`Disagreement in ${entry.market}: ${stances}`);
+        entry.supportingTrades.forEach(trade => console.log(formatSupportingTrade(trade)));
+    }
+    for (const pattern of patterns) {
+        console.log(`Shared ${pattern.type}: ${pattern.value} (${pattern.traders.map(trader => `#${trader.rank}`).join(', ')})`);
+    }
+    console.log();
+}
+
+async function getTopTraders(window, discovery, ranking, { concurrency, timer }, log) {
+    log.info('Fetching active traders from high-volume markets...');
+
+    let discovered;
+    try {
+        discovered = await timer.time('discovery', () => discoverTraders(discovery, { log: log.debug, concurrency }));
+    } catch (error) {
+        throw new CliError(`Error fetching active traders: ${error.message}`);
+    }
+    const { traders: activeTraders, counts } = discovered;
+    const bySource = Object.entries(counts.bySource).map(([source, count]) => `${source}: ${count}`).join(', ');
+    log.info(`Discovered ${counts.uniqueWallets} unique wallets (${bySource}; ${counts.inMultipleSources} in both) across ${counts.marketsSelected} markets.`);
+
     if (activeTraders.length === 0) {
-        console.log('No active traders found.');
-        return [];
+        if (counts.failedRequests > 0) {
+            throw new CliError(`No traders found: ${counts.failedRequests} upstream requests failed`);
+        }
+        return { topTraders: [], flaggedTraders: [] };
     }
-    
-    console.log(`Found ${activeTraders.length} active traders. Calculating weekly profits...`);
-    console.log('(This may take a moment as we analyze each trader\'s history)\n');
-    
+
+    log.info(`Calculating profits for the ${window.label}...`);
+
+    let analyzed = 0;
+    let withActivity = 0;
+    const profits = await timer.time('profits', () => mapPool(activeTraders, async trader => {
+        const result = await calculateWeeklyProfit(trader.walletAddress, { window });
+        if (result.tradeCount > 0) withActivity++;
+        log.progress(`\rAnalyzed ${++analyzed}/${activeTraders.length} traders... Found ${withActivity} with activity`);
+        return result;
+    }, { concurrency }));
+    log.progress('\n');
+
     const tradersWithProfits = [];
-    
-    for (let i = 0; i < activeTraders.length; i++) {
-        const trader = activeTraders[i];
-        const { profit, trades, tradeCount } = await calculateWeeklyProfit(trader.walletAddress);
-        
-        if (tradeCount > 0) {
+    let failures = 0;
+
+    activeTraders.forEach((trader, i) => {
+        const { profit, pnl, metrics, classification, trades, tradeCount, topTrades, categoryBreakdown, history, error } = profits[i];
+
+        if (error) {
+            failures++;
+            log.debug(`Failed to fetch trades for ${trader.walletAddress}: ${error}`);
+        } else if (tradeCount > 0) {
             tradersWithProfits.push({
                 ...trader,
                 weeklyProfit: profit,
+                pnl: pnl,
+                metrics: metrics,
+                classification: classification,
                 trades: trades,
-                tradeCount: tradeCount
+                tradeCount: tradeCount,
+                topTrades: topTrades,
+                categoryBreakdown: categoryBreakdown,
+                history: history
             });
-            process.stdout.write(`\rAnalyzed ${i + 1}/${activeTraders.length} traders... Found ${tradersWithProfits.length} with activity`);
         }
+    });
+
+    if (failures === activeTraders.length) {
+        throw new CliError(`Failed to fetch trade history for all ${failures} wallets`);
+    }
+    if (failures > 0) {
+        log.warn(`Skipped ${failures} wallets whose trade history could not be fetched.`);
     }
-    
-    console.log('\n');
-    
-    const topTraders = tradersWithProfits
-        .sort((a, b) => b.weeklyProfit - a.weeklyProfit)
-        .slice(0, 5)
-        .map((trader, index) => ({
-            ...trader,
-            rank: index + 1
-        }));
-    
-    return topTraders;
-}
-
-async function explainStrategy(rawTradeData, weeklyProfit) {
-    if (!rawTradeData || rawTradeData.length === 0) {
-        return 'No trade data available to analyze.';
-    }
-    
-    const tradesSummary = JSON.stringify(rawTradeData.slice(0, 50), null, 2);
-    const profitStatus = weeklyProfit >= 0 ? `profit of $${weeklyProfit.toFixed(2)}` : `loss of $${Math.abs(weeklyProfit).toFixed(2)}`;
-    
-    const prompt = `You are an expert prediction market analyst. Analyze the following raw trade data from a top-performing Polymarket trader who made a weekly ${profitStatus}.
-
-Trade Data (last 7 days):
-${tradesSummary}
-
-Based on this trade history, provide a one-paragraph strategy explanation suitable for a novice trader. Focus on:
-- What types of markets they trade
-- Their entry/exit patterns (buy low, sell high?)
-- Risk management approach
-- Any notable patterns in timing or pricing
-- Why this strategy might be profitable
-
-Return ONLY the strategy explanation paragraph, nothing else.`;
 
-    try {
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: [{ role: 'user', parts: [{ text: prompt }] }]
-        });
-        
-        return response.text || 'Unable to generate strategy explanation.';
-    } catch (error) {
-        console.error('Error generating strategy explanation:', error.message);
-        return 'Error analyzing trade data with AI.';
+    const flagged = tradersWithProfits.filter(trader => trader.classification.flagged).length;
+    if (flagged > 0) {
+        log.debug(`Classifier flagged ${flagged} wallets (${ranking.flagged === 'include' ? 'ranked as usual' : ranking.flagged}).`);
     }
+
+    return {
+        topTraders: rankTraders(tradersWithProfits, ranking),
+        flaggedTraders: rankFlaggedTraders(tradersWithProfits, ranking)
+    };
 }
 
-async function main() {
+async function runTop(values, positionals, log) {
+    if (positionals.length > 0) {
+        throw new CliError(`Unexpected argument: ${positionals[0]}`, EXIT_USAGE);
+    }
+
+    const window = windowFrom(values);
+    const discovery = discoveryFrom(values);
+    const ranking = usage(() => parseRankOptions({
+        rankBy: values['rank-by'],
+        minTrades: values['min-trades'],
+        minCapital: values['min-capital'],
+        limit: values.top,
+        flagged: values.flagged
+    }));
+    const strategy = strategyFrom(values);
+    const concurrency = usage(() => parseConcurrency(values.concurrency));
+    const report = values.json || values.format !== undefined || values.out !== undefined
+        ? usage(() => parseExportOptions({ format: values.json ? 'json' : values.format || formatFromPath(values.out), rows: values.rows }))
+        : null;
+
+    log.info(`Window: ${window.label} | Ranked by: ${RANK_KEYS[ranking.rankBy].label} (min ${ranking.minTrades} trades)`);
+
+    const timer = createPhaseTimer();
+    const cacheBefore = polymarket.cacheStats();
+    const { topTraders, flaggedTraders } = await getTopTraders(window, discovery, ranking, { concurrency, timer }, log);
+
+    const results = [];
+    await timer.time('strategies', async () => {
+        for (const trader of topTraders) {
+            log.info(`Analyzing trading strategy for #${trader.rank} (${strategy.explainer.name})...`);
+            const explanation = await explainStrategy(trader.trades, trader.weeklyProfit, {
+                window: window,
+                metrics: trader.metrics,
+                categoryBreakdown: trader.categoryBreakdown,
+                ...strategy,
+                log: log.warn
+            });
+            results.push({ ...toTraderResult(trader, explanation), trades: report && report.rows === 'trades' ? trader.trades : undefined });
+        }
+    });
+
+    // Flagged wallets are described offline; their strategies aren't worth AI tokens.
+    const flaggedResults = [];
+    const offlineExplainer = createExplainer({ provider: 'heuristic' });
+    for (const trader of flaggedTraders) {
+        const explanation = await explainStrategy(trader.trades, trader.weeklyProfit, {
+            window: window,
+            metrics: trader.metrics,
+            categoryBreakdown: trader.categoryBreakdown,
+            explainer: offlineExplainer
+        });
+        flaggedResults.push({ ...toTraderResult(trader, explanation), trades: report && report.rows === 'trades' ? trader.trades : undefined });
+    }
+
+    const consensus = values['no-consensus'] || !config.consensus.enabled
+        ? null
+        : buildConsensus(results.map((result, i) => ({ ...result, trades: topTraders[i].trades })));
+
+    const cacheAfter = polymarket.cacheStats();
+    const timings = {
+        ...timer.summary(),
+        concurrency: concurrency,
+        httpCache: { hits: cacheAfter.hits - cacheBefore.hits, misses: cacheAfter.misses - cacheBefore.misses }
+    };
+    log.debug(formatTimings(timings));
+
+    if (report) {
+        const { body } = renderExport({ window, ranking, aiUsage: strategy.usage.summary(), timings, results, flaggedResults, consensus }, report);
+        if (values.out) {
+            await writeFile(values.out, body);
+            log.info(`Wrote ${results.length} traders to ${values.out}`);
+        } else {
+            process.stdout.write(body);
+        }
+        return;
+    }
+
     console.log('='.repeat(60));
-    console.log('POLYMARKET TOP WEEKLY PROFIT TRADER ANALYZER');
+    console.log('POLYMARKET TOP TRADER ANALYZER');
     console.log('='.repeat(60));
+    console.log(`Window: ${window.label}`);
+    console.log(`Ranked by: ${RANK_KEYS[ranking.rankBy].label} (min ${ranking.minTrades} trades)`);
     console.log();
-    
-    const topTraders = await getTopFiveWeeklyProfitTraders();
-    
-    if (topTraders.length === 0) {
-        console.log('No traders with recent activity found. Please check API connection.');
+
+    if (results.length === 0) {
+        console.log(`No traders with activity in the ${window.label} matched the filters.`);
+        printFlagged(flaggedResults);
         return;
     }
-    
-    console.log(`Found ${topTraders.length} top profit traders from the last 7 days.\n`);
-    
-    for (const trader of topTraders) {
+
+    for (const [index, trader] of results.entries()) {
+        const history = topTraders[index].history;
         console.log('-'.repeat(60));
-        console.log(`RANK #${trader.rank} - TOP WEEKLY PROFIT TRADER`);
+        console.log(`RANK #${trader.rank}`);
         console.log(`Name: ${trader.name}`);
         console.log(`Address: ${trader.walletAddress}`);
-        console.log(`Weekly Profit: $${trader.weeklyProfit.toFixed(2)}`);
-        console.log(`Trades (7 days): ${trader.tradeCount}`);
-        console.log();
-        
-        console.log('Analyzing trading strategy with AI...\n');
-        
-        const strategy = await explainStrategy(trader.trades, trader.weeklyProfit);
-        
-        console.log('STRATEGY ANALYSIS:');
-        console.log(strategy);
+        console.log(`Profit: $${trader.weeklyProfit.toFixed(2)}`);
+        console.log(`  Realized: $${trader.realizedPnl.toFixed(2)} | Unrealized: $${trader.unrealizedPnl.toFixed(2)} | Capital Deployed: $${trader.capitalDeployed.toFixed(2)}`);
+        console.log(`  ${formatMetrics(trader.metrics)}`);
+        console.log(`Trades (${window.label}): ${trader.tradeCount}${history.capped ? ` (history capped at ${history.fetched} trades)` : ''}`);
+        console.log(`Categories: ${formatCategories(trader.categoryBreakdown)}`);
+        if (trader.classification.flagged) {
+            console.log(`Flagged: ${trader.classification.labels.join(', ')}`);
+        }
         console.log();
+        printStrategy(trader.strategy, trader.strategyProfile);
     }
-    
+
+    printConsensus(consensus);
+    printFlagged(flaggedResults);
+    printUsage(strategy.explainer, strategy.usage);
+}
+
+async function runTrader(values, positionals, log) {
+    if (positionals.length !== 1) {
+        throw new CliError('Expected exactly one wallet address: trader <wallet>', EXIT_USAGE);
+    }
+    const wallet = usage(() => parseWallet(positionals[0]));
+    const window = windowFrom(values);
+    const strategy = strategyFrom(values);
+
+    log.info(`Fetching trades for ${wallet} and analyzing strategy (${strategy.explainer.name})...`);
+
+    const trader = await analyzeTrader(wallet, { window, ...strategy, log: log.warn });
+
+    if (trader.error) {
+        throw new CliError(`Failed to fetch trades: ${trader.error}`);
+    }
+
+    if (values.json) {
+        printJson({ ...trader, aiUsage: strategy.usage.summary() });
+        return;
+    }
+
     console.log('='.repeat(60));
-    console.log('Analysis complete!');
+    console.log('POLYMARKET TRADER DEEP-DIVE');
     console.log('='.repeat(60));
+    console.log(`Address: ${wallet}`);
+    console.log(`Window: ${window.label}`);
+    console.log();
+
+    if (trader.tradeCount === 0) {
+        console.log(`No trades found for this wallet in the ${window.label}.`);
+        return;
+    }
+
+    console.log(`Profit: $${trader.profit.toFixed(2)}`);
+    console.log(`  Realized: $${trader.realizedPnl.toFixed(2)} | Unrealized: $${trader.unrealizedPnl.toFixed(2)} | Capital Deployed: $${trader.capitalDeployed.toFixed(2)}`);
+    console.log(`  ${formatMetrics(trader.metrics)}`);
+    console.log(`Trades (${window.label}): ${trader.tradeCount}${trader.history.capped ? ` (history capped at ${trader.history.fetched} trades)` : ''}`);
+    if (trader.classification && trader.classification.flagged) {
+        console.log(`Flagged: ${trader.classification.labels.join(', ')}`);
+    }
+    console.log();
+
+    console.log('-'.repeat(60));
+    console.log('BY CATEGORY:');
+    for (const category of trader.categoryBreakdown) {
+        console.log(`$${category.totalPnl.toFixed(2).padStart(10)}  ${category.category} (${category.tradeCount} trades in ${category.markets} market${category.markets === 1 ? '' : 's'}, ${formatPercent(category.volumeShare)} of volume)`);
+    }
+    console.log();
+
+    console.log('-'.repeat(60));
+    console.log('PNL BY MARKET:');
+    for (const market of trader.markets) {
+        console.log(`$${market.totalPnl.toFixed(2).padStart(10)}  ${market.market} (${market.tradeCount} trades, $${market.volume.toFixed(2)} volume)`);
+    }
+    console.log();
+
+    console.log('-'.repeat(60));
+    console.log('POSITION TIMELINE:');
+    for (const position of trader.timeline) {
+        console.log(`${position.market} [${position.outcome}]: ${position.startingSize.toFixed(2)} -> ${position.endingSize.toFixed(2)} shares`);
+        for (const point of position.points) {
+            console.log(`  ${formatTime(point.timestamp)}  ${point.action.padEnd(4)} ${point.size.toFixed(2)} @ ${point.price.toFixed(3)}  => ${point.positionSize.toFixed(2)}`);
+        }
+    }
+    console.log();
+
+    console.log('-'.repeat(60));
+    printStrategy(trader.strategy, trader.strategyProfile);
+    printUsage(strategy.explainer, strategy.usage);
+}
+
+async function runMarkets(values, positionals, log) {
+    if (positionals.length > 0) {
+        throw new CliError(`Unexpected argument: ${positionals[0]}`, EXIT_USAGE);
+    }
+    const discovery = discoveryFrom(values);
+
+    log.info('Fetching markets...');
+    const { markets, scanned } = await selectMarkets(discovery);
+
+    if (values.json) {
+        printJson(markets.map(market => ({
+            conditionId: market.conditionId,
+            question: market.question,
+            slug: market.slug || null,
+            category: market.category || null,
+            volume: market.volumeNum || 0,
+            liquidity: market.liquidityNum || 0,
+            endDate: market.endDate || null
+        })));
+        return;
+    }
+
+    console.log(`Top ${markets.length} of ${scanned} active markets by volume:`);
+    console.log();
+    for (const [index, market] of markets.entries()) {
+        console.log(`${String(index + 1).padStart(3)}. ${market.question}`);
+        console.log(`     Volume: ${formatUsd(market.volumeNum)} | Liquidity: ${formatUsd(market.liquidityNum)} | ${market.conditionId}`);
+    }
+}
+
+async function runStats(values, positionals, log) {
+    if (positionals.length > 0) {
+        throw new CliError(`Unexpected argument: ${positionals[0]}`, EXIT_USAGE);
+    }
+
+    log.info('Fetching market stats...');
+    const stats = await getPolymarketStats();
+    if (!stats) {
+        throw new CliError('Failed to fetch market stats from the Gamma API');
+    }
+
+    if (values.json) {
+        printJson(stats);
+        return;
+    }
+
+    console.log(`Total Volume:    ${formatUsd(stats.totalVolume)}`);
+    console.log(`Total Liquidity: ${formatUsd(stats.totalLiquidity)}`);
+    console.log(`Active Markets:  ${stats.activeMarkets} / ${stats.totalMarkets}`);
+}
+
+async function runBacktestCommand(values, positionals, log) {
+    const window = windowFrom(values);
+    const options = usage(() => parseBacktestOptions({
+        wallets: positionals.flatMap(wallet => wallet.split(',')),
+        bankroll: values.bankroll,
+        sizing: values.sizing,
+        amount: values.amount,
+        delay: values.delay,
+        slippageBps: values['slippage-bps'],
+        feeBps: values['fee-bps']
+    }));
+
+    const result = await runBacktest(options, { window, log: log.info });
+
+    if (values.json) {
+        printJson(result);
+        return;
+    }
+
+    console.log('='.repeat(60));
+    console.log('POLYMARKET COPY-TRADING BACKTEST');
+    console.log('='.repeat(60));
+    console.log(`Following: ${options.wallets.join(', ')}`);
+    console.log(`Window: ${window.label}`);
+    console.log(`Bankroll: $${options.bankroll.toFixed(2)} | Sizing: ${SIZING_MODES[options.sizing].label} (${options.amount}) | Delay: ${options.delaySeconds}s | Slippage: ${options.slippageBps}bps | Fees: ${options.feeBps}bps`);
+    console.log();
+    console.log(`Final Equity: $${result.finalEquity.toFixed(2)} (${formatPercent(result.totalReturn)} return, $${result.pnl.toFixed(2)})`);
+    console.log(`Max Drawdown: ${formatPercent(result.maxDrawdown)} ($${result.maxDrawdownAmount.toFixed(2)}) | Fees Paid: $${result.feesPaid.toFixed(2)}`);
+    console.log(`Leader Trades: ${result.leaderTrades} | Copied: ${result.copiedTrades} | Skipped: ${result.skippedTrades} | Open Positions: ${result.openPositions}`);
+    if (result.unresolvedTrades > 0) {
+        console.log(`(${result.unresolvedTrades} leader trades had no resolvable outcome and were not mirrored)`);
+    }
+    if (result.leaderPricedFills > 0) {
+        console.log(`(${result.leaderPricedFills} delayed fills had no later market print and used the leader's price)`);
+    }
+    console.log();
+
+    console.log('-'.repeat(60));
+    console.log('RESULTS BY MARKET:');
+    for (const market of result.markets) {
+        console.log(`$${market.totalPnl.toFixed(2).padStart(10)}  ${market.market} [${market.outcome}] (${market.trades} trades, $${market.invested.toFixed(2)} invested)`);
+    }
+    console.log();
+
+    console.log('-'.repeat(60));
+    console.log('EQUITY CURVE:');
+    for (const point of result.equityCurve) {
+        console.log(`  ${formatTime(point.timestamp)}  $${point.equity.toFixed(2)}`);
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const explicit = Boolean(argv[0]) && !argv[0].startsWith('-');
+    const name = explicit ? argv[0] : 'top';
+    const args = explicit ? argv.slice(1) : argv;
+
+    if (name === 'help') {
+        const topic = args[0];
+        console.log(helpText(COMMANDS[topic] ? topic : null));
+        return;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`Unknown command: ${name}\n\n${helpText(null)}`);
+        process.exitCode = EXIT_USAGE;
+        return;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: optionSpecs(command.groups), allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\nRun \`node index.js ${name} --help\` for usage.`);
+        process.exitCode = EXIT_USAGE;
+        return;
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        console.log(helpText(explicit ? name : null));
+        return;
+    }
+
+    const log = createLogger({ quiet: values.quiet, verbose: values.verbose });
+    try {
+        await command.run(values, positionals, log);
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = error instanceof CliError ? error.exitCode : EXIT_FAILURE;
+    }
 }
 
 main();
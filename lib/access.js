@@ -0,0 +1,128 @@
+import crypto from 'node:crypto';
+import { config } from './config.js';
+
+export class AccessConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AccessConfigError';
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Parses `API_KEYS`: comma-separated keys, each optionally followed by
+ * `:<requests per window>` to override the per-key quota. Keys are kept only
+ * as SHA-256 hashes; the first 8 hex digits identify a key in quotas and logs.
+ */
+export function parseApiKeys(value, defaultLimit = config.access.perKey) {
+    const keys = new Map();
+    for (const entry of String(value ?? '').split(',').map(part => part.trim()).filter(Boolean)) {
+        const match = /^([^:\s]+)(?::(\d+))?$/.exec(entry);
+        if (!match) {
+            throw new AccessConfigError('Invalid API_KEYS entry (expected key or key:limit)');
+        }
+        const hash = hashKey(match[1]);
+        keys.set(hash, {
+            id: hash.slice(0, 8),
+            limit: match[2] !== undefined ? Number(match[2]) : defaultLimit
+        });
+    }
+    return keys;
+}
+
+/**
+ * Fixed-window request counter per client. `take` counts one request and
+ * reports whether it fits in `limit` for the current window.
+ */
+export function createRateLimiter({ windowSeconds = config.access.windowSeconds, now = Date.now } = {}) {
+    const windowMs = windowSeconds * 1000;
+    const counters = new Map();
+
+    function prune(time) {
+        for (const [client, counter] of counters) {
+            if (counter.resetAt <= time) counters.delete(client);
+        }
+    }
+
+    function take(client, limit) {
+        const time = now();
+        let counter = counters.get(client);
+        if (!counter || counter.resetAt <= time) {
+            if (counters.size >= 10000) prune(time);
+            counter = { count: 0, resetAt: time + windowMs };
+            counters.set(client, counter);
+        }
+        const allowed = counter.count < limit;
+        if (allowed) counter.count++;
+        return {
+            allowed,
+            limit,
+            remaining: Math.max(0, limit - counter.count),
+            resetAt: counter.resetAt,
+            retryAfterSeconds: Math.max(1, Math.ceil((counter.resetAt - time) / 1000))
+        };
+    }
+
+    return { take, reset: () => counters.clear() };
+}
+
+function readKey(req) {
+    const header = req.get('authorization');
+    if (header) {
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+        return match ? match[1].trim() : null;
+    }
+    return req.get('x-api-key') || null;
+}
+
+/**
+ * Express middleware factory for the endpoints that cost upstream calls or AI
+ * tokens. Once `keys` is non-empty, `protect()` routes need a key, sent as
+ * `Authorization: Bearer <key>` or `X-API-Key`. Requests with a key count
+ * against that key's quota; anonymous ones (only possible when no keys are
+ * configured) against their IP's.
+ */
+export function createAccessControl({
+    keys = parseApiKeys(config.access.apiKeys),
+    perIp = config.access.perIp,
+    windowSeconds = config.access.windowSeconds,
+    now = Date.now
+} = {}) {
+    const limiter = createRateLimiter({ windowSeconds, now });
+
+    function protect({ quota = true } = {}) {
+        return (req, res, next) => {
+            const provided = readKey(req);
+            const key = provided ? keys.get(hashKey(provided)) : null;
+            if (provided && !key) {
+                return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Invalid API key' });
+            }
+            if (!key && keys.size > 0) {
+                return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'API key required' });
+            }
+            if (!quota) return next();
+
+            const result = key
+                ? limiter.take(`key:${key.id}`, key.limit)
+                : limiter.take(`ip:${req.ip}`, perIp);
+            res.set({
+                'RateLimit-Limit': String(result.limit),
+                'RateLimit-Remaining': String(result.remaining),
+                'RateLimit-Reset': String(result.retryAfterSeconds)
+            });
+            if (!result.allowed) {
+                res.set('Retry-After', String(result.retryAfterSeconds));
+                return res.status(429).json({
+                    error: `Rate limit exceeded; retry in ${result.retryAfterSeconds} seconds`,
+                    retryAfterSeconds: result.retryAfterSeconds
+                });
+            }
+            next();
+        };
+    }
+
+    return { protect, keysRequired: keys.size > 0, reset: limiter.reset };
+}
@@ -0,0 +1,235 @@
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import fetch from 'node-fetch';
+import { createPolymarketClient } from './polymarket.js';
+import { config } from './config.js';
+import { isWebhookAllowed } from './watchlist.js';
+
+// Polls have to see fills as soon as they happen, so they skip the response cache.
+const liveClient = createPolymarketClient({ cacheTtlSeconds: 0 });
+
+// Addresses per-wallet webhooks may not reach: unspecified, private, CGNAT,
+// loopback, link-local (cloud metadata), benchmarking, multicast and reserved.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+export function isPublicAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPublicAddress(mapped[1]);
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// `dns.lookup` for the webhook agents: fails when a host resolves to any
+// non-public address, so the check covers the address actually connected to.
+export function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const publicAgents = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup })
+};
+
+// Identifies one fill; a transaction can carry several.
+export function fillKey(trade) {
+    return [trade.transactionHash, trade.conditionId, trade.outcomeIndex, trade.side, trade.size, trade.price, trade.timestamp].join(':');
+}
+
+export function matchesFilters(trade, filters = {}) {
+    const price = parseFloat(trade.price) || 0;
+    const size = parseFloat(trade.size) || 0;
+    if (price * size < (filters.minValue || 0)) return false;
+    if (filters.sides && filters.sides.length > 0 && !filters.sides.includes(trade.side)) return false;
+    if (filters.markets && filters.markets.length > 0) {
+        const ids = [trade.conditionId, trade.slug, trade.eventSlug]
+            .filter(Boolean)
+            .map(id => String(id).toLowerCase());
+        if (!filters.markets.some(market => ids.includes(market))) return false;
+    }
+    return true;
+}
+
+export function buildAlert(entry, trade) {
+    const price = parseFloat(trade.price) || 0;
+    const size = parseFloat(trade.size) || 0;
+    return {
+        event: 'trade',
+        walletAddress: entry.walletAddress,
+        label: entry.label,
+        trade: {
+            market: trade.title || trade.slug || 'Unknown Market',
+            conditionId: trade.conditionId,
+            outcome: trade.outcome,
+            side: trade.side,
+            price: price,
+            size: size,
+            value: price * size,
+            timestamp: trade.timestamp,
+            transactionHash: trade.transactionHash || null
+        }
+    };
+}
+
+// Redirects are not followed. With `publicOnly` the host has to resolve to
+// public addresses only; IP literals skip DNS so they are checked here.
+async function postJson(url, body, { fetchImpl, timeoutMs, publicOnly }) {
+    let agent;
+    if (publicOnly) {
+        const { protocol, hostname } = new URL(url);
+        const host = hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && !isPublicAddress(host)) {
+            throw new Error(`non-public address ${host}`);
+        }
+        agent = publicAgents[protocol];
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetchImpl(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            redirect: 'manual',
+            agent: agent,
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Polls each watched wallet's trades and posts new fills to its webhooks and
+ * the globally configured ones. A wallet's own webhooks are only called while
+ * `isWebhookAllowed` accepts them and only at public addresses; the
+ * configured `webhooks` are trusted.
+ *
+ * The first poll of a wallet only records a cursor, so adding a wallet
+ * doesn't replay its history. A fill's key is recorded as soon as its
+ * delivery has been attempted, so alerts are sent at most once even when a
+ * webhook is down.
+ */
+export function createAlertPoller({
+    watchlist,
+    client = liveClient,
+    webhooks = config.watchlist.webhooks,
+    webhookHosts = config.watchlist.webhookHosts,
+    intervalMs = config.watchlist.pollSeconds * 1000,
+    fetchImpl = fetch,
+    log = () => {}
+}) {
+    let timer = null;
+    let polling = null;
+    const status = { lastPollAt: null, lastError: null, alertsSent: 0, deliveryFailures: 0 };
+
+    async function deliver(urls, alert) {
+        for (const url of urls) {
+            try {
+                await postJson(url, alert, { fetchImpl, timeoutMs: config.watchlist.webhookTimeoutMs, publicOnly: !webhooks.includes(url) });
+                status.alertsSent++;
+            } catch (error) {
+                status.deliveryFailures++;
+                log(`Webhook ${url} failed: ${error.message}`);
+            }
+        }
+    }
+
+    async function pollWallet(entry) {
+        const since = entry.cursor || 0;
+        const trades = await client.getTradesSince({ user: entry.walletAddress }, since, { maxItems: config.watchlist.maxTradesPerPoll });
+        const seen = new Set(entry.seen);
+        const fresh = trades
+            .filter(trade => (trade.timestamp || 0) >= since && !seen.has(fillKey(trade)))
+            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+        if (fresh.length === 0) {
+            await watchlist.markSeen(entry.walletAddress, { cursor: since, keys: [] });
+            return 0;
+        }
+
+        const cursor = fresh[fresh.length - 1].timestamp || since;
+        const keys = fresh.map(fillKey).reverse();
+        const own = entry.webhooks.filter(url => isWebhookAllowed(url, { webhooks, hosts: webhookHosts }));
+        const urls = Array.from(new Set([...own, ...webhooks]));
+
+        // Record first: a crash mid-delivery must not lead to a resend.
+        await watchlist.markSeen(entry.walletAddress, { cursor, keys });
+        if (entry.cursor === null || entry.cursor === undefined) return 0;
+
+        let sent = 0;
+        for (const trade of fresh) {
+            if (!matchesFilters(trade, entry.filters)) continue;
+            await deliver(urls, buildAlert(entry, trade));
+            sent++;
+        }
+        return sent;
+    }
+
+    async function pollOnce() {
+        if (polling) return polling;
+        polling = (async () => {
+            let alerts = 0;
+            for (const entry of await watchlist.entries()) {
+                try {
+                    alerts += await pollWallet(entry);
+                } catch (error) {
+                    status.lastError = `${entry.walletAddress}: ${error.message}`;
+                    log(`Watchlist poll failed for ${entry.walletAddress}: ${error.message}`);
+                }
+            }
+            status.lastPollAt = new Date().toISOString();
+            return alerts;
+        })();
+        try {
+            return await polling;
+        } finally {
+            polling = null;
+        }
+    }
+
+    function schedule() {
+        timer = setTimeout(async () => {
+            await pollOnce().catch(error => log(`Watchlist poll failed: ${error.message}`));
+            if (timer) schedule();
+        }, intervalMs);
+        timer.unref();
+    }
+
+    function start() {
+        if (timer || intervalMs <= 0) return;
+        schedule();
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    function getStatus() {
+        return { ...status, running: timer !== null, intervalMs, polling: polling !== null };
+    }
+
+    return { start, stop, pollOnce, getStatus };
+}
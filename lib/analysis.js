@@ -0,0 +1,149 @@
+import { polymarket } from './polymarket.js';
+import { computePnl } from './pnl.js';
+import { config } from './config.js';
+import { parseWindow } from './window.js';
+import { discoverTraders } from './discovery.js';
+import { computeTraderMetrics } from './metrics.js';
+import { classifyTrader } from './classifier.js';
+import { enrichTrade, marketCacheFor, marketOutcomes, marketPrices, summarizeCategories } from './markets.js';
+
+export async function getPolymarketStats(client = polymarket) {
+    try {
+        const markets = await client.getMarkets({ active: true }, { maxItems: 1000 });
+
+        let totalVolume = 0;
+        let totalLiquidity = 0;
+        let activeMarketsCount = 0;
+
+        for (const market of markets) {
+            if (market.volumeNum) totalVolume += market.volumeNum;
+            if (market.liquidityNum) totalLiquidity += market.liquidityNum;
+            if (market.active) activeMarketsCount++;
+        }
+
+        return {
+            totalVolume: totalVolume,
+            totalLiquidity: totalLiquidity,
+            activeMarkets: activeMarketsCount,
+            totalMarkets: markets.length
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+export async function getRecentActiveTraders({ discovery = config.discovery, ...options } = {}) {
+    const { traders } = await discoverTraders(discovery, options);
+    return traders;
+}
+
+function emptyProfit(window, error = null) {
+    return {
+        profit: 0,
+        pnl: null,
+        metrics: null,
+        classification: null,
+        trades: [],
+        tradeCount: 0,
+        topTrades: [],
+        categoryBreakdown: [],
+        history: { complete: false, capped: false, fetched: 0, window: window },
+        error: error
+    };
+}
+
+export async function calculateWeeklyProfit(walletAddress, {
+    client = polymarket,
+    markets = marketCacheFor(client),
+    window = parseWindow({ window: config.defaultWindow }),
+    maxTrades = config.maxTradesPerWallet,
+    signal = null
+} = {}) {
+    try {
+        const trades = await client.getTradesSince({ user: walletAddress }, window.from, { maxItems: maxTrades, signal });
+
+        const recentTrades = trades.filter(trade => {
+            const tradeTime = trade.timestamp || 0;
+            return tradeTime >= window.from && tradeTime <= window.to;
+        });
+
+        // Complete once we've seen a trade older than the window or run out of
+        // history before reaching the cap.
+        const reachedStart = trades.some(trade => (trade.timestamp || 0) < window.from);
+        const capped = !reachedStart && trades.length >= maxTrades;
+
+        // Market metadata for the window's trades; its outcome prices also
+        // mark the open positions.
+        const marketInfo = await markets.getMarkets(recentTrades.map(trade => trade.conditionId));
+        const pnl = computePnl(trades, {
+            from: window.from,
+            to: window.to,
+            prices: marketPrices(marketInfo),
+            outcomes: marketOutcomes(marketInfo)
+        });
+
+        const cleanTrades = recentTrades.map(trade => {
+            const price = parseFloat(trade.price) || 0;
+            const size = parseFloat(trade.size) || 0;
+
+            return {
+                market: trade.title || trade.slug || 'Unknown Market',
+                outcome: trade.outcome,
+                action: trade.side || '',
+                price: price,
+                size: size,
+                value: price * size,
+                timestamp: trade.timestamp,
+                ...enrichTrade(trade, marketInfo.get(trade.conditionId))
+            };
+        });
+
+        const topTrades = [...cleanTrades]
+            .sort((a, b) => b.value - a.value)
+            .slice(0, 3);
+
+        return {
+            profit: pnl.totalPnl,
+            pnl: pnl,
+            metrics: computeTraderMetrics(pnl, cleanTrades, window),
+            classification: classifyTrader(cleanTrades, window),
+            trades: cleanTrades,
+            tradeCount: recentTrades.length,
+            topTrades: topTrades,
+            categoryBreakdown: summarizeCategories(pnl, cleanTrades, marketInfo),
+            history: {
+                complete: !capped,
+                capped: capped,
+                fetched: trades.length,
+                window: window
+            }
+        };
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        return emptyProfit(window, error.message);
+    }
+}
+
+// The shape analysis results are returned, stored and exported in: one ranked
+// trader with PnL, metrics, top trades and strategy explanation.
+export function toTraderResult(trader, { summary, profile, provider }) {
+    return {
+        rank: trader.rank,
+        name: trader.name,
+        walletAddress: trader.walletAddress,
+        weeklyProfit: trader.weeklyProfit,
+        realizedPnl: trader.pnl.realizedPnl,
+        unrealizedPnl: trader.pnl.unrealizedPnl,
+        capitalDeployed: trader.pnl.capitalDeployed,
+        metrics: trader.metrics,
+        classification: trader.classification,
+        tradeCount: trader.tradeCount,
+        historyComplete: trader.history.complete,
+        tradesFetched: trader.history.fetched,
+        topTrades: trader.topTrades,
+        categoryBreakdown: trader.categoryBreakdown,
+        strategy: summary,
+        strategyProfile: profile,
+        strategyProvider: provider
+    };
+}
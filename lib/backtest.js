@@ -0,0 +1,377 @@
+import { polymarket } from './polymarket.js';
+import { config } from './config.js';
+import { marketCacheFor, marketOutcomes } from './markets.js';
+import { outcomeIndexOf } from './pnl.js';
+import { parseWallet } from './trader.js';
+
+export const SIZING_MODES = {
+    fixed: { label: 'Fixed $ per trade', defaultAmount: 100 },
+    percent: { label: '% of equity per trade', defaultAmount: 5 },
+    proportional: { label: 'Multiple of the leader\'s trade value', defaultAmount: 0.1 }
+};
+
+const DELAY_UNITS = { s: 1, m: 60, h: 60 * 60 };
+
+// Smallest order we bother placing; anything below is skipped.
+const MIN_ORDER = 1;
+const EPSILON = 1e-9;
+
+export class BacktestOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BacktestOptionsError';
+    }
+}
+
+function parseNumber(value, name, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new BacktestOptionsError(`Invalid ${name}: ${value}`);
+    }
+    return number;
+}
+
+// Seconds, or a number with an s/m/h suffix ("90", "30s", "5m", "1h").
+function parseDelay(value) {
+    if (value === undefined || value === null || value === '') return config.backtest.delaySeconds;
+    const match = /^(\d+(?:\.\d+)?)([smh]?)$/.exec(String(value).trim());
+    if (!match) {
+        throw new BacktestOptionsError(`Invalid delay: ${value} (expected seconds or e.g. 30s, 5m, 1h)`);
+    }
+    return Number(match[1]) * DELAY_UNITS[match[2] || 's'];
+}
+
+function parseWallets(value) {
+    const wallets = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(wallet => String(wallet).trim())
+        .filter(Boolean);
+    if (wallets.length === 0) {
+        throw new BacktestOptionsError('At least one wallet is required');
+    }
+    if (wallets.length > config.backtest.maxWallets) {
+        throw new BacktestOptionsError(`Too many wallets: ${wallets.length} (max ${config.backtest.maxWallets})`);
+    }
+    return Array.from(new Set(wallets.map(parseWallet)));
+}
+
+/**
+ * Merges user-supplied backtest options (query strings, JSON bodies or CLI
+ * flags) over the configured defaults. `amount` means dollars, percent of
+ * equity or a multiple of the leader's trade value depending on `sizing`.
+ */
+export function parseBacktestOptions(params = {}) {
+    const sizing = params.sizing || config.backtest.sizing;
+    if (!SIZING_MODES[sizing]) {
+        throw new BacktestOptionsError(`Invalid sizing: ${sizing} (expected one of ${Object.keys(SIZING_MODES).join(', ')})`);
+    }
+    const defaultAmount = config.backtest.amount ?? SIZING_MODES[sizing].defaultAmount;
+
+    const options = {
+        wallets: parseWallets(params.wallets),
+        bankroll: parseNumber(params.bankroll, 'bankroll', config.backtest.bankroll),
+        sizing: sizing,
+        amount: parseNumber(params.amount, 'amount', defaultAmount),
+        delaySeconds: parseDelay(params.delay),
+        slippageBps: parseNumber(params.slippageBps, 'slippageBps', config.backtest.slippageBps),
+        feeBps: parseNumber(params.feeBps, 'feeBps', config.backtest.feeBps)
+    };
+
+    if (options.bankroll <= 0) {
+        throw new BacktestOptionsError('bankroll must be greater than 0');
+    }
+    if (sizing === 'percent' && options.amount > 100) {
+        throw new BacktestOptionsError(`Invalid amount: ${options.amount} (percent sizing takes 0-100)`);
+    }
+    return options;
+}
+
+function positionKey(conditionId, outcomeIndex) {
+    return `${conditionId}:${outcomeIndex}`;
+}
+
+// Outcome names for the markets of fills that carry a name but no index,
+// added to `known`; looked up only when some fill needs them.
+async function resolveOutcomeNames(client, trades, known = new Map()) {
+    const missing = trades
+        .filter(trade => trade.conditionId && !known.has(trade.conditionId) && outcomeIndexOf(trade, trade.conditionId) === null)
+        .map(trade => trade.conditionId);
+    if (missing.length === 0) return known;
+    const markets = await marketCacheFor(client).getMarkets(missing);
+    return new Map([...known, ...marketOutcomes(markets)]);
+}
+
+// Null when the fill's outcome can't be resolved; such fills are not mirrored.
+function normalize(trade, wallet, outcomes) {
+    const outcomeIndex = outcomeIndexOf(trade, trade.conditionId, outcomes);
+    if (outcomeIndex === null) return null;
+    return {
+        wallet: wallet,
+        conditionId: trade.conditionId,
+        outcomeIndex: outcomeIndex,
+        outcome: trade.outcome,
+        market: trade.title || trade.slug || 'Unknown Market',
+        side: trade.side,
+        price: parseFloat(trade.price) || 0,
+        size: parseFloat(trade.size) || 0,
+        timestamp: trade.timestamp || 0
+    };
+}
+
+/**
+ * Fetches every trade in each followed market from the window start and
+ * indexes them by outcome, oldest first, so delayed fills can be priced at
+ * whatever the market traded at once the delay had passed. Only the newest
+ * `maxItems` are kept, so `coveredFrom` records per market how far back the
+ * prints go; a market that failed to load has no entry. Prints whose outcome
+ * can't be resolved are left out.
+ */
+async function loadMarketTape(client, conditionIds, since, maxItems, outcomes) {
+    const prints = new Map();
+    const coveredFrom = new Map();
+    const fetched = [];
+    for (const conditionId of conditionIds) {
+        let trades = [];
+        try {
+            trades = await client.getTradesSince({ market: conditionId }, since, { maxItems });
+        } catch (error) {
+            continue;
+        }
+        const reachedStart = trades.length < maxItems || trades.some(trade => (trade.timestamp || 0) < since);
+        coveredFrom.set(conditionId, reachedStart
+            ? -Infinity
+            : trades.reduce((earliest, trade) => Math.min(earliest, trade.timestamp || 0), Infinity));
+        fetched.push(...trades.map(trade => ({ ...trade, conditionId: trade.conditionId || conditionId })));
+    }
+    const names = await resolveOutcomeNames(client, fetched, outcomes);
+    for (const trade of fetched) {
+        const outcomeIndex = outcomeIndexOf(trade, trade.conditionId, names);
+        if (outcomeIndex === null) continue;
+        const key = positionKey(trade.conditionId, outcomeIndex);
+        if (!prints.has(key)) prints.set(key, []);
+        prints.get(key).push({ timestamp: trade.timestamp || 0, price: parseFloat(trade.price) || 0 });
+    }
+    for (const outcomePrints of prints.values()) {
+        outcomePrints.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    return { prints, coveredFrom };
+}
+
+// The first print at or after `timestamp`, or null when the tape doesn't go
+// back that far and the next print could be long after the fill.
+function priceAfter(tape, trade, timestamp) {
+    const coveredFrom = tape.coveredFrom.get(trade.conditionId);
+    if (coveredFrom === undefined || timestamp < coveredFrom) return null;
+    const prints = tape.prints.get(positionKey(trade.conditionId, trade.outcomeIndex));
+    if (!prints) return null;
+    const print = prints.find(entry => entry.timestamp >= timestamp && entry.price > 0);
+    return print ? print : null;
+}
+
+function maxDrawdown(curve) {
+    let peak = -Infinity;
+    let worst = 0;
+    let worstAmount = 0;
+    for (const point of curve) {
+        peak = Math.max(peak, point.equity);
+        if (peak > 0 && (peak - point.equity) / peak > worst) {
+            worst = (peak - point.equity) / peak;
+            worstAmount = peak - point.equity;
+        }
+    }
+    return { fraction: worst, amount: worstAmount };
+}
+
+/**
+ * Simulates mirroring the wallets' trades inside `window`.
+ *
+ * Each leader BUY is copied `delaySeconds` later at the first market print
+ * after the delay (or the leader's price when the fetched market tape doesn't
+ * cover that moment), sized by `sizing`/`amount` and capped by available
+ * cash. Each leader SELL closes the same fraction of our position as the
+ * leader sold of what they bought in the window. Slippage moves every fill against us and
+ * fees are charged on notional. Open positions are marked at current prices.
+ * Fills that name an outcome the market doesn't list (and carry no index)
+ * are left out and counted in `unresolvedTrades`.
+ */
+export async function runBacktest(options, {
+    client = polymarket,
+    window,
+    maxMarketTrades = config.backtest.maxMarketTrades,
+    log = () => {}
+} = {}) {
+    const { wallets, bankroll, sizing, amount, delaySeconds, slippageBps, feeBps } = options;
+    const slippage = slippageBps / 10000;
+    const feeRate = feeBps / 10000;
+
+    const fetched = [];
+    for (const wallet of wallets) {
+        log(`Fetching trades for ${wallet}...`);
+        const trades = await client.getTradesSince({ user: wallet }, window.from, { maxItems: config.maxTradesPerWallet });
+        fetched.push(...trades.map(trade => ({ trade, wallet })));
+    }
+
+    const outcomes = await resolveOutcomeNames(client, fetched.map(entry => entry.trade));
+    const leaderTrades = [];
+    let unresolvedTrades = 0;
+    for (const { trade, wallet } of fetched) {
+        const normalized = normalize(trade, wallet, outcomes);
+        const timestamp = trade.timestamp || 0;
+        if (timestamp < window.from || timestamp > window.to) continue;
+        if (!normalized) {
+            unresolvedTrades++;
+        } else if (normalized.size > 0) {
+            leaderTrades.push(normalized);
+        }
+    }
+    leaderTrades.sort((a, b) => a.timestamp - b.timestamp);
+
+    const conditionIds = Array.from(new Set(leaderTrades.map(trade => trade.conditionId)));
+    const tape = delaySeconds > 0
+        ? await loadMarketTape(client, conditionIds, window.from, maxMarketTrades, outcomes)
+        : { prints: new Map(), coveredFrom: new Map() };
+
+    let cash = bankroll;
+    let feesPaid = 0;
+    const positions = new Map();
+    const leaderHoldings = new Map();
+    const markets = new Map();
+    const stats = { copied: 0, skipped: 0, leaderPriced: 0 };
+
+    const fills = leaderTrades.map(trade => {
+        const fillTime = trade.timestamp + delaySeconds;
+        const print = delaySeconds > 0 ? priceAfter(tape, trade, fillTime) : null;
+        return { trade, fillTime, price: print ? print.price : trade.price, leaderPriced: delaySeconds > 0 && !print };
+    }).sort((a, b) => a.fillTime - b.fillTime);
+
+    function marketEntry(trade) {
+        const key = positionKey(trade.conditionId, trade.outcomeIndex);
+        if (!markets.has(key)) {
+            markets.set(key, {
+                conditionId: trade.conditionId,
+                outcomeIndex: trade.outcomeIndex,
+                market: trade.market,
+                outcome: trade.outcome,
+                trades: 0,
+                invested: 0,
+                realizedPnl: 0,
+                unrealizedPnl: 0,
+                fees: 0
+            });
+        }
+        return markets.get(key);
+    }
+
+    function equity() {
+        let value = cash;
+        for (const position of positions.values()) {
+            value += position.shares * position.markPrice;
+        }
+        return value;
+    }
+
+    const equityCurve = [{ timestamp: window.from, equity: bankroll }];
+
+    for (const { trade, fillTime, price, leaderPriced } of fills) {
+        const key = positionKey(trade.conditionId, trade.outcomeIndex);
+        const leaderHeld = leaderHoldings.get(key) || 0;
+
+        if (trade.side === 'BUY') {
+            leaderHoldings.set(key, leaderHeld + trade.size);
+            let spend;
+            if (sizing === 'fixed') spend = amount;
+            else if (sizing === 'percent') spend = equity() * amount / 100;
+            else spend = trade.price * trade.size * amount;
+            spend = Math.min(spend, cash / (1 + feeRate));
+
+            const fillPrice = Math.min(0.999, price * (1 + slippage));
+            if (spend < MIN_ORDER || fillPrice <= 0) {
+                stats.skipped++;
+                continue;
+            }
+
+            const fee = spend * feeRate;
+            const shares = spend / fillPrice;
+            const position = positions.get(key) || { shares: 0, cost: 0, markPrice: fillPrice };
+            position.shares += shares;
+            position.cost += spend;
+            position.markPrice = price;
+            positions.set(key, position);
+            cash -= spend + fee;
+            feesPaid += fee;
+
+            const market = marketEntry(trade);
+            market.trades++;
+            market.invested += spend;
+            market.fees += fee;
+        } else if (trade.side === 'SELL') {
+            const position = positions.get(key);
+            leaderHoldings.set(key, Math.max(0, leaderHeld - trade.size));
+            if (!position || position.shares <= EPSILON || leaderHeld <= EPSILON) {
+                stats.skipped++;
+                continue;
+            }
+
+            const fraction = Math.min(1, trade.size / leaderHeld);
+            const shares = position.shares * fraction;
+            const cost = position.cost * fraction;
+            const fillPrice = Math.max(0, price * (1 - slippage));
+            const proceeds = shares * fillPrice;
+            const fee = proceeds * feeRate;
+
+            position.shares -= shares;
+            position.cost -= cost;
+            position.markPrice = price;
+            if (position.shares <= EPSILON) positions.delete(key);
+            cash += proceeds - fee;
+            feesPaid += fee;
+
+            const market = marketEntry(trade);
+            market.trades++;
+            market.realizedPnl += proceeds - cost;
+            market.fees += fee;
+        } else {
+            continue;
+        }
+
+        stats.copied++;
+        if (leaderPriced) stats.leaderPriced++;
+        equityCurve.push({ timestamp: fillTime, equity: equity() });
+    }
+
+    if (positions.size > 0) {
+        const prices = await client
+            .getOutcomePrices(Array.from(new Set(Array.from(positions.keys()).map(key => key.split(':')[0]))))
+            .catch(() => new Map());
+        for (const [key, position] of positions) {
+            if (prices.has(key)) position.markPrice = prices.get(key);
+            markets.get(key).unrealizedPnl = position.shares * position.markPrice - position.cost;
+        }
+    }
+
+    const finalEquity = equity();
+    equityCurve.push({ timestamp: Math.max(window.to, equityCurve[equityCurve.length - 1].timestamp), equity: finalEquity });
+    const drawdown = maxDrawdown(equityCurve);
+
+    return {
+        params: { ...options, window },
+        startingBankroll: bankroll,
+        finalEquity: finalEquity,
+        cash: cash,
+        totalReturn: (finalEquity - bankroll) / bankroll,
+        pnl: finalEquity - bankroll,
+        maxDrawdown: drawdown.fraction,
+        maxDrawdownAmount: drawdown.amount,
+        feesPaid: feesPaid,
+        leaderTrades: leaderTrades.length,
+        copiedTrades: stats.copied,
+        skippedTrades: stats.skipped,
+        unresolvedTrades: unresolvedTrades,
+        leaderPricedFills: stats.leaderPriced,
+        openPositions: positions.size,
+        equityCurve: equityCurve,
+        markets: Array.from(markets.values())
+            .map(market => ({ ...market, totalPnl: market.realizedPnl + market.unrealizedPnl - market.fees }))
+            .sort((a, b) => b.totalPnl - a.totalPnl)
+    };
+}
@@ -0,0 +1,102 @@
+import { config } from './config.js';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+export const WALLET_LABELS = {
+    'market-maker': 'Buys and sells the same markets in roughly equal size',
+    'high-frequency': 'Trades more often than a person plausibly would',
+    'micro-trades': 'Typical trade is too small to copy meaningfully',
+    'wash-like': 'Reverses its own fills on the same outcome soon after, at about the same price'
+};
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function assetKey(trade) {
+    return `${trade.market}\u0000${trade.outcome}`;
+}
+
+// Traded value on both sides of a market as a share of all traded value: 1
+// when every market was bought and sold in equal size, 0 when one-sided.
+function twoSidedRatio(trades) {
+    const markets = new Map();
+    let total = 0;
+    for (const trade of trades) {
+        if (!markets.has(trade.market)) markets.set(trade.market, { buy: 0, sell: 0 });
+        const flow = markets.get(trade.market);
+        if (trade.action === 'BUY') flow.buy += trade.value;
+        else if (trade.action === 'SELL') flow.sell += trade.value;
+        else continue;
+        total += trade.value;
+    }
+    if (total <= 0) return null;
+    let matched = 0;
+    for (const flow of markets.values()) matched += 2 * Math.min(flow.buy, flow.sell);
+    return matched / total;
+}
+
+// Share of traded shares that were reversed on the same outcome within
+// `seconds` at a price within `tolerance` of the opening fill.
+function roundTripShare(trades, { seconds, tolerance }) {
+    const open = new Map();
+    let matched = 0;
+    let total = 0;
+    const ordered = trades
+        .filter(trade => trade.action === 'BUY' || trade.action === 'SELL')
+        .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    for (const trade of ordered) {
+        total += trade.size;
+        const key = assetKey(trade);
+        const lots = (open.get(key) || []).filter(lot => (trade.timestamp || 0) - lot.timestamp <= seconds);
+        let remaining = trade.size;
+        for (const lot of lots) {
+            if (remaining <= 0) break;
+            if (lot.action === trade.action || lot.size <= 0 || Math.abs(lot.price - trade.price) > tolerance) continue;
+            const size = Math.min(lot.size, remaining);
+            lot.size -= size;
+            remaining -= size;
+            matched += 2 * size;
+        }
+        if (remaining > 0) {
+            lots.push({ action: trade.action, price: trade.price, size: remaining, timestamp: trade.timestamp || 0 });
+        }
+        open.set(key, lots.filter(lot => lot.size > 0));
+    }
+    return total > 0 ? matched / total : null;
+}
+
+/**
+ * Flags wallets whose activity looks like liquidity provision or automation
+ * rather than a strategy a person could follow, from the window's cleaned
+ * trades (as returned by `calculateWeeklyProfit`). Wallets with fewer than
+ * `minTrades` trades are never flagged.
+ */
+export function classifyTrader(trades, window, thresholds = config.classifier) {
+    const days = Math.max(1, (window.to - window.from) / DAY_SECONDS);
+    const signals = {
+        twoSidedRatio: twoSidedRatio(trades),
+        tradesPerDay: trades.length / days,
+        medianTradeValue: median(trades.map(trade => trade.value)),
+        roundTripShare: roundTripShare(trades, {
+            seconds: thresholds.roundTripSeconds,
+            tolerance: thresholds.roundTripPriceTolerance
+        })
+    };
+
+    const labels = [];
+    if (trades.length >= thresholds.minTrades) {
+        if (signals.twoSidedRatio >= thresholds.twoSidedRatio && signals.tradesPerDay >= thresholds.marketMakerTradesPerDay) {
+            labels.push('market-maker');
+        }
+        if (signals.tradesPerDay >= thresholds.highFrequencyTradesPerDay) labels.push('high-frequency');
+        if (signals.medianTradeValue !== null && signals.medianTradeValue < thresholds.minTradeValue) labels.push('micro-trades');
+        if (signals.roundTripShare >= thresholds.roundTripShare) labels.push('wash-like');
+    }
+
+    return { flagged: labels.length > 0, labels, signals };
+}
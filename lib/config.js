@@ -0,0 +1,141 @@
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+function trimSlash(url) {
+    return url.replace(/\/+$/, '');
+}
+
+export const config = {
+    gammaBaseUrl: trimSlash(process.env.GAMMA_API_URL || 'https://gamma-api.polymarket.com'),
+    dataBaseUrl: trimSlash(process.env.DATA_API_URL || 'https://data-api.polymarket.com'),
+    maxRetries: envNumber('POLYMARKET_MAX_RETRIES', 3),
+    retryBaseDelayMs: envNumber('POLYMARKET_RETRY_DELAY_MS', 500),
+    requestTimeoutMs: envNumber('POLYMARKET_TIMEOUT_MS', 15000),
+    // Longest wait between retries; a longer Retry-After fails the request.
+    maxRetryDelayMs: envNumber('POLYMARKET_MAX_RETRY_DELAY_MS', envNumber('POLYMARKET_TIMEOUT_MS', 15000)),
+    // Successful responses are reused for this long; 0 disables the cache.
+    cacheTtlSeconds: envNumber('POLYMARKET_CACHE_TTL_SECONDS', 300),
+    cacheMaxMb: envNumber('POLYMARKET_CACHE_MAX_MB', 100),
+    // Wallets analysed (and markets scanned) in parallel.
+    concurrency: envNumber('ANALYSIS_CONCURRENCY', 5),
+    defaultWindow: process.env.ANALYSIS_WINDOW || '7d',
+    maxTradesPerWallet: envNumber('MAX_TRADES_PER_WALLET', 5000),
+    dataDir: process.env.DATA_DIR || 'data',
+    markets: {
+        // Open markets' metadata and prices are refetched after this long;
+        // resolved markets are kept for good.
+        cacheTtlSeconds: envNumber('MARKET_CACHE_TTL_SECONDS', envNumber('POLYMARKET_CACHE_TTL_SECONDS', 300)),
+        maxEntries: envNumber('MARKET_CACHE_MAX_ENTRIES', 5000)
+    },
+    discovery: {
+        maxMarkets: envNumber('DISCOVERY_MAX_MARKETS', 500),
+        topMarkets: envNumber('DISCOVERY_TOP_MARKETS', 10),
+        minVolume: envNumber('DISCOVERY_MIN_VOLUME', 100000),
+        minLiquidity: envNumber('DISCOVERY_MIN_LIQUIDITY', 0),
+        category: process.env.DISCOVERY_CATEGORY || null,
+        tag: process.env.DISCOVERY_TAG || null,
+        holdersPerMarket: envNumber('DISCOVERY_HOLDERS_PER_MARKET', 20),
+        tradesPerMarket: envNumber('DISCOVERY_TRADES_PER_MARKET', 200),
+        sources: (process.env.DISCOVERY_SOURCES || 'holders,trades').split(','),
+        maxTraders: envNumber('DISCOVERY_MAX_TRADERS', 100)
+    },
+    // Upper bounds for the discovery options a request may set; each one
+    // multiplies the upstream calls a run makes.
+    discoveryLimits: {
+        maxMarkets: envNumber('DISCOVERY_MAX_MARKETS_LIMIT', 2000),
+        topMarkets: envNumber('DISCOVERY_TOP_MARKETS_LIMIT', 50),
+        tradesPerMarket: envNumber('DISCOVERY_TRADES_PER_MARKET_LIMIT', 1000),
+        maxTraders: envNumber('DISCOVERY_MAX_TRADERS_LIMIT', 500)
+    },
+    backtest: {
+        bankroll: envNumber('BACKTEST_BANKROLL', 1000),
+        sizing: process.env.BACKTEST_SIZING || 'fixed',
+        amount: envNumber('BACKTEST_AMOUNT', null),
+        delaySeconds: envNumber('BACKTEST_DELAY_SECONDS', 0),
+        slippageBps: envNumber('BACKTEST_SLIPPAGE_BPS', 50),
+        feeBps: envNumber('BACKTEST_FEE_BPS', 0),
+        maxMarketTrades: envNumber('BACKTEST_MAX_MARKET_TRADES', 2000),
+        maxWallets: envNumber('BACKTEST_MAX_WALLETS', 10)
+    },
+    watchlist: {
+        pollSeconds: envNumber('WATCHLIST_POLL_SECONDS', 60),
+        webhooks: (process.env.WATCHLIST_WEBHOOKS || '').split(',').map(url => url.trim()).filter(Boolean),
+        // Hosts (`hooks.example.com`, `*.example.com`) per-wallet webhooks may
+        // point at; empty allows only the URLs in WATCHLIST_WEBHOOKS.
+        webhookHosts: (process.env.WATCHLIST_WEBHOOK_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+        webhookTimeoutMs: envNumber('WATCHLIST_WEBHOOK_TIMEOUT_MS', 10000),
+        maxTradesPerPoll: envNumber('WATCHLIST_MAX_TRADES_PER_POLL', 500)
+    },
+    scheduler: {
+        // Interval (`6h`) or five-field UTC cron expression; empty disables scheduled runs.
+        analysis: process.env.ANALYSIS_SCHEDULE || '',
+        stats: process.env.STATS_REFRESH_SCHEDULE || '15m'
+    },
+    access: {
+        // Comma-separated keys, each optionally `key:limit`; empty leaves the API open.
+        apiKeys: process.env.API_KEYS || '',
+        windowSeconds: envNumber('RATE_LIMIT_WINDOW_SECONDS', 3600),
+        perKey: envNumber('RATE_LIMIT_PER_KEY', 60),
+        perIp: envNumber('RATE_LIMIT_PER_IP', 10),
+        // Express `trust proxy` setting, so quotas see client IPs behind a proxy.
+        trustProxy: process.env.TRUST_PROXY || ''
+    },
+    consensus: {
+        enabled: process.env.CONSENSUS_REPORT !== 'off',
+        // Traders that must share a position or trait for it to be reported.
+        minTraders: envNumber('CONSENSUS_MIN_TRADERS', 2),
+        maxSupportingTrades: envNumber('CONSENSUS_SUPPORTING_TRADES', 10),
+        limit: envNumber('CONSENSUS_LIMIT', 10)
+    },
+    qa: {
+        // Most recent trades included in a question's prompt.
+        maxTrades: envNumber('QA_MAX_TRADES', 200),
+        historyTurns: envNumber('QA_HISTORY_TURNS', 6),
+        sessionTtlMinutes: envNumber('QA_SESSION_TTL_MINUTES', 30),
+        maxSessions: envNumber('QA_MAX_SESSIONS', 200),
+        maxQuestionLength: 500
+    },
+    marketFlow: {
+        maxWallets: envNumber('MARKET_FLOW_MAX_WALLETS', 50),
+        listLimit: envNumber('MARKET_FLOW_LIST_LIMIT', 10),
+        // Share of leaning wallets on one outcome for a market to count as agreed.
+        minAgreement: envNumber('MARKET_FLOW_MIN_AGREEMENT', 0.75)
+    },
+    ranking: {
+        rankBy: process.env.RANK_BY || 'profit',
+        minTrades: envNumber('RANK_MIN_TRADES', 5),
+        minCapital: envNumber('RANK_MIN_CAPITAL', 0),
+        limit: envNumber('RANK_LIMIT', 5),
+        // include, exclude or separate wallets the classifier flags
+        flagged: process.env.RANK_FLAGGED || 'include'
+    },
+    classifier: {
+        minTrades: envNumber('CLASSIFIER_MIN_TRADES', 20),
+        twoSidedRatio: envNumber('CLASSIFIER_TWO_SIDED_RATIO', 0.8),
+        marketMakerTradesPerDay: envNumber('CLASSIFIER_MARKET_MAKER_TRADES_PER_DAY', 10),
+        highFrequencyTradesPerDay: envNumber('CLASSIFIER_HIGH_FREQUENCY_TRADES_PER_DAY', 100),
+        minTradeValue: envNumber('CLASSIFIER_MIN_TRADE_VALUE', 5),
+        roundTripShare: envNumber('CLASSIFIER_ROUND_TRIP_SHARE', 0.5),
+        roundTripSeconds: envNumber('CLASSIFIER_ROUND_TRIP_SECONDS', 3600),
+        roundTripPriceTolerance: envNumber('CLASSIFIER_ROUND_TRIP_PRICE_TOLERANCE', 0.02)
+    },
+    explainer: {
+        provider: process.env.EXPLAINER_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'heuristic'),
+        fallback: process.env.EXPLAINER_FALLBACK ?? 'heuristic',
+        model: process.env.EXPLAINER_MODEL || 'gemini-2.5-flash',
+        maxAttempts: envNumber('EXPLAINER_MAX_ATTEMPTS', 2),
+        tokenBudget: envNumber('EXPLAINER_TOKEN_BUDGET', Infinity),
+        cache: process.env.EXPLAINER_CACHE !== 'off',
+        // USD per million tokens
+        pricing: {
+            'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+            'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+            'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+            'gemini-2.0-flash': { input: 0.10, output: 0.40 }
+        },
+        inputCostPerMTok: envNumber('EXPLAINER_INPUT_COST_PER_MTOK', null),
+        outputCostPerMTok: envNumber('EXPLAINER_OUTPUT_COST_PER_MTOK', null)
+    }
+};
@@ -0,0 +1,152 @@
+import { config } from './config.js';
+
+const EPSILON = 1e-9;
+
+export class ConsensusError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConsensusError';
+    }
+}
+
+// Whether to build the consensus report: true/false, on/off or 1/0.
+export function parseConsensusOption(value) {
+    if (value === undefined || value === null || value === '') return config.consensus.enabled;
+    if (typeof value === 'boolean') return value;
+    const text = String(value).toLowerCase();
+    if (['true', 'on', '1', 'yes'].includes(text)) return true;
+    if (['false', 'off', '0', 'no'].includes(text)) return false;
+    throw new ConsensusError(`Invalid consensus: ${value} (expected true or false)`);
+}
+
+function traderRef(trader) {
+    return { walletAddress: trader.walletAddress, name: trader.name, rank: trader.rank };
+}
+
+function largestTrades(entries, limit) {
+    return entries
+        .sort((a, b) => b.value - a.value || (b.timestamp || 0) - (a.timestamp || 0))
+        .slice(0, limit);
+}
+
+// Net flow per trader, market and outcome over the window's trades.
+function tallyPositions(traders) {
+    const positions = new Map();
+    for (const trader of traders) {
+        for (const trade of trader.trades || []) {
+            if (trade.action !== 'BUY' && trade.action !== 'SELL') continue;
+            const key = `${trade.market}\u0000${trade.outcome}\u0000${trader.walletAddress}`;
+            if (!positions.has(key)) {
+                positions.set(key, { market: trade.market, outcome: trade.outcome, trader, netShares: 0, value: 0, trades: [] });
+            }
+            const position = positions.get(key);
+            position.netShares += trade.action === 'BUY' ? trade.size : -trade.size;
+            position.value += trade.value;
+            position.trades.push({ ...traderRef(trader), ...trade });
+        }
+    }
+    return Array.from(positions.values()).filter(position => Math.abs(position.netShares) > EPSILON);
+}
+
+function groupBy(items, keyOf) {
+    const groups = new Map();
+    for (const item of items) {
+        const key = keyOf(item);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    }
+    return groups;
+}
+
+function direction(position) {
+    return position.netShares > 0 ? 'buying' : 'selling';
+}
+
+// Two stances conflict when one backs an outcome the other sells, or each
+// backs a different outcome of the same market.
+function conflicts(a, b) {
+    if (a.outcome === b.outcome) return a.direction !== b.direction;
+    return a.direction === 'buying' && b.direction === 'buying';
+}
+
+function sharedPositions(positions, { minTraders, maxTrades }) {
+    return Array.from(groupBy(positions, position => `${position.market}\u0000${position.outcome}\u0000${direction(position)}`).values())
+        .filter(group => group.length >= minTraders)
+        .map(group => ({
+            market: group[0].market,
+            outcome: group[0].outcome,
+            direction: direction(group[0]),
+            traders: group.map(position => ({ ...traderRef(position.trader), netShares: position.netShares, value: position.value })),
+            totalValue: group.reduce((sum, position) => sum + position.value, 0),
+            supportingTrades: largestTrades(group.flatMap(position => position.trades), maxTrades)
+        }))
+        .sort((a, b) => b.traders.length - a.traders.length || b.totalValue - a.totalValue);
+}
+
+// Each trader's stance in a market is its largest net position by value.
+function disagreements(positions, { maxTrades }) {
+    const result = [];
+    for (const group of groupBy(positions, position => position.market).values()) {
+        const stances = Array.from(groupBy(group, position => position.trader.walletAddress).values())
+            .map(held => held.sort((a, b) => b.value - a.value)[0])
+            .map(position => ({ ...traderRef(position.trader), outcome: position.outcome, direction: direction(position), netShares: position.netShares, position }));
+        const contested = stances.some((stance, i) => stances.slice(i + 1).some(other => conflicts(stance, other)));
+        if (!contested) continue;
+
+        result.push({
+            market: group[0].market,
+            stances: stances.map(({ position, ...stance }) => stance),
+            totalValue: stances.reduce((sum, stance) => sum + stance.position.value, 0),
+            supportingTrades: largestTrades(stances.flatMap(stance => stance.position.trades), maxTrades)
+        });
+    }
+    return result.sort((a, b) => b.stances.length - a.stances.length || b.totalValue - a.totalValue);
+}
+
+// Strategy-profile traits that several traders share, with each sharing
+// trader's top trades as the evidence.
+function sharedPatterns(traders, { minTraders, maxTrades }) {
+    const traits = [];
+    for (const trader of traders) {
+        const profile = trader.strategyProfile;
+        if (!profile) continue;
+        traits.push({ type: 'archetype', value: profile.archetype, trader });
+        traits.push({ type: 'holdingPeriod', value: profile.holdingPeriod, trader });
+        traits.push({ type: 'riskRating', value: profile.riskRating, trader });
+        for (const category of new Set(profile.categories.map(category => category.toLowerCase()))) {
+            traits.push({ type: 'category', value: category, trader });
+        }
+    }
+
+    return Array.from(groupBy(traits, trait => `${trait.type}\u0000${trait.value}`).values())
+        .filter(group => group.length >= minTraders)
+        .map(group => ({
+            type: group[0].type,
+            value: group[0].value,
+            traders: group.map(trait => traderRef(trait.trader)),
+            supportingTrades: largestTrades(group.flatMap(trait => (trait.trader.topTrades || []).map(trade => ({ ...traderRef(trait.trader), ...trade }))), maxTrades)
+        }))
+        .sort((a, b) => b.traders.length - a.traders.length);
+}
+
+/**
+ * What the ranked traders have in common, from their window trades and
+ * strategy profiles: outcomes several of them are net buying or selling,
+ * markets where their positions conflict, and shared strategy traits. Every
+ * entry lists its largest supporting trades. `traders` are ranked results
+ * with their full `trades`.
+ */
+export function buildConsensus(traders, {
+    minTraders = config.consensus.minTraders,
+    maxTrades = config.consensus.maxSupportingTrades,
+    limit = config.consensus.limit
+} = {}) {
+    const positions = tallyPositions(traders);
+    return {
+        traders: traders.length,
+        minTraders,
+        shared: sharedPositions(positions, { minTraders, maxTrades }).slice(0, limit),
+        disagreements: disagreements(positions, { maxTrades }).slice(0, limit),
+        patterns: sharedPatterns(traders, { minTraders, maxTrades }).slice(0, limit)
+    };
+}
@@ -0,0 +1,220 @@
+import { polymarket } from './polymarket.js';
+import { config } from './config.js';
+import { mapPool } from './pool.js';
+
+export const DISCOVERY_SOURCES = ['holders', 'trades'];
+
+const NUMERIC_OPTIONS = [
+    'maxMarkets',
+    'topMarkets',
+    'minVolume',
+    'minLiquidity',
+    'holdersPerMarket',
+    'tradesPerMarket',
+    'maxTraders'
+];
+
+export class DiscoveryOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DiscoveryOptionsError';
+    }
+}
+
+/**
+ * Merges user-supplied discovery options (from query strings, JSON bodies or
+ * CLI flags, so numbers may arrive as strings) over the configured defaults.
+ * Options that scale the number of upstream calls are capped by
+ * `config.discoveryLimits`.
+ */
+export function parseDiscoveryOptions(params = {}) {
+    const options = { ...config.discovery };
+
+    for (const key of NUMERIC_OPTIONS) {
+        if (params[key] === undefined || params[key] === '') continue;
+        const value = Number(params[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new DiscoveryOptionsError(`Invalid ${key}: ${params[key]}`);
+        }
+        const limit = config.discoveryLimits[key];
+        if (limit !== undefined && value > limit) {
+            throw new DiscoveryOptionsError(`Invalid ${key}: ${params[key]} (max ${limit})`);
+        }
+        options[key] = value;
+    }
+
+    if (params.category !== undefined) options.category = params.category || null;
+    if (params.tag !== undefined) options.tag = params.tag || null;
+
+    if (params.sources !== undefined) {
+        const sources = Array.isArray(params.sources) ? params.sources : String(params.sources).split(',');
+        options.sources = sources.map(source => source.trim()).filter(Boolean);
+        const unknown = options.sources.find(source => !DISCOVERY_SOURCES.includes(source));
+        if (unknown || options.sources.length === 0) {
+            throw new DiscoveryOptionsError(`Invalid sources: ${params.sources} (expected ${DISCOVERY_SOURCES.join(', ')})`);
+        }
+    }
+
+    return options;
+}
+
+function marketLabels(market) {
+    const labels = [market.category];
+    const tags = [...(market.tags || []), ...(market.events || []).flatMap(event => event.tags || [])];
+    for (const tag of tags) {
+        labels.push(tag.label, tag.slug);
+    }
+    return labels.filter(Boolean).map(label => String(label).toLowerCase());
+}
+
+function matchesFilters(market, options) {
+    if ((market.volumeNum || 0) < options.minVolume) return false;
+    if ((market.liquidityNum || 0) < options.minLiquidity) return false;
+
+    for (const filter of [options.category, options.tag]) {
+        if (filter && !/^\d+$/.test(filter) && !marketLabels(market).includes(filter.toLowerCase())) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function addCandidate(candidates, wallet, name, source, market, value) {
+    if (!wallet) return;
+    if (!candidates.has(wallet)) {
+        candidates.set(wallet, {
+            walletAddress: wallet,
+            name: name || 'Anonymous',
+            sources: new Set(),
+            markets: new Set(),
+            observedValue: 0
+        });
+    }
+    const candidate = candidates.get(wallet);
+    if (candidate.name === 'Anonymous' && name) candidate.name = name;
+    candidate.sources.add(source);
+    candidate.markets.add(market.conditionId);
+    candidate.observedValue += value;
+}
+
+/**
+ * The highest-volume active markets that pass the configured filters, plus how
+ * many markets were scanned to find them.
+ */
+export async function selectMarkets(options = config.discovery, { client = polymarket } = {}) {
+    const marketParams = { active: true, closed: false, order: 'volumeNum', ascending: false };
+    if (options.minVolume > 0) marketParams.volume_num_min = options.minVolume;
+    if (options.minLiquidity > 0) marketParams.liquidity_num_min = options.minLiquidity;
+    if (options.tag && /^\d+$/.test(options.tag)) marketParams.tag_id = options.tag;
+
+    const markets = await client.getMarkets(marketParams, { maxItems: options.maxMarkets });
+    const selected = markets
+        .filter(market => market.conditionId && matchesFilters(market, options))
+        .sort((a, b) => (b.volumeNum || 0) - (a.volumeNum || 0))
+        .slice(0, options.topMarkets);
+
+    return { markets: selected, scanned: markets.length };
+}
+
+/**
+ * Builds the candidate trader universe from current holders and recent trade
+ * flow across the highest-volume markets that pass the configured filters.
+ * Up to `concurrency` markets are fetched at once; candidates are still merged
+ * in market order so the result doesn't depend on which request finished first.
+ */
+export async function discoverTraders(options = config.discovery, {
+    client = polymarket,
+    log = () => {},
+    onProgress = () => {},
+    signal = null,
+    concurrency = config.concurrency
+} = {}) {
+    const { markets: selectedMarkets, scanned } = await selectMarkets(options, { client });
+
+    log(`Scanning ${selectedMarkets.length} of ${scanned} markets for active traders...`);
+
+    const candidates = new Map();
+    let failedRequests = 0;
+    let fetched = 0;
+    const sourceWallets = Object.fromEntries(options.sources.map(source => [source, new Set()]));
+
+    onProgress({ stage: 'markets', scanned: 0, total: selectedMarkets.length });
+
+    const marketData = await mapPool(selectedMarkets, async market => {
+        const data = { holders: [], trades: [] };
+
+        if (sourceWallets.holders) {
+            try {
+                data.holders = await client.getHolders(market.conditionId, { limit: options.holdersPerMarket });
+            } catch (error) {
+                failedRequests++;
+                log(`Skipping holders for ${market.conditionId}: ${error.message}`);
+            }
+        }
+
+        if (sourceWallets.trades) {
+            try {
+                data.trades = await client.getTrades({ market: market.conditionId }, {
+                    maxItems: options.tradesPerMarket
+                });
+            } catch (error) {
+                failedRequests++;
+                log(`Skipping trades for ${market.conditionId}: ${error.message}`);
+            }
+        }
+
+        onProgress({ stage: 'markets', scanned: ++fetched, total: selectedMarkets.length });
+        return data;
+    }, { concurrency, signal });
+
+    selectedMarkets.forEach((market, i) => {
+        for (const tokenData of marketData[i].holders) {
+            if (!Array.isArray(tokenData.holders)) continue;
+            for (const holder of tokenData.holders) {
+                addCandidate(candidates, holder.proxyWallet, holder.name || holder.pseudonym,
+                    'holders', market, parseFloat(holder.amount) || 0);
+                if (holder.proxyWallet) sourceWallets.holders.add(holder.proxyWallet);
+            }
+        }
+
+        for (const trade of marketData[i].trades) {
+            const value = (parseFloat(trade.price) || 0) * (parseFloat(trade.size) || 0);
+            addCandidate(candidates, trade.proxyWallet, trade.name || trade.pseudonym, 'trades', market, value);
+            if (trade.proxyWallet) sourceWallets.trades.add(trade.proxyWallet);
+        }
+    });
+
+    // Wallets seen across more markets and sources first, then by observed size.
+    const ranked = Array.from(candidates.values()).sort((a, b) =>
+        (b.markets.size - a.markets.size) ||
+        (b.sources.size - a.sources.size) ||
+        (b.observedValue - a.observedValue));
+
+    const traders = ranked.slice(0, options.maxTraders).map(candidate => ({
+        walletAddress: candidate.walletAddress,
+        name: candidate.name,
+        sources: Array.from(candidate.sources),
+        marketCount: candidate.markets.size
+    }));
+
+    return {
+        traders,
+        markets: selectedMarkets.map(market => ({
+            conditionId: market.conditionId,
+            question: market.question,
+            category: market.category || null,
+            volume: market.volumeNum || 0,
+            liquidity: market.liquidityNum || 0
+        })),
+        counts: {
+            marketsScanned: scanned,
+            marketsSelected: selectedMarkets.length,
+            bySource: Object.fromEntries(
+                Object.entries(sourceWallets).map(([source, wallets]) => [source, wallets.size])),
+            inMultipleSources: ranked.filter(candidate => candidate.sources.size > 1).length,
+            uniqueWallets: candidates.size,
+            selected: traders.length,
+            failedRequests: failedRequests
+        }
+    };
+}
@@ -0,0 +1,50 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { config } from '../config.js';
+import { PROMPT_VERSION, promptTrades } from '../strategy.js';
+
+// Keyed by the trades actually sent to the model, the prompt version and the
+// provider/model, plus the window and the PnL to the cent since the summary
+// quotes both. A rerun over the same window with unchanged trades is a hit.
+export function explanationCacheKey(trades, explainer, { profit = 0, window = null, windowLabel = window ? window.label : null } = {}) {
+    return createHash('sha256')
+        .update(JSON.stringify({
+            promptVersion: PROMPT_VERSION,
+            provider: explainer.name,
+            model: explainer.model,
+            window: { label: windowLabel, from: window ? window.from : null, to: window ? window.to : null },
+            profit: Math.round(profit * 100) / 100,
+            trades: promptTrades(trades)
+        }))
+        .digest('hex');
+}
+
+/**
+ * File-backed cache of strategy explanations, one `<key>.json` per entry.
+ * Read and write failures are treated as misses so a broken cache never
+ * fails an analysis run.
+ */
+export function createExplanationCache(dir = path.join(config.dataDir, 'explanations')) {
+    async function get(key) {
+        try {
+            return JSON.parse(await readFile(path.join(dir, `${key}.json`), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function set(key, value) {
+        const file = path.join(dir, `${key}.json`);
+        const tmp = `${file}.${process.pid}.tmp`;
+        try {
+            await mkdir(dir, { recursive: true });
+            await writeFile(tmp, JSON.stringify({ ...value, cachedAt: new Date().toISOString() }));
+            await rename(tmp, file);
+        } catch (error) {
+            return;
+        }
+    }
+
+    return { get, set };
+}
@@ -0,0 +1,8 @@
+export class ExplainerError extends Error {
+    constructor(message, { provider = null, usage = null } = {}) {
+        super(message);
+        this.name = 'ExplainerError';
+        this.provider = provider;
+        this.usage = usage;
+    }
+}
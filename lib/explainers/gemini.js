@@ -0,0 +1,95 @@
+import { GoogleGenAI } from '@google/genai';
+import { buildStrategyPrompt, strategySchema, validateStrategy } from '../strategy.js';
+import { buildQaPrompt, qaSchema, validateAnswer } from '../qa.js';
+import { ExplainerError } from './errors.js';
+
+function parseReply(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gemini-backed explainer. Malformed replies are retried up to `maxAttempts`
+ * times; if none validates, the last reply's text (when it isn't JSON) is kept
+ * as a plain summary with no profile. API failures throw `ExplainerError`.
+ * `ask` answers questions about the trades the same way, but has no plain-text
+ * fallback since an answer needs its citations.
+ */
+export function createGeminiExplainer({
+    apiKey = process.env.GEMINI_API_KEY || '',
+    model = 'gemini-2.5-flash',
+    maxAttempts = 2,
+    ai = null,
+    log = () => {}
+} = {}) {
+    const client = ai || new GoogleGenAI({ apiKey });
+
+    // Calls the model until `validate` accepts a reply. Resolves to the valid
+    // value (or null) and the last non-JSON reply text. An aborted `signal`
+    // rejects with its reason rather than an `ExplainerError`.
+    async function generate(prompt, schema, validate, usage, kind, signal = null) {
+        let text = '';
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            let response;
+            try {
+                response = await client.models.generateContent({
+                    model: model,
+                    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                    config: {
+                        responseMimeType: 'application/json',
+                        responseSchema: schema,
+                        ...(signal ? { abortSignal: signal } : {})
+                    }
+                });
+            } catch (error) {
+                signal?.throwIfAborted();
+                throw new ExplainerError(`Gemini request failed: ${error.message}`, { provider: 'gemini', usage });
+            }
+
+            const metadata = response.usageMetadata || {};
+            usage.inputTokens += metadata.promptTokenCount || 0;
+            usage.outputTokens += (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0);
+
+            const parsed = parseReply(response.text || '');
+            const { valid, value, errors } = validate(parsed);
+            if (valid) {
+                return { value, text: null };
+            }
+            if (!parsed && (response.text || '').trim()) {
+                text = response.text.trim();
+            }
+            log(`Malformed ${kind} reply (attempt ${attempt}/${maxAttempts}): ${errors.join('; ')}`);
+        }
+        return { value: null, text: text || null };
+    }
+
+    async function explain({ trades, profit, windowLabel, categoryBreakdown = [], signal = null }) {
+        const usage = { model, inputTokens: 0, outputTokens: 0 };
+        const { value, text } = await generate(buildStrategyPrompt(trades, profit, windowLabel, categoryBreakdown), strategySchema, validateStrategy, usage, 'strategy', signal);
+
+        if (value) {
+            const { summary, ...profile } = value;
+            return { summary, profile, usage };
+        }
+        if (!text) {
+            throw new ExplainerError('Gemini returned no usable strategy', { provider: 'gemini', usage });
+        }
+        return { summary: text, profile: null, usage };
+    }
+
+    async function ask(context) {
+        const usage = { model, inputTokens: 0, outputTokens: 0 };
+        const tradeIds = new Set(context.trades.map(trade => trade.id));
+        const { value } = await generate(buildQaPrompt(context), qaSchema, reply => validateAnswer(reply, tradeIds), usage, 'answer');
+
+        if (!value) {
+            throw new ExplainerError('Gemini returned no usable answer', { provider: 'gemini', usage });
+        }
+        return { ...value, usage };
+    }
+
+    return { name: 'gemini', model, usesTokens: true, explain, ask };
+}
@@ -0,0 +1,246 @@
+const CATEGORY_KEYWORDS = {
+    politics: ['election', 'president', 'trump', 'biden', 'senate', 'congress', 'governor', 'mayor', 'nominee', 'primary', 'vote', 'parliament', 'prime minister'],
+    sports: [' vs', 'nba', 'nfl', 'mlb', 'nhl', 'ufc', 'premier league', 'champions league', 'world cup', 'super bowl', 'match', 'game', 'championship', 'fc '],
+    crypto: ['bitcoin', 'btc', 'ethereum', 'eth', 'solana', 'crypto', 'token', 'coin'],
+    economics: ['fed ', 'interest rate', 'inflation', 'cpi', 'gdp', 'recession', 'unemployment', 'rate cut'],
+    culture: ['oscar', 'grammy', 'album', 'movie', 'box office', 'spotify', 'tweet', 'elon'],
+    geopolitics: ['war', 'ceasefire', 'ukraine', 'russia', 'israel', 'china', 'iran', 'nato']
+};
+
+const ARCHETYPE_DESCRIPTIONS = {
+    'market-making': 'trading both sides of the same markets to earn the spread rather than betting on outcomes',
+    'near-resolution-arbitrage': 'buying near-certain outcomes just before they resolve to collect the last few cents',
+    'favourite-backing': 'backing the favourite and accepting small payouts in exchange for a high hit rate',
+    'longshot': 'buying cheap, unlikely outcomes where a single win can pay many times the stake',
+    'momentum': 'buying into moving prices and selling into strength instead of waiting for resolution',
+    'event-driven': 'taking mid-priced positions ahead of specific events and mostly holding them',
+    'other': 'a mix of approaches without one dominant pattern'
+};
+
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))));
+    return sorted[index];
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function detectCategories(markets) {
+    const counts = new Map();
+    for (const market of markets) {
+        const title = ` ${market.toLowerCase()} `;
+        for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+            if (keywords.some(keyword => title.includes(keyword))) {
+                counts.set(category, (counts.get(category) || 0) + 1);
+            }
+        }
+    }
+    return Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, 3)
+        .map(([category]) => category);
+}
+
+// Gamma's categories when the trades' markets have them, else guessed from titles.
+function tradeCategories(categoryBreakdown, markets) {
+    const known = categoryBreakdown
+        .filter(entry => entry.category !== 'Uncategorized')
+        .slice(0, 3)
+        .map(entry => entry.category.toLowerCase());
+    return known.length > 0 ? known : detectCategories(markets);
+}
+
+function holdingPeriodFor(hours, sellShare) {
+    if (hours === null || hours === undefined) {
+        return sellShare < 0.1 ? 'to-resolution' : 'days';
+    }
+    if (hours < 1) return 'minutes';
+    if (hours < 24) return 'hours';
+    if (hours < 24 * 7) return 'days';
+    return 'weeks';
+}
+
+/**
+ * Describes a trader's activity from their trade statistics. Every input
+ * maps to the same output, so this works offline and in tests.
+ */
+export function describeTrades({ trades, profit, windowLabel, metrics = null, categoryBreakdown = [] }) {
+    const buys = trades.filter(trade => trade.action === 'BUY');
+    const sells = trades.filter(trade => trade.action === 'SELL');
+    const sellShare = trades.length > 0 ? sells.length / trades.length : 0;
+
+    const entryPrices = (buys.length > 0 ? buys : trades).map(trade => trade.price).sort((a, b) => a - b);
+    const band = { min: round(percentile(entryPrices, 0.2)), max: round(percentile(entryPrices, 0.8)) };
+    const medianEntry = percentile(entryPrices, 0.5);
+
+    const byMarket = new Map();
+    for (const trade of trades) {
+        const market = byMarket.get(trade.market) || { buys: [], sells: [], value: 0 };
+        (trade.action === 'SELL' ? market.sells : market.buys).push(trade.price);
+        market.value += trade.value;
+        byMarket.set(trade.market, market);
+    }
+    const twoSided = Array.from(byMarket.values()).filter(market => market.buys.length > 0 && market.sells.length > 0);
+    const twoSidedShare = byMarket.size > 0 ? twoSided.length / byMarket.size : 0;
+    const sellEdge = average(twoSided.map(market => average(market.sells) - average(market.buys)));
+
+    const avgHoldingHours = metrics ? metrics.avgHoldingHours : null;
+    const topMarketShare = metrics ? metrics.topMarketShare : null;
+
+    let archetype = 'other';
+    if (trades.length >= 20 && twoSidedShare >= 0.5 && sellShare >= 0.35 && sellShare <= 0.65) {
+        archetype = 'market-making';
+    } else if (medianEntry >= 0.9) {
+        archetype = 'near-resolution-arbitrage';
+    } else if (medianEntry >= 0.65) {
+        archetype = 'favourite-backing';
+    } else if (medianEntry <= 0.25) {
+        archetype = 'longshot';
+    } else if (sellEdge !== null && sellEdge > 0 && (avgHoldingHours === null || avgHoldingHours <= 48)) {
+        archetype = 'momentum';
+    } else if (sellShare < 0.1) {
+        archetype = 'event-driven';
+    }
+
+    let riskScore = medianEntry <= 0.25 ? 2 : medianEntry >= 0.65 ? 0 : 1;
+    if (topMarketShare !== null && topMarketShare > 0.6) riskScore++;
+    const riskRating = ['low', 'medium', 'high'][Math.min(2, riskScore)];
+
+    const categories = tradeCategories(categoryBreakdown, Array.from(byMarket.keys()));
+    const holdingPeriod = holdingPeriodFor(avgHoldingHours, sellShare);
+    const confidence = round(Math.min(0.9, 0.2 + 0.1 * Math.log2(trades.length + 1)));
+
+    const hours = new Array(24).fill(0);
+    let weekend = 0;
+    for (const trade of trades) {
+        if (!trade.timestamp) continue;
+        const date = new Date(trade.timestamp * 1000);
+        hours[date.getUTCHours()]++;
+        if (date.getUTCDay() === 0 || date.getUTCDay() === 6) weekend++;
+    }
+    const peakHour = hours.indexOf(Math.max(...hours));
+
+    const sentences = [
+        `Over the ${windowLabel} this trader made ${trades.length} trades (${Math.round((1 - sellShare) * 100)}% buys) across ${byMarket.size} market${byMarket.size === 1 ? '' : 's'}` +
+            (categories.length > 0 ? `, mostly in ${categories.join(', ')}.` : '.'),
+        `They typically enter between ${band.min.toFixed(2)} and ${band.max.toFixed(2)}, which points to ${ARCHETYPE_DESCRIPTIONS[archetype]}.`
+    ];
+
+    if (sells.length === 0) {
+        sentences.push('They did not sell anything in this window, so positions are held towards resolution.');
+    } else if (sellEdge !== null) {
+        sentences.push(`Where they traded both sides, they sold on average ${Math.abs(sellEdge * 100).toFixed(1)} cents ${sellEdge >= 0 ? 'above' : 'below'} their buys.`);
+    }
+
+    if (topMarketShare !== null) {
+        sentences.push(topMarketShare > 0.6
+            ? `Risk is concentrated: ${Math.round(topMarketShare * 100)}% of their volume sits in one market.`
+            : `Risk is spread out, with no market taking more than ${Math.round(topMarketShare * 100)}% of their volume.`);
+    }
+
+    if (metrics && metrics.avgHoursToResolution !== null && metrics.avgHoursToResolution !== undefined) {
+        const hours = metrics.avgHoursToResolution;
+        sentences.push(`They buy on average ${hours < 48 ? `${hours.toFixed(0)} hours` : `${(hours / 24).toFixed(0)} days`} before a market's scheduled end.`);
+    }
+
+    if (trades.length >= 5) {
+        sentences.push(`Activity peaks around ${String(peakHour).padStart(2, '0')}:00 UTC` +
+            (weekend / trades.length > 0.4 ? ' and a large share happens at weekends.' : '.'));
+    }
+
+    sentences.push(profit >= 0
+        ? `The approach returned $${profit.toFixed(2)} in this window.`
+        : `The approach lost $${Math.abs(profit).toFixed(2)} in this window, so copy it with caution.`);
+
+    return {
+        summary: sentences.join(' '),
+        profile: {
+            archetype,
+            categories,
+            entryPriceBand: band,
+            holdingPeriod,
+            riskRating,
+            confidence
+        }
+    };
+}
+
+const QUESTION_STOPWORDS = new Set([
+    'about', 'after', 'average', 'before', 'bought', 'buying', 'buys', 'could', 'does', 'early', 'entry', 'exit',
+    'exits', 'exited', 'favorite', 'favorites', 'favourite', 'favourites', 'from', 'have', 'into', 'late',
+    'longshot', 'longshots', 'market', 'markets', 'much', 'many', 'position', 'positions', 'price', 'sell',
+    'selling', 'sells', 'should', 'sold', 'that', 'their', 'them', 'they', 'this', 'trade', 'trader', 'trades',
+    'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your'
+]);
+
+function questionTerms(question) {
+    return (question.toLowerCase().match(/[a-z0-9]+/g) || [])
+        .filter(word => word.length >= 4 && !QUESTION_STOPWORDS.has(word));
+}
+
+/**
+ * Answers a question from the trades alone: narrows them by side, price band
+ * (longshots, favourites) and words shared with market titles or outcomes,
+ * then reports counts, values and average prices of what is left. Cites the
+ * largest matching trades.
+ */
+export function answerFromTrades({ question, trades }) {
+    const text = question.toLowerCase();
+    let matching = trades;
+
+    if (/\b(sell|sells|sold|selling|exit|exits|exited)\b/.test(text)) {
+        matching = matching.filter(trade => trade.action === 'SELL');
+    } else if (/\b(buy|buys|bought|buying)\b/.test(text)) {
+        matching = matching.filter(trade => trade.action === 'BUY');
+    }
+    if (/longshot/.test(text)) {
+        matching = matching.filter(trade => trade.price <= 0.25);
+    } else if (/favou?rite/.test(text)) {
+        matching = matching.filter(trade => trade.price >= 0.65);
+    }
+    const terms = questionTerms(question);
+    const byTerm = matching.filter(trade => terms.some(term => `${trade.market} ${trade.outcome}`.toLowerCase().includes(term)));
+    if (byTerm.length > 0) matching = byTerm;
+
+    if (matching.length === 0) {
+        return { answer: 'None of their trades in this window match that question.', citations: [] };
+    }
+
+    const buys = matching.filter(trade => trade.action === 'BUY');
+    const sells = matching.filter(trade => trade.action === 'SELL');
+    const value = matching.reduce((sum, trade) => sum + trade.value, 0);
+    const markets = new Set(matching.map(trade => trade.market));
+    const parts = [
+        `${matching.length === trades.length ? 'Across all' : 'Looking at'} ${matching.length} trade${matching.length === 1 ? '' : 's'} ` +
+            `in ${markets.size} market${markets.size === 1 ? '' : 's'} (${buys.length} buys, ${sells.length} sells) worth $${value.toFixed(2)}.`
+    ];
+    if (buys.length > 0) {
+        parts.push(`They bought at an average price of ${average(buys.map(trade => trade.price)).toFixed(3)}.`);
+    }
+    if (sells.length > 0) {
+        parts.push(`They sold at an average price of ${average(sells.map(trade => trade.price)).toFixed(3)}.`);
+    }
+    parts.push('This rule-based answer only summarises the matching trades; it cannot explain intent.');
+
+    return {
+        answer: parts.join(' '),
+        citations: [...matching].sort((a, b) => b.value - a.value).slice(0, 5).map(trade => trade.id)
+    };
+}
+
+export function createHeuristicExplainer() {
+    return {
+        name: 'heuristic',
+        model: null,
+        usesTokens: false,
+        explain: async context => describeTrades(context),
+        ask: async context => answerFromTrades(context)
+    };
+}
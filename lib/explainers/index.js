@@ -0,0 +1,171 @@
+import { config } from '../config.js';
+import { createExplanationCache, explanationCacheKey } from './cache.js';
+import { ExplainerError } from './errors.js';
+import { createGeminiExplainer } from './gemini.js';
+import { createHeuristicExplainer } from './heuristic.js';
+import { createUsageTracker, parseTokenBudget } from './usage.js';
+
+export { ExplainerError, createExplanationCache, createUsageTracker, parseTokenBudget };
+
+const providers = new Map([
+    ['gemini', createGeminiExplainer],
+    ['heuristic', createHeuristicExplainer]
+]);
+
+// An explainer factory takes its options and returns
+// `{ name, model, usesTokens, explain({ trades, profit, windowLabel, metrics, categoryBreakdown }) }`
+// resolving to `{ summary, profile, usage? }`. Only `usesTokens` explainers are
+// cached and counted against the token budget. Explainers that can answer
+// questions also have `ask({ question, history, trades, metrics, markets,
+// profit, windowLabel })` resolving to `{ answer, citations, usage? }`, where
+// `trades` carry the ids (`T1`...) that `citations` refer to.
+export function registerExplainer(name, factory) {
+    providers.set(name, factory);
+}
+
+export function listExplainers() {
+    return Array.from(providers.keys());
+}
+
+export function createExplainer({ provider = config.explainer.provider, ...options } = {}) {
+    const factory = providers.get(provider);
+    if (!factory) {
+        throw new ExplainerError(`Unknown explainer provider: ${provider} (expected one of ${listExplainers().join(', ')})`, { provider });
+    }
+    return factory({ model: config.explainer.model, maxAttempts: config.explainer.maxAttempts, ...options });
+}
+
+let defaultExplainer = null;
+let defaultFallback = undefined;
+
+function getDefaultExplainer() {
+    if (!defaultExplainer) {
+        defaultExplainer = createExplainer();
+    }
+    return defaultExplainer;
+}
+
+function getDefaultFallback() {
+    if (defaultFallback === undefined) {
+        const name = config.explainer.fallback;
+        defaultFallback = name && name !== config.explainer.provider ? createExplainer({ provider: name }) : null;
+    }
+    return defaultFallback;
+}
+
+async function runExplainer(explainer, context, usage, method = 'explain') {
+    try {
+        const { usage: callUsage, ...result } = await explainer[method](context);
+        if (explainer.usesTokens) usage?.record(callUsage);
+        return result;
+    } catch (error) {
+        if (explainer.usesTokens) usage?.record(error.usage);
+        throw error;
+    }
+}
+
+/**
+ * Explains a trader's strategy with the configured provider. If it fails and a
+ * fallback provider is configured, the fallback's explanation is used instead.
+ *
+ * Token-using providers go through `cache` first (a hit skips the call) and
+ * are reported to the `usage` tracker; once its budget is exhausted they are
+ * not called and the fallback answers instead. Aborting `signal` cancels the
+ * provider call and rejects without trying the fallback.
+ */
+export async function explainStrategy(rawTradeData, weeklyProfit, {
+    window = null,
+    windowLabel = window ? window.label : 'last 7 days',
+    metrics = null,
+    categoryBreakdown = [],
+    explainer = getDefaultExplainer(),
+    fallback = getDefaultFallback(),
+    cache = null,
+    usage = null,
+    signal = null,
+    log = () => {}
+} = {}) {
+    if (!rawTradeData || rawTradeData.length === 0) {
+        return { summary: 'No trade data available to analyze.', profile: null, provider: null };
+    }
+    signal?.throwIfAborted();
+
+    const context = { trades: rawTradeData, profit: weeklyProfit, windowLabel, metrics, categoryBreakdown, signal };
+    const cacheKey = cache && explainer.usesTokens ? explanationCacheKey(rawTradeData, explainer, { profit: weeklyProfit, window, windowLabel }) : null;
+
+    if (cacheKey) {
+        const hit = await cache.get(cacheKey);
+        if (hit) {
+            usage?.recordCacheHit();
+            return { summary: hit.summary, profile: hit.profile, provider: explainer.name, cached: true };
+        }
+    }
+
+    if (explainer.usesTokens && usage?.exhausted()) {
+        usage.recordSkip();
+        log(`Token budget exhausted, not calling ${explainer.name}`);
+        if (!fallback || fallback.usesTokens) {
+            return { summary: 'AI analysis skipped: token budget exhausted.', profile: null, provider: null };
+        }
+    } else {
+        try {
+            const result = await runExplainer(explainer, context, usage);
+            if (cacheKey && result.profile) {
+                await cache.set(cacheKey, result);
+            }
+            return { ...result, provider: explainer.name };
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            log(`Error generating strategy explanation: ${error.message}`);
+            if (!fallback) {
+                return { summary: 'Error analyzing trade data with AI.', profile: null, provider: explainer.name };
+            }
+        }
+    }
+
+    const result = await runExplainer(fallback, context, usage);
+    return { ...result, provider: fallback.name };
+}
+
+function canAsk(explainer) {
+    return Boolean(explainer) && typeof explainer.ask === 'function';
+}
+
+/**
+ * Answers a question about a wallet's trades, falling back like
+ * `explainStrategy` when the provider fails, is over the token budget or
+ * can't answer questions. Answers are not cached. Throws `ExplainerError` when
+ * no provider could answer.
+ */
+export async function askAboutTrades(context, {
+    explainer = getDefaultExplainer(),
+    fallback = getDefaultFallback(),
+    usage = null,
+    log = () => {}
+} = {}) {
+    if (context.trades.length === 0) {
+        return { answer: 'No trades in this window to answer from.', citations: [], provider: null };
+    }
+
+    let failure = null;
+    if (!canAsk(explainer)) {
+        failure = `${explainer.name} cannot answer questions`;
+    } else if (explainer.usesTokens && usage?.exhausted()) {
+        usage.recordSkip();
+        failure = 'token budget exhausted';
+    } else {
+        try {
+            const result = await runExplainer(explainer, context, usage, 'ask');
+            return { ...result, provider: explainer.name };
+        } catch (error) {
+            failure = error.message;
+        }
+    }
+
+    log(`Not answered by ${explainer.name}: ${failure}`);
+    if (!canAsk(fallback) || (fallback.usesTokens && usage?.exhausted())) {
+        throw new ExplainerError(`Could not answer the question: ${failure}`, { provider: explainer.name });
+    }
+    const result = await runExplainer(fallback, context, usage, 'ask');
+    return { ...result, provider: fallback.name };
+}
@@ -0,0 +1,70 @@
+import { config } from '../config.js';
+import { ExplainerError } from './errors.js';
+
+function priceFor(model) {
+    const pricing = config.explainer.pricing[model] || { input: 0, output: 0 };
+    return {
+        input: config.explainer.inputCostPerMTok ?? pricing.input,
+        output: config.explainer.outputCostPerMTok ?? pricing.output
+    };
+}
+
+export function parseTokenBudget(value) {
+    if (value === undefined || value === null || value === '') {
+        return config.explainer.tokenBudget;
+    }
+    const budget = Number(value);
+    if (!Number.isInteger(budget) || budget < 0) {
+        throw new ExplainerError(`Invalid token budget: ${value} (expected a non-negative integer)`);
+    }
+    return budget;
+}
+
+/**
+ * Per-run accounting of explainer calls: tokens, estimated cost and cache
+ * hits. Once `tokenBudget` tokens are used, `exhausted()` turns true and no
+ * further model calls should be made; the call that crosses the budget is
+ * still counted in full.
+ */
+export function createUsageTracker({ tokenBudget = config.explainer.tokenBudget } = {}) {
+    const totals = {
+        calls: 0,
+        cacheHits: 0,
+        skippedForBudget: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        estimatedCostUsd: 0
+    };
+
+    function record(usage) {
+        if (!usage) return;
+        const price = priceFor(usage.model);
+        totals.calls++;
+        totals.inputTokens += usage.inputTokens;
+        totals.outputTokens += usage.outputTokens;
+        totals.estimatedCostUsd += (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+    }
+
+    function recordCacheHit() {
+        totals.cacheHits++;
+    }
+
+    function recordSkip() {
+        totals.skippedForBudget++;
+    }
+
+    function exhausted() {
+        return totals.inputTokens + totals.outputTokens >= tokenBudget;
+    }
+
+    function summary() {
+        return {
+            ...totals,
+            totalTokens: totals.inputTokens + totals.outputTokens,
+            tokenBudget: Number.isFinite(tokenBudget) ? tokenBudget : null,
+            budgetExhausted: exhausted()
+        };
+    }
+
+    return { record, recordCacheHit, recordSkip, exhausted, summary };
+}
@@ -0,0 +1,293 @@
+import { RANK_KEYS } from './ranking.js';
+
+export const EXPORT_FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+export const CSV_ROWS = ['traders', 'trades'];
+
+export class ExportOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExportOptionsError';
+    }
+}
+
+export function parseExportOptions({ format, rows } = {}) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new ExportOptionsError(`Invalid format: ${format} (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    const csvRows = rows || 'traders';
+    if (!CSV_ROWS.includes(csvRows)) {
+        throw new ExportOptionsError(`Invalid rows: ${rows} (expected one of ${CSV_ROWS.join(', ')})`);
+    }
+    return { format, rows: csvRows };
+}
+
+// Picks the format from an output file's extension, e.g. `report.md`.
+export function formatFromPath(file) {
+    const extension = String(file).split('.').pop().toLowerCase();
+    const format = Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key].extension === extension);
+    if (!format) {
+        throw new ExportOptionsError(`Cannot infer the format of ${file}; pass --format json|csv|md`);
+    }
+    return format;
+}
+
+function isoTime(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : '';
+}
+
+function round(value, digits = 4) {
+    if (value === null || value === undefined) return '';
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function money(value) {
+    const number = value || 0;
+    return `${number < 0 ? '-' : ''}$${Math.abs(number).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function percent(value) {
+    return value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+// Quotes fields that need it and defuses spreadsheet formulas in text cells.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return values.map(csvField).join(',');
+}
+
+function traderColumns(trader) {
+    const metrics = trader.metrics || {};
+    const profile = trader.strategyProfile || {};
+    return {
+        rank: trader.rank,
+        name: trader.name,
+        wallet: trader.walletAddress,
+        total_pnl: round(trader.weeklyProfit, 2),
+        realized_pnl: round(trader.realizedPnl, 2),
+        unrealized_pnl: round(trader.unrealizedPnl, 2),
+        capital_deployed: round(trader.capitalDeployed, 2),
+        roi: round(metrics.roi),
+        win_rate: round(metrics.winRate),
+        sharpe: round(metrics.sharpe),
+        max_drawdown: round(metrics.maxDrawdown, 2),
+        avg_holding_hours: round(metrics.avgHoldingHours, 2),
+        top_market_share: round(metrics.topMarketShare),
+        trade_count: trader.tradeCount,
+        flagged: Boolean(trader.classification && trader.classification.flagged),
+        labels: trader.classification ? trader.classification.labels.join(' ') : '',
+        archetype: profile.archetype || '',
+        risk_rating: profile.riskRating || '',
+        strategy: trader.strategy || ''
+    };
+}
+
+// Ranked traders first, then any flagged wallets ranked on their own. The
+// `flagged` column follows the classifier, so it is also set for flagged
+// wallets ranked with the others.
+function renderCsv(report, rows) {
+    const traders = [...(report.results || []), ...(report.flaggedResults || [])];
+
+    if (rows === 'trades') {
+        const header = ['rank', 'name', 'wallet', 'flagged', 'timestamp', 'market', 'category', 'outcome', 'action', 'price', 'size', 'value'];
+        const lines = [csvLine(header)];
+        for (const trader of traders) {
+            const { flagged } = traderColumns(trader);
+            for (const trade of trader.trades || trader.topTrades || []) {
+                lines.push(csvLine([
+                    trader.rank, trader.name, trader.walletAddress, flagged, isoTime(trade.timestamp),
+                    trade.market, trade.category, trade.outcome, trade.action,
+                    round(trade.price), round(trade.size, 2), round(trade.value, 2)
+                ]));
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    const header = Object.keys(traderColumns({}));
+    return [csvLine(header), ...traders.map(trader => csvLine(Object.values(traderColumns(trader))))].join('\n') + '\n';
+}
+
+function mdCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function mdRow(values) {
+    return `| ${values.map(mdCell).join(' | ')} |`;
+}
+
+// Wallets ranked separately because the classifier flagged them.
+function renderFlagged(lines, flagged = []) {
+    if (flagged.length === 0) return lines;
+    lines.push('## Flagged Wallets', '');
+    lines.push(mdRow(['Rank', 'Trader', 'Wallet', 'Total PnL', 'Trades', 'Labels']));
+    lines.push(mdRow(['---:', '---', '---', '---:', '---:', '---']));
+    for (const trader of flagged) {
+        lines.push(mdRow([
+            trader.rank, trader.name, `\`${trader.walletAddress}\``, money(trader.weeklyProfit),
+            trader.tradeCount, trader.classification.labels.join(', ')
+        ]));
+    }
+    lines.push('');
+    return lines;
+}
+
+const PATTERN_LABELS = { archetype: 'Archetype', holdingPeriod: 'Holding period', riskRating: 'Risk rating', category: 'Category' };
+
+function traderList(traders) {
+    return traders.map(trader => `#${trader.rank} ${trader.name}`).join(', ');
+}
+
+function supportingRows(lines, trades) {
+    lines.push(mdRow(['Trader', 'Time (UTC)', 'Market', 'Outcome', 'Action', 'Price', 'Value']));
+    lines.push(mdRow(['---', '---', '---', '---', '---', '---:', '---:']));
+    for (const trade of trades) {
+        lines.push(mdRow([
+            `#${trade.rank} ${trade.name}`, isoTime(trade.timestamp).replace('T', ' ').slice(0, 16), trade.market,
+            trade.outcome, trade.action, trade.price.toFixed(3), money(trade.value)
+        ]));
+    }
+    lines.push('');
+}
+
+// Positions and traits the ranked traders share, each with its supporting trades.
+function renderConsensus(lines, consensus) {
+    if (!consensus) return lines;
+    const { shared, disagreements, patterns } = consensus;
+    lines.push('## Consensus', '');
+    if (shared.length + disagreements.length + patterns.length === 0) {
+        lines.push(`No positions or strategy traits shared by ${consensus.minTraders} or more traders.`, '');
+        return lines;
+    }
+
+    for (const entry of shared) {
+        lines.push(`### ${entry.traders.length} traders ${entry.direction} ${mdCell(entry.outcome)} · ${mdCell(entry.market)}`, '');
+        lines.push(`${traderList(entry.traders)} · ${money(entry.totalValue)} traded`, '');
+        supportingRows(lines, entry.supportingTrades);
+    }
+    for (const entry of disagreements) {
+        lines.push(`### Disagreement · ${mdCell(entry.market)}`, '');
+        for (const stance of entry.stances) {
+            lines.push(`- #${stance.rank} ${stance.name}: ${stance.direction} ${stance.outcome}`);
+        }
+        lines.push('');
+        supportingRows(lines, entry.supportingTrades);
+    }
+    if (patterns.length > 0) {
+        lines.push('### Shared Strategy Traits', '');
+        for (const pattern of patterns) {
+            lines.push(`- **${PATTERN_LABELS[pattern.type] || pattern.type}: ${pattern.value}** · ${traderList(pattern.traders)}`);
+        }
+        lines.push('');
+    }
+    return lines;
+}
+
+function renderMarkdown(report) {
+    const traders = report.results || [];
+    const rankKey = report.ranking && RANK_KEYS[report.ranking.rankBy];
+    const lines = [
+        '# Polymarket Top Traders Report',
+        '',
+        `- **Window:** ${report.window ? report.window.label : 'n/a'}`,
+        `- **Ranked by:** ${rankKey ? rankKey.label : 'Total PnL'}`,
+        `- **Generated:** ${report.generatedAt}`
+    ];
+    if (report.runId) lines.push(`- **Run:** ${report.runId}`);
+    lines.push('');
+
+    if (traders.length === 0) {
+        lines.push('No traders with activity in this window.', '');
+        return renderFlagged(lines, report.flaggedResults).join('\n');
+    }
+
+    lines.push('## Ranking', '');
+    lines.push(mdRow(['Rank', 'Trader', 'Wallet', 'Total PnL', 'Realized', 'Unrealized', 'ROI', 'Win Rate', 'Trades', 'Archetype']));
+    lines.push(mdRow(['---:', '---', '---', '---:', '---:', '---:', '---:', '---:', '---:', '---']));
+    for (const trader of traders) {
+        const metrics = trader.metrics || {};
+        lines.push(mdRow([
+            trader.rank, trader.name, `\`${trader.walletAddress}\``,
+            money(trader.weeklyProfit), money(trader.realizedPnl), money(trader.unrealizedPnl),
+            percent(metrics.roi), percent(metrics.winRate), trader.tradeCount,
+            trader.strategyProfile ? trader.strategyProfile.archetype : 'n/a'
+        ]));
+    }
+    lines.push('');
+
+    for (const trader of traders) {
+        lines.push(`## #${trader.rank} ${mdCell(trader.name)}`, '');
+        lines.push(`Wallet: \`${trader.walletAddress}\``, '');
+        if (trader.classification && trader.classification.flagged) {
+            lines.push(`Flagged: ${trader.classification.labels.join(', ')}`, '');
+        }
+
+        const profile = trader.strategyProfile;
+        if (profile) {
+            lines.push(`**${profile.archetype}** · risk ${profile.riskRating} · holding ${profile.holdingPeriod} · ` +
+                `entry ${profile.entryPriceBand.min.toFixed(2)}-${profile.entryPriceBand.max.toFixed(2)} · ` +
+                `${(profile.categories || []).join(', ') || 'no categories'} · confidence ${(profile.confidence * 100).toFixed(0)}%`, '');
+        }
+
+        if (trader.categoryBreakdown && trader.categoryBreakdown.length > 0) {
+            lines.push('### By Category', '');
+            lines.push(mdRow(['Category', 'Trades', 'Markets', 'Volume', 'Share', 'PnL']));
+            lines.push(mdRow(['---', '---:', '---:', '---:', '---:', '---:']));
+            for (const category of trader.categoryBreakdown) {
+                lines.push(mdRow([
+                    category.category, category.tradeCount, category.markets, money(category.volume),
+                    percent(category.volumeShare), money(category.totalPnl)
+                ]));
+            }
+            lines.push('');
+        }
+
+        if (trader.topTrades && trader.topTrades.length > 0) {
+            lines.push('### Top Trades', '');
+            lines.push(mdRow(['Time (UTC)', 'Market', 'Outcome', 'Action', 'Price', 'Value']));
+            lines.push(mdRow(['---', '---', '---', '---', '---:', '---:']));
+            for (const trade of trader.topTrades) {
+                lines.push(mdRow([
+                    isoTime(trade.timestamp).replace('T', ' ').slice(0, 16), trade.market, trade.outcome,
+                    trade.action, trade.price.toFixed(3), money(trade.value)
+                ]));
+            }
+            lines.push('');
+        }
+
+        lines.push('### Strategy', '');
+        lines.push(trader.strategy || 'No strategy analysis available.', '');
+    }
+
+    renderConsensus(lines, report.consensus);
+    return renderFlagged(lines, report.flaggedResults).join('\n');
+}
+
+/**
+ * Renders an analysis report (`{ window, ranking, runId, aiUsage, results,
+ * flaggedResults, consensus }` with results as returned by the API) as JSON, CSV or a
+ * self-contained Markdown document. CSV has one row per trader, or with `rows: 'trades'` one
+ * row per trade (each trader's full `trades` when present, else top trades);
+ * `flagged` marks every wallet the classifier flagged, wherever it was ranked.
+ */
+export function renderExport(report, { format, rows = 'traders' }) {
+    const stamped = { generatedAt: new Date().toISOString(), ...report };
+    let body;
+    if (format === 'json') body = JSON.stringify(stamped, null, 2) + '\n';
+    else if (format === 'csv') body = renderCsv(stamped, rows);
+    else body = renderMarkdown(stamped);
+    return { ...EXPORT_FORMATS[format], body };
+}
@@ -0,0 +1,131 @@
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+export class JobConflictError extends Error {
+    constructor(activeJobId) {
+        super('Analysis already in progress');
+        this.name = 'JobConflictError';
+        this.activeJobId = activeJobId;
+    }
+}
+
+export function isTerminal(job) {
+    return TERMINAL_STATUSES.has(job.status);
+}
+
+export function serializeJob(job, { includeResult = true } = {}) {
+    return {
+        id: job.id,
+        status: job.status,
+        params: job.params,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        progress: job.progress,
+        error: job.error,
+        result: includeResult ? job.result : undefined
+    };
+}
+
+/**
+ * Runs analysis tasks in the background, one at a time.
+ *
+ * A task is `async ({ signal, progress }) => result`; `progress(event)` records
+ * the latest event on the job and emits it to subscribers, and `signal` is
+ * aborted when the job is cancelled. A cancelled job stays `cancelling`, and
+ * keeps the slot, until its task settles.
+ */
+export function createJobManager({ maxJobs = 20 } = {}) {
+    const jobs = new Map();
+    let activeJob = null;
+
+    function prune() {
+        for (const job of jobs.values()) {
+            if (jobs.size <= maxJobs) break;
+            if (isTerminal(job)) jobs.delete(job.id);
+        }
+    }
+
+    function finish(job, status, fields) {
+        if (isTerminal(job)) return;
+        Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+        if (activeJob === job) activeJob = null;
+        job.events.emit('done', serializeJob(job));
+    }
+
+    function startJob(task, params = {}) {
+        if (activeJob) {
+            throw new JobConflictError(activeJob.id);
+        }
+
+        const job = {
+            id: randomUUID(),
+            status: 'running',
+            params,
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            progress: null,
+            result: null,
+            error: null,
+            controller: new AbortController(),
+            events: new EventEmitter()
+        };
+        job.events.setMaxListeners(0);
+
+        jobs.set(job.id, job);
+        activeJob = job;
+        prune();
+
+        const progress = event => {
+            if (isTerminal(job)) return;
+            job.progress = { ...event, at: new Date().toISOString() };
+            job.events.emit('progress', job.progress);
+        };
+
+        job.promise = Promise.resolve()
+            .then(() => task({ signal: job.controller.signal, progress }))
+            .then(result => {
+                if (job.controller.signal.aborted) {
+                    finish(job, 'cancelled', {});
+                } else if (result && result.error) {
+                    finish(job, 'failed', { error: result.error });
+                } else {
+                    finish(job, 'completed', { result });
+                }
+            })
+            .catch(error => {
+                if (job.controller.signal.aborted) {
+                    finish(job, 'cancelled', {});
+                } else {
+                    finish(job, 'failed', { error: error.message });
+                }
+            });
+
+        return job;
+    }
+
+    function getJob(id) {
+        return jobs.get(id) || null;
+    }
+
+    function cancelJob(id) {
+        const job = jobs.get(id);
+        if (!job) return null;
+        if (job.status === 'running') {
+            job.status = 'cancelling';
+            job.controller.abort();
+        }
+        return job;
+    }
+
+    function listJobs() {
+        return Array.from(jobs.values()).reverse();
+    }
+
+    function getActiveJob() {
+        return activeJob;
+    }
+
+    return { startJob, getJob, cancelJob, listJobs, getActiveJob };
+}
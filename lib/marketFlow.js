@@ -0,0 +1,384 @@
+import { polymarket, parseJsonArray } from './polymarket.js';
+import { config } from './config.js';
+import { marketCacheFor, marketOutcomes } from './markets.js';
+import { outcomeIndexOf } from './pnl.js';
+import { mapPool } from './pool.js';
+import { parseWallet } from './trader.js';
+
+const CONDITION_ID_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const EPSILON = 1e-9;
+
+export class MarketFlowError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MarketFlowError';
+    }
+}
+
+export function parseConditionId(value) {
+    const id = String(value || '').trim();
+    if (!CONDITION_ID_PATTERN.test(id)) {
+        throw new MarketFlowError(`Invalid condition id: ${value || '(empty)'} (expected 0x followed by 64 hex characters)`);
+    }
+    return id.toLowerCase();
+}
+
+function parseLimit(value) {
+    if (value === undefined || value === null || value === '') return config.marketFlow.listLimit;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new MarketFlowError(`Invalid limit: ${value} (expected a positive integer)`);
+    }
+    return number;
+}
+
+/**
+ * The wallets a market-flow view looks at: an explicit `wallets` list
+ * (comma-separated or an array) when given, else the ranked wallets of the
+ * latest run followed by watched ones, each once and capped at
+ * `config.marketFlow.maxWallets`.
+ */
+export function parseFlowWallets({ wallets, ranked = [], watched = [] } = {}) {
+    const selected = new Map();
+    function add(walletAddress, details) {
+        const key = walletAddress.toLowerCase();
+        if (!selected.has(key)) {
+            selected.set(key, { walletAddress, name: null, rank: null, watched: false });
+        }
+        Object.assign(selected.get(key), details);
+    }
+
+    if (wallets !== undefined && wallets !== null && wallets !== '') {
+        const list = (Array.isArray(wallets) ? wallets : String(wallets).split(','))
+            .map(wallet => String(wallet).trim())
+            .filter(Boolean);
+        for (const wallet of list) {
+            try {
+                add(parseWallet(wallet), {});
+            } catch (error) {
+                throw new MarketFlowError(error.message);
+            }
+        }
+    } else {
+        for (const trader of ranked) add(trader.walletAddress, { name: trader.name, rank: trader.rank });
+        for (const entry of watched) {
+            const existing = selected.get(entry.walletAddress.toLowerCase());
+            add(entry.walletAddress, { name: existing?.name || entry.label, watched: true });
+        }
+    }
+
+    const result = Array.from(selected.values());
+    if (result.length > config.marketFlow.maxWallets) {
+        if (wallets) {
+            throw new MarketFlowError(`Too many wallets: ${result.length} (max ${config.marketFlow.maxWallets})`);
+        }
+        return result.slice(0, config.marketFlow.maxWallets);
+    }
+    return result;
+}
+
+export function parseFlowOptions(params = {}) {
+    return { limit: parseLimit(params.limit) };
+}
+
+// Buy/sell totals inside the window per market and outcome for one wallet.
+// Trades that carry only an outcome name are matched against `names`
+// (outcome names by condition id); ones that still can't be placed are left out.
+function tallyTrades(trades, window, names) {
+    const markets = new Map();
+    for (const trade of trades) {
+        const timestamp = trade.timestamp || 0;
+        if (!trade.conditionId || timestamp < window.from || timestamp > window.to) continue;
+
+        const conditionId = trade.conditionId.toLowerCase();
+        const outcomeIndex = outcomeIndexOf(trade, conditionId, names);
+        if (outcomeIndex === null) continue;
+        if (!markets.has(conditionId)) {
+            markets.set(conditionId, {
+                conditionId: conditionId,
+                market: trade.title || trade.slug || 'Unknown Market',
+                slug: trade.slug || null,
+                tradeCount: 0,
+                outcomes: new Map()
+            });
+        }
+        const market = markets.get(conditionId);
+        if (!market.outcomes.has(outcomeIndex)) {
+            market.outcomes.set(outcomeIndex, {
+                outcomeIndex: outcomeIndex,
+                outcome: trade.outcome || null,
+                buyShares: 0,
+                buyValue: 0,
+                sellShares: 0,
+                sellValue: 0
+            });
+        }
+        const flow = market.outcomes.get(outcomeIndex);
+        const price = parseFloat(trade.price) || 0;
+        const size = parseFloat(trade.size) || 0;
+        if (trade.side === 'BUY') {
+            flow.buyShares += size;
+            flow.buyValue += price * size;
+        } else if (trade.side === 'SELL') {
+            flow.sellShares += size;
+            flow.sellValue += price * size;
+        } else {
+            continue;
+        }
+        market.tradeCount++;
+    }
+    return markets;
+}
+
+function finishOutcome(flow, currentPrice = null) {
+    const avgEntryPrice = flow.buyShares > 0 ? flow.buyValue / flow.buyShares : null;
+    return {
+        ...flow,
+        netShares: flow.buyShares - flow.sellShares,
+        netValue: flow.buyValue - flow.sellValue,
+        avgEntryPrice: avgEntryPrice,
+        currentPrice: currentPrice,
+        priceVsEntry: currentPrice !== null && avgEntryPrice !== null ? currentPrice - avgEntryPrice : null
+    };
+}
+
+/**
+ * The outcome a wallet leans towards: the one whose net shares bought most
+ * exceed its net shares in the other outcomes. Selling YES counts as leaning
+ * NO; a flat or fully closed wallet has no lean.
+ */
+function leanOf(outcomes) {
+    const total = outcomes.reduce((sum, flow) => sum + flow.netShares, 0);
+    let lean = null;
+    let strongest = EPSILON;
+    for (const flow of outcomes) {
+        const margin = flow.netShares - (total - flow.netShares);
+        if (margin > strongest) {
+            lean = flow.outcomeIndex;
+            strongest = margin;
+        }
+    }
+    return lean;
+}
+
+// Share of leaning wallets on the most popular side; `outcomeIndex` is null on a tie.
+function consensusOf(leans) {
+    const counts = new Map();
+    for (const lean of leans) {
+        if (lean !== null) counts.set(lean, (counts.get(lean) || 0) + 1);
+    }
+    const wallets = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+    if (wallets === 0) {
+        return { outcomeIndex: null, agreement: null, wallets: 0 };
+    }
+    const ordered = Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+    const tied = ordered.length > 1 && ordered[0][1] === ordered[1][1];
+    return {
+        outcomeIndex: tied ? null : ordered[0][0],
+        agreement: ordered[0][1] / wallets,
+        wallets: wallets
+    };
+}
+
+// Herfindahl index and largest share of the wallets' open exposure.
+function concentrationOf(exposures) {
+    const total = exposures.reduce((sum, entry) => sum + entry.exposure, 0);
+    if (total <= EPSILON) {
+        return { hhi: null, topWalletShare: null, topWallet: null, walletsWithExposure: 0 };
+    }
+    const ranked = exposures.filter(entry => entry.exposure > EPSILON).sort((a, b) => b.exposure - a.exposure);
+    return {
+        hhi: ranked.reduce((sum, entry) => sum + (entry.exposure / total) ** 2, 0),
+        topWalletShare: ranked[0].exposure / total,
+        topWallet: ranked[0].walletAddress,
+        walletsWithExposure: ranked.length
+    };
+}
+
+async function fetchWalletTrades(wallets, params, { client, window, concurrency }) {
+    return mapPool(wallets, async wallet => {
+        try {
+            const trades = await client.getTradesSince({ ...params, user: wallet.walletAddress }, window.from, { maxItems: config.maxTradesPerWallet });
+            return { wallet, trades, error: null };
+        } catch (error) {
+            return { wallet, trades: [], error: error.message };
+        }
+    }, { concurrency });
+}
+
+/**
+ * How `wallets` traded one market over `window`: buy/sell flow per outcome,
+ * their average entry prices against the current price, each wallet's lean,
+ * how far they agree, and how concentrated their open exposure is (net shares
+ * valued at current prices). Resolves to null when Gamma doesn't know the
+ * market.
+ */
+export async function analyzeMarketFlow(conditionId, {
+    wallets,
+    window,
+    client = polymarket,
+    concurrency = config.concurrency
+}) {
+    const [market] = await client.getMarketsByConditionIds([conditionId]);
+    if (!market) return null;
+
+    const outcomeNames = parseJsonArray(market.outcomes);
+    const prices = parseJsonArray(market.outcomePrices).map(price => {
+        const value = parseFloat(price);
+        return Number.isNaN(value) ? null : value;
+    });
+
+    const fetched = await fetchWalletTrades(wallets, { market: conditionId }, { client, window, concurrency });
+    const names = new Map([[conditionId, outcomeNames]]);
+
+    const totals = new Map();
+    function outcomeTotal(outcomeIndex, outcome) {
+        if (!totals.has(outcomeIndex)) {
+            totals.set(outcomeIndex, { outcomeIndex, outcome, buyShares: 0, buyValue: 0, sellShares: 0, sellValue: 0, buyers: 0, sellers: 0 });
+        }
+        return totals.get(outcomeIndex);
+    }
+    outcomeNames.forEach((outcome, outcomeIndex) => outcomeTotal(outcomeIndex, outcome));
+
+    const walletFlows = fetched.map(({ wallet, trades, error }) => {
+        const tally = tallyTrades(trades, window, names).get(conditionId);
+        const outcomes = tally
+            ? Array.from(tally.outcomes.values())
+                .sort((a, b) => a.outcomeIndex - b.outcomeIndex)
+                .map(flow => finishOutcome({ ...flow, outcome: flow.outcome ?? outcomeNames[flow.outcomeIndex] ?? null }, prices[flow.outcomeIndex] ?? null))
+            : [];
+
+        for (const flow of outcomes) {
+            const total = outcomeTotal(flow.outcomeIndex, flow.outcome);
+            total.buyShares += flow.buyShares;
+            total.buyValue += flow.buyValue;
+            total.sellShares += flow.sellShares;
+            total.sellValue += flow.sellValue;
+            if (flow.netShares > EPSILON) total.buyers++;
+            if (flow.netShares < -EPSILON) total.sellers++;
+        }
+
+        const lean = leanOf(outcomes);
+        return {
+            ...wallet,
+            tradeCount: tally ? tally.tradeCount : 0,
+            lean: lean,
+            leanOutcome: lean === null ? null : outcomeNames[lean] ?? outcomes.find(flow => flow.outcomeIndex === lean).outcome,
+            exposure: outcomes.reduce((sum, flow) => sum + Math.abs(flow.netShares) * (flow.currentPrice ?? flow.avgEntryPrice ?? 0), 0),
+            outcomes: outcomes,
+            error: error
+        };
+    });
+
+    const consensus = consensusOf(walletFlows.map(flow => flow.lean));
+
+    return {
+        conditionId: conditionId,
+        question: market.question || null,
+        slug: market.slug || null,
+        window: window,
+        outcomes: Array.from(totals.values())
+            .sort((a, b) => a.outcomeIndex - b.outcomeIndex)
+            .map(({ buyers, sellers, ...flow }) => ({ ...finishOutcome(flow, prices[flow.outcomeIndex] ?? null), buyers, sellers })),
+        consensus: {
+            ...consensus,
+            outcome: consensus.outcomeIndex === null ? null : outcomeNames[consensus.outcomeIndex] ?? null
+        },
+        concentration: concentrationOf(walletFlows),
+        walletsChecked: walletFlows.length,
+        failedWallets: walletFlows.filter(flow => flow.error).length,
+        wallets: walletFlows
+            .filter(flow => flow.tradeCount > 0 || flow.error)
+            .sort((a, b) => b.exposure - a.exposure)
+    };
+}
+
+/**
+ * Every market the wallets traded in `window` where at least two of them
+ * lean one way, split by `minAgreement` into the `limit` markets they agree
+ * on most and the `limit` most contested. Ties never count as agreed.
+ */
+export async function summarizeMarketFlows({
+    wallets,
+    window,
+    limit = config.marketFlow.listLimit,
+    minAgreement = config.marketFlow.minAgreement,
+    client = polymarket,
+    concurrency = config.concurrency
+}) {
+    const fetched = await fetchWalletTrades(wallets, {}, { client, window, concurrency });
+    const markets = new Map();
+
+    // Outcome names only for the markets of trades that lack an index.
+    const unindexed = fetched
+        .flatMap(entry => entry.trades)
+        .filter(trade => trade.conditionId && outcomeIndexOf(trade, trade.conditionId) === null)
+        .map(trade => trade.conditionId.toLowerCase());
+    const names = unindexed.length > 0
+        ? marketOutcomes(await marketCacheFor(client).getMarkets(unindexed))
+        : new Map();
+
+    for (const { wallet, trades, error } of fetched) {
+        if (error) continue;
+        for (const tally of tallyTrades(trades, window, names).values()) {
+            const outcomes = Array.from(tally.outcomes.values()).map(flow => finishOutcome(flow));
+            const lean = leanOf(outcomes);
+            if (lean === null) continue;
+
+            if (!markets.has(tally.conditionId)) {
+                markets.set(tally.conditionId, { conditionId: tally.conditionId, market: tally.market, slug: tally.slug, outcomes: new Map(), leans: [] });
+            }
+            const entry = markets.get(tally.conditionId);
+            entry.leans.push({ walletAddress: wallet.walletAddress, name: wallet.name, outcomeIndex: lean });
+            for (const flow of outcomes) {
+                if (!entry.outcomes.has(flow.outcomeIndex)) {
+                    entry.outcomes.set(flow.outcomeIndex, { outcomeIndex: flow.outcomeIndex, outcome: flow.outcome, wallets: 0, netShares: 0, netValue: 0 });
+                }
+                const total = entry.outcomes.get(flow.outcomeIndex);
+                total.netShares += flow.netShares;
+                total.netValue += flow.netValue;
+                if (flow.outcomeIndex === lean) total.wallets++;
+            }
+        }
+    }
+
+    const contested = Array.from(markets.values())
+        .filter(entry => entry.leans.length >= 2)
+        .map(entry => {
+            const consensus = consensusOf(entry.leans.map(lean => lean.outcomeIndex));
+            const outcomes = Array.from(entry.outcomes.values()).sort((a, b) => a.outcomeIndex - b.outcomeIndex);
+            return {
+                conditionId: entry.conditionId,
+                market: entry.market,
+                slug: entry.slug,
+                wallets: consensus.wallets,
+                agreement: consensus.agreement,
+                consensusOutcomeIndex: consensus.outcomeIndex,
+                consensusOutcome: consensus.outcomeIndex === null
+                    ? null
+                    : outcomes.find(flow => flow.outcomeIndex === consensus.outcomeIndex).outcome,
+                outcomes: outcomes,
+                leans: entry.leans
+            };
+        });
+
+    const agreed = entry => entry.consensusOutcomeIndex !== null && entry.agreement >= minAgreement;
+    const agree = contested
+        .filter(agreed)
+        .sort((a, b) => b.agreement - a.agreement || b.wallets - a.wallets)
+        .slice(0, limit);
+    const disagree = contested
+        .filter(entry => !agreed(entry))
+        .sort((a, b) => a.agreement - b.agreement || b.wallets - a.wallets)
+        .slice(0, limit);
+
+    return {
+        window: window,
+        wallets: wallets,
+        failedWallets: fetched.filter(entry => entry.error).map(entry => entry.wallet.walletAddress),
+        marketsCompared: contested.length,
+        minAgreement: minAgreement,
+        agree: agree,
+        disagree: disagree
+    };
+}
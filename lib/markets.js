@@ -0,0 +1,202 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { config } from './config.js';
+import { parseJsonArray, polymarket } from './polymarket.js';
+
+const UNCATEGORIZED = 'Uncategorized';
+
+function tagLabels(market) {
+    const tags = [...(market.tags || []), ...(market.events || []).flatMap(event => event.tags || [])];
+    return [...new Set(tags.map(tag => tag.label || tag.slug).filter(Boolean))];
+}
+
+function parseEndDate(value) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+/**
+ * The parts of a Gamma market record trades are enriched with. A closed
+ * market is `resolved` once one outcome is priced at (nearly) 1 or UMA has
+ * settled it; until then it is `closed`.
+ */
+export function toMarketInfo(market) {
+    const outcomes = parseJsonArray(market.outcomes);
+    const outcomePrices = parseJsonArray(market.outcomePrices).map(price => parseFloat(price));
+    const winner = outcomePrices.findIndex(price => price >= 0.99);
+    const settled = market.umaResolutionStatus === 'resolved' || winner >= 0;
+    const status = !market.closed ? 'open' : settled ? 'resolved' : 'closed';
+
+    return {
+        conditionId: market.conditionId,
+        question: market.question || null,
+        category: market.category || null,
+        tags: tagLabels(market),
+        endDate: parseEndDate(market.endDate),
+        outcomes,
+        outcomePrices,
+        status,
+        winningOutcome: status === 'resolved' && winner >= 0 ? outcomes[winner] ?? null : null
+    };
+}
+
+// Current outcome prices keyed by `${conditionId}:${outcomeIndex}`, as `computePnl` expects.
+export function marketPrices(markets) {
+    const prices = new Map();
+    for (const info of markets.values()) {
+        info.outcomePrices.forEach((price, index) => {
+            if (!Number.isNaN(price)) prices.set(`${info.conditionId}:${index}`, price);
+        });
+    }
+    return prices;
+}
+
+// Outcome names by condition id, for trades that carry a name but no index.
+export function marketOutcomes(markets) {
+    return new Map(Array.from(markets.values(), info => [info.conditionId, info.outcomes]));
+}
+
+// Market fields added to a cleaned trade; all null when the market is unknown.
+export function enrichTrade(trade, info) {
+    const outcomeIndex = Number(trade.outcomeIndex);
+    const currentPrice = info ? info.outcomePrices[outcomeIndex] : undefined;
+    return {
+        category: info ? info.category : null,
+        tags: info ? info.tags : [],
+        endDate: info ? info.endDate : null,
+        hoursToResolution: info && info.endDate !== null && trade.timestamp
+            ? (info.endDate - trade.timestamp) / 3600
+            : null,
+        currentPrice: Number.isFinite(currentPrice) ? currentPrice : null,
+        marketStatus: info ? info.status : null,
+        winningOutcome: info ? info.winningOutcome : null
+    };
+}
+
+/**
+ * PnL, trade count and volume per market category, from the cost-basis
+ * positions and the window's enriched trades. Markets without a category are
+ * grouped as `Uncategorized`. Sorted by volume.
+ */
+export function summarizeCategories(pnl, trades, markets) {
+    const categories = new Map();
+
+    function entry(category) {
+        const name = category || UNCATEGORIZED;
+        if (!categories.has(name)) {
+            categories.set(name, { category: name, tradeCount: 0, volume: 0, volumeShare: 0, realizedPnl: 0, unrealizedPnl: 0, totalPnl: 0, markets: new Set() });
+        }
+        return categories.get(name);
+    }
+
+    for (const position of pnl ? pnl.positions : []) {
+        const category = entry(markets.get(position.conditionId)?.category);
+        category.realizedPnl += position.realizedPnl;
+        category.unrealizedPnl += position.unrealizedPnl;
+        category.totalPnl += position.realizedPnl + position.unrealizedPnl;
+    }
+
+    let volume = 0;
+    for (const trade of trades) {
+        const category = entry(trade.category);
+        category.tradeCount++;
+        category.volume += trade.value;
+        category.markets.add(trade.market);
+        volume += trade.value;
+    }
+
+    return Array.from(categories.values())
+        .map(category => ({ ...category, volumeShare: volume > 0 ? category.volume / volume : 0, markets: category.markets.size }))
+        .sort((a, b) => b.volume - a.volume || b.totalPnl - a.totalPnl);
+}
+
+/**
+ * Gamma market metadata by condition id, kept in memory and as one
+ * `<conditionId>.json` per market under `dir` (none when `dir` is null).
+ * Resolved markets never change and are kept for good; open and closed ones
+ * are refetched after `ttlSeconds`, since their prices move. Fetch and file
+ * failures leave markets out of the result rather than failing the caller.
+ */
+export function createMarketCache({
+    client = polymarket,
+    dir = path.join(config.dataDir, 'markets'),
+    ttlSeconds = config.markets.cacheTtlSeconds,
+    maxEntries = config.markets.maxEntries,
+    now = Date.now
+} = {}) {
+    const entries = new Map();
+
+    function fresh(entry) {
+        return entry.info.status === 'resolved' || now() - entry.fetchedAt < ttlSeconds * 1000;
+    }
+
+    function remember(entry) {
+        entries.delete(entry.info.conditionId);
+        entries.set(entry.info.conditionId, entry);
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    async function readEntry(conditionId) {
+        if (!dir || !/^0x[0-9a-fA-F]+$/.test(conditionId)) return null;
+        try {
+            return JSON.parse(await readFile(path.join(dir, `${conditionId}.json`), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async function writeEntry(entry) {
+        if (!dir || !/^0x[0-9a-fA-F]+$/.test(entry.info.conditionId)) return;
+        const file = path.join(dir, `${entry.info.conditionId}.json`);
+        const tmp = `${file}.${process.pid}.tmp`;
+        try {
+            await mkdir(dir, { recursive: true });
+            await writeFile(tmp, JSON.stringify(entry));
+            await rename(tmp, file);
+        } catch (error) {
+            return;
+        }
+    }
+
+    async function getMarkets(conditionIds) {
+        const markets = new Map();
+        const missing = [];
+        for (const conditionId of new Set(conditionIds.filter(Boolean))) {
+            const entry = entries.get(conditionId) || await readEntry(conditionId);
+            if (entry && fresh(entry)) {
+                remember(entry);
+                markets.set(conditionId, entry.info);
+            } else {
+                missing.push(conditionId);
+            }
+        }
+        if (missing.length === 0) return markets;
+
+        let fetched = [];
+        try {
+            fetched = await client.getMarketsByConditionIds(missing);
+        } catch (error) {
+            return markets;
+        }
+        for (const market of fetched) {
+            if (!market.conditionId) continue;
+            const entry = { info: toMarketInfo(market), fetchedAt: now() };
+            remember(entry);
+            markets.set(entry.info.conditionId, entry.info);
+            await writeEntry(entry);
+        }
+        return markets;
+    }
+
+    return { getMarkets, size: () => entries.size };
+}
+
+export const marketCache = createMarketCache();
+
+// The shared cache for the default client; other clients (tests, one-off
+// scripts) get an uncached lookup of their own.
+export function marketCacheFor(client) {
+    return client === polymarket ? marketCache : createMarketCache({ client, dir: null, ttlSeconds: 0 });
+}
@@ -0,0 +1,79 @@
+const DAY_SECONDS = 24 * 60 * 60;
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function stdev(values) {
+    const avg = mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1));
+}
+
+// Largest peak-to-trough fall of the cumulative PnL curve, starting from zero.
+function maxDrawdown(points) {
+    let peak = 0;
+    let value = 0;
+    let drawdown = 0;
+    for (const change of points) {
+        value += change;
+        peak = Math.max(peak, value);
+        drawdown = Math.max(drawdown, peak - value);
+    }
+    return drawdown;
+}
+
+/**
+ * Risk-adjusted metrics for one trader over a window, built from the cost-basis
+ * PnL result and the window's trades. Ratios that have nothing to divide by
+ * (no capital, no closed positions, flat PnL) are null rather than zero.
+ */
+export function computeTraderMetrics(pnl, trades, window) {
+    const realizations = pnl.realizations || [];
+
+    const closedPositions = pnl.positions.filter(position => position.closed);
+    const wins = closedPositions.filter(position => position.realizedPnl > 0).length;
+
+    const realizedSize = realizations.reduce((sum, event) => sum + event.size, 0);
+    const avgHoldingSeconds = realizedSize > 0
+        ? realizations.reduce((sum, event) => sum + event.holdingSeconds * event.size, 0) / realizedSize
+        : null;
+
+    // Realized PnL in time order, with open positions' unrealized PnL booked last.
+    const curve = realizations.map(event => event.pnl).concat(pnl.unrealizedPnl);
+
+    const days = Math.max(1, Math.ceil((window.to - window.from) / DAY_SECONDS));
+    const daily = new Array(days).fill(0);
+    for (const event of realizations) {
+        const day = Math.min(days - 1, Math.max(0, Math.floor((event.timestamp - window.from) / DAY_SECONDS)));
+        daily[day] += event.pnl;
+    }
+    daily[days - 1] += pnl.unrealizedPnl;
+    const dailyStdev = days > 1 ? stdev(daily) : 0;
+
+    const valueByMarket = new Map();
+    let tradedValue = 0;
+    for (const trade of trades) {
+        valueByMarket.set(trade.market, (valueByMarket.get(trade.market) || 0) + trade.value);
+        tradedValue += trade.value;
+    }
+    const shares = Array.from(valueByMarket.values()).map(value => tradedValue > 0 ? value / tradedValue : 0);
+
+    // How far ahead of the market's scheduled end they buy, weighted by value.
+    const timedBuys = trades.filter(trade => trade.action === 'BUY' && typeof trade.hoursToResolution === 'number');
+    const timedValue = timedBuys.reduce((sum, trade) => sum + trade.value, 0);
+
+    return {
+        roi: pnl.capitalDeployed > 0 ? pnl.totalPnl / pnl.capitalDeployed : null,
+        winRate: closedPositions.length > 0 ? wins / closedPositions.length : null,
+        closedPositions: closedPositions.length,
+        avgHoldingHours: avgHoldingSeconds === null ? null : avgHoldingSeconds / 3600,
+        maxDrawdown: maxDrawdown(curve),
+        sharpe: dailyStdev > 0 ? mean(daily) / dailyStdev : null,
+        marketsTraded: valueByMarket.size,
+        topMarketShare: shares.length > 0 ? Math.max(...shares) : null,
+        marketConcentration: shares.length > 0 ? shares.reduce((sum, share) => sum + share ** 2, 0) : null,
+        avgHoursToResolution: timedValue > 0
+            ? timedBuys.reduce((sum, trade) => sum + Math.max(0, trade.hoursToResolution) * trade.value, 0) / timedValue
+            : null
+    };
+}
@@ -0,0 +1,202 @@
+const EPSILON = 1e-9;
+
+function positionKey(conditionId, outcomeIndex) {
+    return `${conditionId}:${outcomeIndex}`;
+}
+
+// Positions without an outcome index are kept apart by outcome name.
+function tradeKey(trade) {
+    return trade.outcomeIndex === null
+        ? `${trade.conditionId}:?${trade.outcome || ''}`
+        : positionKey(trade.conditionId, trade.outcomeIndex);
+}
+
+// The trade's numeric outcome index, or its position in the market's
+// `outcomes` names when the trade only carries the name. Null when neither is
+// known; such positions are never priced.
+export function outcomeIndexOf(trade, conditionId, outcomes = new Map()) {
+    if (trade.outcomeIndex !== undefined && trade.outcomeIndex !== null && trade.outcomeIndex !== '') {
+        const index = Number(trade.outcomeIndex);
+        if (Number.isInteger(index) && index >= 0) return index;
+    }
+    const names = outcomes.get(conditionId);
+    const index = names && trade.outcome ? names.indexOf(trade.outcome) : -1;
+    return index >= 0 ? index : null;
+}
+
+function normalizeTrade(trade, outcomes) {
+    const conditionId = trade.conditionId || trade.slug || trade.title || 'unknown';
+    return {
+        conditionId,
+        outcomeIndex: outcomeIndexOf(trade, conditionId, outcomes),
+        outcome: trade.outcome || null,
+        market: trade.title || trade.slug || 'Unknown Market',
+        side: trade.side || '',
+        price: parseFloat(trade.price) || 0,
+        size: parseFloat(trade.size) || 0,
+        timestamp: trade.timestamp || 0
+    };
+}
+
+function openSize(position) {
+    return position.lots.reduce((sum, lot) => sum + lot.size, 0);
+}
+
+function openCost(position) {
+    return position.lots.reduce((sum, lot) => sum + lot.size * lot.price, 0);
+}
+
+// Removes `size` shares from the position's lots and returns the cost basis
+// of what was removed, how long it was held (share-weighted seconds), plus any
+// size that had no basis to match against.
+function consumeLots(position, size, method, timestamp) {
+    const available = openSize(position);
+    const matchedSize = Math.min(size, available);
+    let matchedCost = 0;
+    let heldShareSeconds = 0;
+
+    if (matchedSize > EPSILON) {
+        if (method === 'average') {
+            const fraction = matchedSize / available;
+            matchedCost = openCost(position) * fraction;
+            for (const lot of position.lots) {
+                const take = lot.size * fraction;
+                heldShareSeconds += take * (timestamp - lot.timestamp);
+                lot.size -= take;
+            }
+        } else {
+            let remaining = matchedSize;
+            for (const lot of position.lots) {
+                if (remaining <= EPSILON) break;
+                const take = Math.min(lot.size, remaining);
+                matchedCost += take * lot.price;
+                heldShareSeconds += take * (timestamp - lot.timestamp);
+                lot.size -= take;
+                remaining -= take;
+            }
+        }
+        position.lots = position.lots.filter(lot => lot.size > EPSILON);
+    }
+
+    return {
+        matchedSize,
+        matchedCost,
+        holdingSeconds: matchedSize > EPSILON ? heldShareSeconds / matchedSize : 0,
+        unmatchedSize: Math.max(0, size - matchedSize)
+    };
+}
+
+/**
+ * Cost-basis PnL over a trader's history.
+ *
+ * `trades` should be the full fetched history so positions opened before the
+ * window still have a basis; only activity between `from` and `to` (unix
+ * seconds) is counted and anything after `to` is ignored. Realized PnL comes
+ * from sells in the window, unrealized PnL from lots bought in the window that
+ * are still open, marked at `prices`. Trades without an `outcomeIndex` are
+ * matched to one through `outcomes` (outcome names by condition id); if that
+ * fails their positions count as unpriced. Each matched sell in the window is
+ * also returned in `realizations`, oldest first.
+ */
+export function computePnl(trades, { from = 0, to = Infinity, prices = new Map(), outcomes = new Map(), method = 'fifo' } = {}) {
+    const positions = new Map();
+    const ordered = trades
+        .map(trade => normalizeTrade(trade, outcomes))
+        .filter(trade => trade.timestamp <= to)
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    let capitalDeployed = 0;
+    let unmatchedSellValue = 0;
+    const realizations = [];
+
+    for (const trade of ordered) {
+        const key = tradeKey(trade);
+        if (!positions.has(key)) {
+            positions.set(key, {
+                conditionId: trade.conditionId,
+                outcomeIndex: trade.outcomeIndex,
+                outcome: trade.outcome,
+                market: trade.market,
+                lots: [],
+                realizedPnl: 0
+            });
+        }
+        const position = positions.get(key);
+        const inWindow = trade.timestamp >= from;
+
+        if (trade.side === 'BUY') {
+            position.lots.push({ size: trade.size, price: trade.price, timestamp: trade.timestamp });
+            if (inWindow) capitalDeployed += trade.size * trade.price;
+        } else if (trade.side === 'SELL') {
+            const { matchedSize, matchedCost, holdingSeconds, unmatchedSize } =
+                consumeLots(position, trade.size, method, trade.timestamp);
+            if (inWindow) {
+                const pnl = matchedSize * trade.price - matchedCost;
+                position.realizedPnl += pnl;
+                unmatchedSellValue += unmatchedSize * trade.price;
+                if (matchedSize > EPSILON) {
+                    realizations.push({
+                        timestamp: trade.timestamp,
+                        conditionId: trade.conditionId,
+                        outcomeIndex: trade.outcomeIndex,
+                        market: trade.market,
+                        size: matchedSize,
+                        cost: matchedCost,
+                        pnl: pnl,
+                        holdingSeconds: holdingSeconds
+                    });
+                }
+            }
+        }
+    }
+
+    let realizedPnl = 0;
+    let unrealizedPnl = 0;
+    let unpricedPositions = 0;
+    const summaries = [];
+
+    for (const position of positions.values()) {
+        const key = position.outcomeIndex === null ? null : positionKey(position.conditionId, position.outcomeIndex);
+        const currentPrice = key !== null && prices.has(key) ? prices.get(key) : null;
+        const windowLots = position.lots.filter(lot => lot.timestamp >= from);
+        const size = openSize(position);
+
+        let positionUnrealized = 0;
+        if (windowLots.length > 0) {
+            if (currentPrice === null) {
+                unpricedPositions++;
+            } else {
+                positionUnrealized = windowLots.reduce(
+                    (sum, lot) => sum + (currentPrice - lot.price) * lot.size, 0);
+            }
+        }
+
+        if (position.realizedPnl === 0 && windowLots.length === 0) continue;
+
+        realizedPnl += position.realizedPnl;
+        unrealizedPnl += positionUnrealized;
+        summaries.push({
+            conditionId: position.conditionId,
+            outcomeIndex: position.outcomeIndex,
+            outcome: position.outcome,
+            market: position.market,
+            openSize: size,
+            closed: size <= EPSILON,
+            avgCost: size > EPSILON ? openCost(position) / size : 0,
+            currentPrice: currentPrice,
+            realizedPnl: position.realizedPnl,
+            unrealizedPnl: positionUnrealized
+        });
+    }
+
+    return {
+        realizedPnl,
+        unrealizedPnl,
+        totalPnl: realizedPnl + unrealizedPnl,
+        capitalDeployed,
+        unmatchedSellValue,
+        unpricedPositions,
+        positions: summaries,
+        realizations
+    };
+}
@@ -0,0 +1,319 @@
+import fetch from 'node-fetch';
+import { config } from './config.js';
+
+/**
+ * @typedef {Object} Market  Gamma `/markets` record (conditionId, question, volumeNum, liquidityNum, outcomes, outcomePrices, ...)
+ * @typedef {Object} Holder  Data API holder (proxyWallet, name, pseudonym, amount, outcomeIndex, ...)
+ * @typedef {Object} Trade   Data API trade (proxyWallet, side, conditionId, outcome, outcomeIndex, price, size, timestamp, title, slug, ...)
+ * @typedef {Object} Position  Data API position (conditionId, outcome, size, avgPrice, curPrice, cashPnl, ...)
+ * @typedef {Object} Activity  Data API activity entry (type, conditionId, side, price, size, usdcSize, timestamp, ...)
+ */
+
+export class PolymarketApiError extends Error {
+    constructor(message, { status = null, url = null } = {}) {
+        super(message);
+        this.name = 'PolymarketApiError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Settles with `promise`, or rejects as soon as `signal` aborts.
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+function buildQuery(params) {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params || {})) {
+        if (value === undefined || value === null) continue;
+        if (Array.isArray(value)) {
+            for (const item of value) search.append(key, String(item));
+        } else {
+            search.append(key, String(value));
+        }
+    }
+    const query = search.toString();
+    return query ? `?${query}` : '';
+}
+
+// Gamma sends some list fields (`outcomes`, `outcomePrices`) as JSON strings.
+export function parseJsonArray(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Some Data API endpoints wrap their list in `trades` or `data`.
+export function unwrapList(data) {
+    if (Array.isArray(data)) return data;
+    if (data && Array.isArray(data.trades)) return data.trades;
+    if (data && Array.isArray(data.data)) return data.data;
+    return [];
+}
+
+/**
+ * In-memory cache of response bodies keyed by URL. Entries expire after
+ * `ttlMs` and the oldest are evicted once more than `maxBytes` of bodies are
+ * held. A request still in flight is shared, so concurrent callers asking for
+ * the same URL make a single request; failures are never cached.
+ */
+export function createResponseCache({ ttlMs, maxBytes = Infinity, now = Date.now }) {
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0 };
+    let bytes = 0;
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return;
+        bytes -= entry.size;
+        entries.delete(key);
+    }
+
+    function get(key, load) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt > now()) {
+            stats.hits++;
+            return entry.body;
+        }
+        remove(key);
+        stats.misses++;
+
+        const created = { body: null, size: 0, expiresAt: Infinity };
+        created.body = load().then(body => {
+            if (entries.get(key) !== created) return body;
+            created.size = body.length;
+            created.expiresAt = now() + ttlMs;
+            bytes += created.size;
+            for (const oldest of entries.keys()) {
+                if (bytes <= maxBytes) break;
+                remove(oldest);
+            }
+            return body;
+        }, error => {
+            if (entries.get(key) === created) remove(key);
+            throw error;
+        });
+        entries.set(key, created);
+        return created.body;
+    }
+
+    function clear() {
+        entries.clear();
+        bytes = 0;
+    }
+
+    function getStats() {
+        return { ...stats, entries: entries.size, bytes };
+    }
+
+    return { get, clear, getStats };
+}
+
+export function createPolymarketClient(options = {}) {
+    const settings = { ...config, ...options };
+    const fetchImpl = options.fetch || fetch;
+    const cache = settings.cacheTtlSeconds > 0
+        ? createResponseCache({ ttlMs: settings.cacheTtlSeconds * 1000, maxBytes: settings.cacheMaxMb * 1024 * 1024 })
+        : null;
+
+    // Backoff is clamped to `maxRetryDelayMs`; a longer `Retry-After` is
+    // returned as is so the caller can give up instead of waiting it out.
+    function retryDelay(attempt, response) {
+        const retryAfter = response && parseFloat(response.headers.get('retry-after'));
+        if (Number.isFinite(retryAfter)) {
+            return Math.max(0, retryAfter * 1000);
+        }
+        const backoff = settings.retryBaseDelayMs * 2 ** attempt;
+        return Math.min(settings.maxRetryDelayMs, backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    async function fetchBody(url, signal = null) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= settings.maxRetries; attempt++) {
+            signal?.throwIfAborted();
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), settings.requestTimeoutMs);
+            const onAbort = () => controller.abort();
+            signal?.addEventListener('abort', onAbort, { once: true });
+            let response = null;
+
+            try {
+                response = await fetchImpl(url, {
+                    headers: { 'Accept': 'application/json' },
+                    signal: controller.signal
+                });
+            } catch (error) {
+                signal?.throwIfAborted();
+                lastError = new PolymarketApiError(`Request failed: ${error.message}`, { url });
+            } finally {
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+            }
+
+            if (response) {
+                if (response.ok) {
+                    return response.text();
+                }
+                lastError = new PolymarketApiError(`HTTP error! status: ${response.status}`, {
+                    status: response.status,
+                    url
+                });
+                if (!isRetryableStatus(response.status)) {
+                    throw lastError;
+                }
+            }
+
+            if (attempt < settings.maxRetries) {
+                const delay = retryDelay(attempt, response);
+                if (delay > settings.maxRetryDelayMs) {
+                    throw new PolymarketApiError(`Retry-After of ${delay / 1000}s exceeds the ${settings.maxRetryDelayMs / 1000}s limit (status: ${response.status})`, {
+                        status: response.status,
+                        url
+                    });
+                }
+                await sleep(delay);
+            }
+        }
+
+        throw lastError;
+    }
+
+    // `signal` stops the caller waiting; a cached load other callers may share
+    // keeps going, while an uncached request is aborted outright.
+    async function request(baseUrl, path, params, { signal = null } = {}) {
+        const url = `${baseUrl}${path}${buildQuery(params)}`;
+        const body = cache
+            ? await untilAborted(cache.get(url, () => fetchBody(url)), signal)
+            : await fetchBody(url, signal);
+        return JSON.parse(body);
+    }
+
+    function cacheStats() {
+        return cache ? cache.getStats() : { hits: 0, misses: 0, entries: 0, bytes: 0 };
+    }
+
+    function clearCache() {
+        cache?.clear();
+    }
+
+    // Walks `offset`/`limit` pages until a short page, `maxItems`, or `until(page)`
+    // returning true. An aborted `signal` stops it with the abort reason.
+    async function paginate(baseUrl, path, params = {}, { pageSize = 100, maxItems = Infinity, until = null, signal = null } = {}) {
+        const items = [];
+        let offset = params.offset || 0;
+
+        while (items.length < maxItems) {
+            signal?.throwIfAborted();
+            const limit = Math.min(pageSize, maxItems - items.length);
+            const page = unwrapList(await request(baseUrl, path, { ...params, limit, offset }, { signal }));
+            items.push(...page);
+            if (page.length < limit) break;
+            if (until && until(page)) break;
+            offset += page.length;
+        }
+
+        return items;
+    }
+
+    /** @returns {Promise<Market[]>} */
+    function getMarkets(params = {}, { pageSize = 100, maxItems = 100 } = {}) {
+        return paginate(settings.gammaBaseUrl, '/markets', params, { pageSize, maxItems });
+    }
+
+    /** @returns {Promise<Market[]>} */
+    async function getMarketsByConditionIds(conditionIds) {
+        const ids = [...new Set(conditionIds.filter(Boolean))];
+        const markets = [];
+        for (let i = 0; i < ids.length; i += 20) {
+            const batch = ids.slice(i, i + 20);
+            const page = await request(settings.gammaBaseUrl, '/markets', {
+                condition_ids: batch,
+                limit: batch.length
+            });
+            markets.push(...unwrapList(page));
+        }
+        return markets;
+    }
+
+    // Current outcome prices keyed by `${conditionId}:${outcomeIndex}`.
+    async function getOutcomePrices(conditionIds) {
+        const prices = new Map();
+        for (const market of await getMarketsByConditionIds(conditionIds)) {
+            parseJsonArray(market.outcomePrices).forEach((price, index) => {
+                const value = parseFloat(price);
+                if (!Number.isNaN(value)) {
+                    prices.set(`${market.conditionId}:${index}`, value);
+                }
+            });
+        }
+        return prices;
+    }
+
+    /** @returns {Promise<{ token: string, holders: Holder[] }[]>} */
+    async function getHolders(conditionId, { limit = 20 } = {}) {
+        const data = await request(settings.dataBaseUrl, '/holders', { market: conditionId, limit });
+        return Array.isArray(data) ? data : [];
+    }
+
+    /** @returns {Promise<Trade[]>} */
+    function getTrades(params = {}, { pageSize = 500, maxItems = 500, until = null, signal = null } = {}) {
+        return paginate(settings.dataBaseUrl, '/trades', params, { pageSize, maxItems, until, signal });
+    }
+
+    // Trades come back newest first, so page back until one predates `since`.
+    function getTradesSince(params, since, { pageSize = 500, maxItems = settings.maxTradesPerWallet, signal = null } = {}) {
+        return getTrades(params, {
+            pageSize,
+            maxItems,
+            until: page => page.some(trade => (trade.timestamp || 0) < since),
+            signal
+        });
+    }
+
+    /** @returns {Promise<Position[]>} */
+    function getPositions(user, params = {}, { pageSize = 500, maxItems = 500 } = {}) {
+        return paginate(settings.dataBaseUrl, '/positions', { ...params, user }, { pageSize, maxItems });
+    }
+
+    /** @returns {Promise<Activity[]>} */
+    function getActivity(user, params = {}, { pageSize = 500, maxItems = 500 } = {}) {
+        return paginate(settings.dataBaseUrl, '/activity', { ...params, user }, { pageSize, maxItems });
+    }
+
+    return {
+        request,
+        cacheStats,
+        clearCache,
+        paginate,
+        getMarkets,
+        getMarketsByConditionIds,
+        getOutcomePrices,
+        getHolders,
+        getTrades,
+        getTradesSince,
+        getPositions,
+        getActivity
+    };
+}
+
+export const polymarket = createPolymarketClient();
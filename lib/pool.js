@@ -0,0 +1,51 @@
+import { config } from './config.js';
+
+const MAX_CONCURRENCY = 32;
+
+export class ConcurrencyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConcurrencyError';
+    }
+}
+
+export function parseConcurrency(value) {
+    if (value === undefined || value === null || value === '') return config.concurrency;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_CONCURRENCY) {
+        throw new ConcurrencyError(`Invalid concurrency: ${value} (expected an integer from 1 to ${MAX_CONCURRENCY})`);
+    }
+    return number;
+}
+
+/**
+ * Maps `items` through `worker(item, index)` with at most `concurrency` calls
+ * in flight and resolves to the results in input order.
+ *
+ * After the first worker error (or once `signal` aborts) no new items are
+ * started; the calls already running are awaited and then that error is
+ * thrown.
+ */
+export async function mapPool(items, worker, { concurrency = config.concurrency, signal = null } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    async function run() {
+        while (!failure && next < items.length) {
+            const index = next++;
+            try {
+                signal?.throwIfAborted();
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    }
+
+    const workers = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workers }, run));
+
+    if (failure) throw failure.error;
+    return results;
+}
@@ -0,0 +1,173 @@
+import crypto from 'node:crypto';
+import { Type } from '@google/genai';
+import { config } from './config.js';
+
+export class QuestionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QuestionError';
+    }
+}
+
+export const qaSchema = {
+    type: Type.OBJECT,
+    properties: {
+        answer: { type: Type.STRING },
+        citations: { type: Type.ARRAY, items: { type: Type.STRING } }
+    },
+    required: ['answer', 'citations'],
+    propertyOrdering: ['answer', 'citations']
+};
+
+export function parseQuestion(value, maxLength = config.qa.maxQuestionLength) {
+    const question = typeof value === 'string' ? value.trim() : '';
+    if (!question) {
+        throw new QuestionError('Missing question');
+    }
+    if (question.length > maxLength) {
+        throw new QuestionError(`Question is too long (${question.length} characters, max ${maxLength})`);
+    }
+    return question;
+}
+
+// Gives each trade the id answers cite it by: T1 is the newest.
+export function labelTrades(trades) {
+    return [...trades]
+        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+        .map((trade, i) => ({ id: `T${i + 1}`, ...trade }));
+}
+
+/**
+ * Checks a parsed model reply against `qaSchema`. Citations of trades that
+ * weren't in the prompt are dropped rather than failing the reply.
+ */
+export function validateAnswer(value, tradeIds) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, errors: ['reply is not an object'] };
+    }
+    const errors = [];
+    if (typeof value.answer !== 'string' || value.answer.trim() === '') {
+        errors.push('answer must be a non-empty string');
+    }
+    if (!Array.isArray(value.citations) || value.citations.some(id => typeof id !== 'string')) {
+        errors.push('citations must be an array of trade ids');
+    }
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    return {
+        valid: true,
+        value: {
+            answer: value.answer.trim(),
+            citations: [...new Set(value.citations.map(id => id.trim().toUpperCase()))].filter(id => tradeIds.has(id))
+        }
+    };
+}
+
+function formatTrade(trade) {
+    const time = trade.timestamp ? new Date(trade.timestamp * 1000).toISOString().slice(0, 16).replace('T', ' ') : 'unknown time';
+    return `${trade.id} | ${time} UTC | ${trade.action} | ${trade.market} | ${trade.outcome} | price ${trade.price.toFixed(3)} | ${trade.size.toFixed(2)} shares | $${trade.value.toFixed(2)}`;
+}
+
+function formatMarket(market) {
+    return `- ${market.market}: ${market.tradeCount} trades, $${market.volume.toFixed(2)} volume, realized $${market.realizedPnl.toFixed(2)}, unrealized $${market.unrealizedPnl.toFixed(2)}`;
+}
+
+export function buildQaPrompt({ question, history = [], trades, metrics = null, markets = [], profit, windowLabel }, maxTrades = config.qa.maxTrades) {
+    const shown = trades.slice(0, maxTrades);
+    const omitted = trades.length - shown.length;
+    const conversation = history.length > 0
+        ? `\nEarlier in this conversation:\n${history.map(turn => `Q: ${turn.question}\nA: ${turn.answer}`).join('\n')}\n`
+        : '';
+
+    return `You are an expert prediction market analyst answering questions about one Polymarket trader's activity over the ${windowLabel}. Their total PnL in that window was $${profit.toFixed(2)}.
+
+Metrics:
+${JSON.stringify(metrics, null, 2)}
+
+PnL by market:
+${markets.map(formatMarket).join('\n') || '(none)'}
+
+Trades, newest first (id | time | side | market | outcome | price | shares | value):
+${shown.map(formatTrade).join('\n')}${omitted > 0 ? `\n(${omitted} older trades not shown)` : ''}
+${conversation}
+Question: ${question}
+
+Answer using only the data above; if it does not answer the question, say so. Reply with JSON matching the response schema:
+- answer: a short, direct answer in plain language
+- citations: the ids (e.g. "T3") of the trades the answer is based on`;
+}
+
+// Maps cited ids back to the session's trades, in citation order.
+export function resolveCitations(ids, trades) {
+    const byId = new Map(trades.map(trade => [trade.id, trade]));
+    return ids.filter(id => byId.has(id)).map(id => byId.get(id));
+}
+
+/**
+ * In-memory Q&A sessions, one wallet each. A session keeps the wallet's
+ * trades and metrics so follow-up questions don't refetch them, plus the last
+ * `historyTurns` questions and answers. Idle sessions expire after
+ * `ttlSeconds`; past `maxSessions` the least recently used one is dropped.
+ */
+export function createQaSessions({
+    ttlSeconds = config.qa.sessionTtlMinutes * 60,
+    maxSessions = config.qa.maxSessions,
+    historyTurns = config.qa.historyTurns,
+    now = Date.now
+} = {}) {
+    const sessions = new Map();
+
+    function expire() {
+        const cutoff = now() - ttlSeconds * 1000;
+        for (const [id, session] of sessions) {
+            if (session.updatedAt <= cutoff) sessions.delete(id);
+        }
+    }
+
+    function touch(session) {
+        session.updatedAt = now();
+        // Re-inserting keeps the map in least-recently-used order.
+        sessions.delete(session.id);
+        sessions.set(session.id, session);
+    }
+
+    // The session, if it exists and belongs to `walletAddress`.
+    function get(id, walletAddress) {
+        expire();
+        const session = typeof id === 'string' ? sessions.get(id) : null;
+        if (!session || session.walletAddress.toLowerCase() !== walletAddress.toLowerCase()) return null;
+        touch(session);
+        return session;
+    }
+
+    function create({ walletAddress, window, trades, metrics = null, markets = [], profit = 0 }) {
+        expire();
+        while (sessions.size >= maxSessions) {
+            sessions.delete(sessions.keys().next().value);
+        }
+        const session = {
+            id: crypto.randomUUID(),
+            walletAddress,
+            window,
+            trades: labelTrades(trades),
+            metrics,
+            markets,
+            profit,
+            history: [],
+            updatedAt: now()
+        };
+        sessions.set(session.id, session);
+        return session;
+    }
+
+    function record(session, turn) {
+        session.history.push(turn);
+        if (session.history.length > historyTurns) {
+            session.history.splice(0, session.history.length - historyTurns);
+        }
+        touch(session);
+    }
+
+    return { get, create, record, size: () => sessions.size };
+}
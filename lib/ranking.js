@@ -0,0 +1,97 @@
+import { config } from './config.js';
+
+// `desc` ranks the highest value first; `asc` the lowest.
+export const RANK_KEYS = {
+    profit: { label: 'Total PnL', direction: 'desc', value: trader => trader.weeklyProfit },
+    realized: { label: 'Realized PnL', direction: 'desc', value: trader => trader.pnl.realizedPnl },
+    roi: { label: 'ROI', direction: 'desc', value: trader => trader.metrics.roi },
+    winRate: { label: 'Win rate', direction: 'desc', value: trader => trader.metrics.winRate },
+    sharpe: { label: 'Sharpe-like ratio', direction: 'desc', value: trader => trader.metrics.sharpe },
+    drawdown: { label: 'Max drawdown', direction: 'asc', value: trader => trader.metrics.maxDrawdown },
+    holdingTime: { label: 'Avg holding time', direction: 'desc', value: trader => trader.metrics.avgHoldingHours },
+    concentration: { label: 'Market concentration', direction: 'asc', value: trader => trader.metrics.marketConcentration }
+};
+
+// What to do with wallets the classifier flags as market makers, bots or
+// wash-like: rank them as usual, drop them, or rank them in a list of their own.
+export const FLAGGED_MODES = ['include', 'exclude', 'separate'];
+
+export class RankOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RankOptionsError';
+    }
+}
+
+function parseMinimum(value, name, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new RankOptionsError(`Invalid ${name}: ${value}`);
+    }
+    return number;
+}
+
+function parseLimit(value) {
+    if (value === undefined || value === null || value === '') return config.ranking.limit;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new RankOptionsError(`Invalid limit: ${value} (expected a positive integer)`);
+    }
+    return number;
+}
+
+export function parseRankOptions({ rankBy, minTrades, minCapital, limit, flagged } = {}) {
+    const key = rankBy || config.ranking.rankBy;
+    if (!RANK_KEYS[key]) {
+        throw new RankOptionsError(`Invalid rankBy: ${key} (expected one of ${Object.keys(RANK_KEYS).join(', ')})`);
+    }
+    const flaggedMode = flagged || config.ranking.flagged;
+    if (!FLAGGED_MODES.includes(flaggedMode)) {
+        throw new RankOptionsError(`Invalid flagged: ${flaggedMode} (expected one of ${FLAGGED_MODES.join(', ')})`);
+    }
+
+    return {
+        rankBy: key,
+        minTrades: parseMinimum(minTrades, 'minTrades', config.ranking.minTrades),
+        minCapital: parseMinimum(minCapital, 'minCapital', config.ranking.minCapital),
+        limit: parseLimit(limit),
+        flagged: flaggedMode
+    };
+}
+
+function isFlagged(trader) {
+    return Boolean(trader.classification && trader.classification.flagged);
+}
+
+/**
+ * Drops wallets below the activity thresholds and ranks the rest by the
+ * chosen key. Traders whose key is null (e.g. no closed positions for a win
+ * rate) sort after everyone with a value. Flagged wallets are left out unless
+ * `flagged` is `include`.
+ */
+export function rankTraders(traders, { rankBy = 'profit', minTrades = 1, minCapital = 0, limit = 5, flagged = 'include' } = {}) {
+    const key = RANK_KEYS[rankBy];
+    const sign = key.direction === 'asc' ? 1 : -1;
+
+    return traders
+        .filter(trader => flagged === 'include' || !isFlagged(trader))
+        .filter(trader => trader.tradeCount >= Math.max(1, minTrades))
+        .filter(trader => trader.pnl && trader.pnl.capitalDeployed >= minCapital)
+        .sort((a, b) => {
+            const valueA = key.value(a);
+            const valueB = key.value(b);
+            if (valueA === null && valueB === null) return b.weeklyProfit - a.weeklyProfit;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+            return sign * (valueA - valueB) || b.weeklyProfit - a.weeklyProfit;
+        })
+        .slice(0, limit)
+        .map((trader, index) => ({ ...trader, rank: index + 1 }));
+}
+
+// The flagged wallets' own ranking when `flagged` is `separate`, else empty.
+export function rankFlaggedTraders(traders, ranking = {}) {
+    if (ranking.flagged !== 'separate') return [];
+    return rankTraders(traders.filter(isFlagged), { ...ranking, flagged: 'include' });
+}
@@ -0,0 +1,143 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { config } from './config.js';
+
+const MAX_LIST_LIMIT = 100;
+
+export class RunStoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RunStoreError';
+    }
+}
+
+function parseCount(value, name, fallback, min) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) {
+        throw new RunStoreError(`Invalid ${name}: ${value} (expected an integer of at least ${min})`);
+    }
+    return number;
+}
+
+// `limit` and `offset` for `listRuns`, from a query string.
+export function parseRunListOptions({ limit, offset } = {}) {
+    const options = {
+        limit: parseCount(limit, 'limit', 20, 1),
+        offset: parseCount(offset, 'offset', 0, 0)
+    };
+    if (options.limit > MAX_LIST_LIMIT) {
+        throw new RunStoreError(`Invalid limit: ${limit} (max ${MAX_LIST_LIMIT})`);
+    }
+    return options;
+}
+
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+async function writeJson(file, value) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(value, null, 2));
+    await rename(tmp, file);
+}
+
+function summarize(run) {
+    return {
+        id: run.id,
+        createdAt: run.createdAt,
+        params: run.params,
+        traderCount: run.results.length,
+        aiUsage: run.aiUsage || null,
+        traders: run.results.map(trader => ({
+            rank: trader.rank,
+            walletAddress: trader.walletAddress,
+            name: trader.name,
+            weeklyProfit: trader.weeklyProfit
+        }))
+    };
+}
+
+/**
+ * File-backed history of analysis runs.
+ *
+ * Each run is written to `<dir>/<id>.json`; `<dir>/index.json` keeps a
+ * newest-first summary of every run so listings and per-wallet history don't
+ * need to open each file.
+ */
+export function createRunStore(dir = path.join(config.dataDir, 'runs')) {
+    const indexFile = path.join(dir, 'index.json');
+    let pending = Promise.resolve();
+
+    // Serializes index updates so concurrent saves can't drop each other.
+    function withLock(task) {
+        const next = pending.then(task, task);
+        pending = next.catch(() => {});
+        return next;
+    }
+
+    async function saveRun({ params, results, flaggedResults = [], consensus = null, aiUsage = null, createdAt = new Date().toISOString() }) {
+        const run = { id: randomUUID(), createdAt, params, aiUsage, results, flaggedResults, consensus };
+
+        return withLock(async () => {
+            await mkdir(dir, { recursive: true });
+            await writeJson(path.join(dir, `${run.id}.json`), run);
+            const index = await readJson(indexFile, []);
+            index.unshift(summarize(run));
+            await writeJson(indexFile, index);
+            return run;
+        });
+    }
+
+    async function listRuns({ limit = 20, offset = 0 } = {}) {
+        const index = await readJson(indexFile, []);
+        return {
+            total: index.length,
+            runs: index.slice(offset, offset + limit)
+        };
+    }
+
+    async function getRun(id) {
+        if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+        return readJson(path.join(dir, `${id}.json`), null);
+    }
+
+    async function getLatestRun() {
+        const [latest] = await readJson(indexFile, []);
+        return latest ? getRun(latest.id) : null;
+    }
+
+    async function getWalletHistory(walletAddress) {
+        const wallet = walletAddress.toLowerCase();
+        const index = await readJson(indexFile, []);
+        const appearances = [];
+
+        for (const run of index) {
+            const trader = run.traders.find(t => t.walletAddress.toLowerCase() === wallet);
+            if (trader) {
+                appearances.push({
+                    runId: run.id,
+                    createdAt: run.createdAt,
+                    params: run.params,
+                    rank: trader.rank,
+                    weeklyProfit: trader.weeklyProfit
+                });
+            }
+        }
+
+        return {
+            walletAddress,
+            totalRuns: index.length,
+            appearances: appearances.length,
+            history: appearances
+        };
+    }
+
+    return { saveRun, listRuns, getRun, getLatestRun, getWalletHistory };
+}
@@ -0,0 +1,211 @@
+const INTERVAL_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MINUTE_MS = 60 * 1000;
+// A cron expression that matches nothing (e.g. `0 0 31 2 *`) gives up after this long.
+const MAX_CRON_LOOKAHEAD_MS = 4 * 366 * 24 * 60 * MINUTE_MS;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// [name, min, max]
+const CRON_FIELDS = [
+    ['minute', 0, 59],
+    ['hour', 0, 23],
+    ['day of month', 1, 31],
+    ['month', 1, 12],
+    ['day of week', 0, 7]
+];
+
+export class ScheduleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScheduleError';
+    }
+}
+
+function parseCronField(text, [name, min, max]) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new ScheduleError(`Invalid cron ${name}: ${text}`);
+        }
+        const step = match[4] ? Number(match[4]) : 1;
+        let start = min;
+        let end = max;
+        if (match[1] !== '*') {
+            start = Number(match[2]);
+            end = match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start);
+        }
+        if (start < min || end > max || start > end || step < 1) {
+            throw new ScheduleError(`Invalid cron ${name}: ${text} (expected ${min}-${max})`);
+        }
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+function parseCron(spec) {
+    const parts = spec.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new ScheduleError(`Invalid cron expression: ${spec} (expected 5 fields: minute hour day-of-month month day-of-week)`);
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    // Sunday is both 0 and 7.
+    if (weekdays.has(7)) weekdays.add(0);
+    return {
+        minutes, hours, days, months, weekdays,
+        anyDay: parts[2] === '*',
+        anyWeekday: parts[4] === '*'
+    };
+}
+
+// Like cron, a restricted day of month and day of week match if either does.
+function cronDayMatches(cron, date) {
+    const day = cron.days.has(date.getUTCDate());
+    const weekday = cron.weekdays.has(date.getUTCDay());
+    if (cron.anyDay) return weekday;
+    if (cron.anyWeekday) return day;
+    return day || weekday;
+}
+
+function nextCronTime(cron, after) {
+    const date = new Date(Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+    const limit = after + MAX_CRON_LOOKAHEAD_MS;
+    while (date.getTime() <= limit) {
+        if (!cron.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cronDayMatches(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses a schedule: an interval such as `30m`, `6h` or `1d`, or a five-field
+ * cron expression evaluated in UTC (`0 6 * * 1-5`). Empty, `off` or `0`
+ * disables it (returns null).
+ */
+export function parseSchedule(value) {
+    const spec = String(value ?? '').trim();
+    if (spec === '' || spec === 'off' || spec === '0') return null;
+
+    const interval = /^(\d+(?:\.\d+)?)([smhd])$/.exec(spec);
+    if (interval) {
+        const intervalMs = Number(interval[1]) * INTERVAL_UNITS[interval[2]];
+        if (intervalMs <= 0) {
+            throw new ScheduleError(`Invalid schedule: ${spec} (interval must be positive)`);
+        }
+        return { spec, type: 'interval', intervalMs };
+    }
+    if (/^\d+(?:\.\d+)?$/.test(spec)) {
+        throw new ScheduleError(`Invalid schedule: ${spec} (add a unit: s, m, h or d)`);
+    }
+    return { spec, type: 'cron', cron: parseCron(spec) };
+}
+
+// Next run after `after` (ms since the epoch), or null if the schedule never fires.
+export function nextRunTime(schedule, after) {
+    if (schedule.type === 'interval') return after + schedule.intervalMs;
+    return nextCronTime(schedule.cron, after);
+}
+
+/**
+ * Runs `task` on a schedule in the background. A run that comes due while the
+ * previous one is still going is skipped, not queued; `task` may also return
+ * `{ skipped: true }` to report that it had nothing to do. `log` gets task
+ * failures, which never stop the schedule.
+ */
+export function createScheduler({ schedule, task, now = Date.now, log = () => {} }) {
+    let timer = null;
+    let running = null;
+    let nextRunAt = null;
+    const status = { lastRunAt: null, lastFinishedAt: null, lastStatus: null, lastError: null, runs: 0, skipped: 0 };
+
+    async function runNow() {
+        if (running) {
+            status.skipped++;
+            return { skipped: true };
+        }
+        running = (async () => {
+            status.lastRunAt = new Date(now()).toISOString();
+            try {
+                const result = await task();
+                if (result && result.skipped) {
+                    status.skipped++;
+                    status.lastStatus = 'skipped';
+                } else {
+                    status.runs++;
+                    status.lastStatus = 'completed';
+                    status.lastError = null;
+                }
+                return result;
+            } catch (error) {
+                status.lastStatus = 'failed';
+                status.lastError = error.message;
+                log(`Scheduled run failed: ${error.message}`);
+                return { error: error.message };
+            } finally {
+                status.lastFinishedAt = new Date(now()).toISOString();
+            }
+        })();
+        try {
+            return await running;
+        } finally {
+            running = null;
+        }
+    }
+
+    // Long delays overflow setTimeout, so wake up early and re-arm until due.
+    function arm(target) {
+        nextRunAt = target;
+        timer = setTimeout(() => {
+            if (now() < target) {
+                arm(target);
+                return;
+            }
+            runNow();
+            if (timer) scheduleNext();
+        }, Math.min(Math.max(0, target - now()), MAX_TIMEOUT_MS));
+        timer.unref();
+    }
+
+    function scheduleNext() {
+        const next = nextRunTime(schedule, now());
+        if (next === null) {
+            nextRunAt = null;
+            timer = null;
+            return;
+        }
+        arm(next);
+    }
+
+    function start() {
+        if (timer || !schedule) return;
+        scheduleNext();
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        timer = null;
+        nextRunAt = null;
+    }
+
+    function getStatus() {
+        return {
+            schedule: schedule ? schedule.spec : null,
+            enabled: timer !== null,
+            running: running !== null,
+            nextRunAt: nextRunAt === null ? null : new Date(nextRunAt).toISOString(),
+            ...status
+        };
+    }
+
+    return { start, stop, runNow, getStatus };
+}
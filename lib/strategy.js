@@ -0,0 +1,146 @@
+import { Type } from '@google/genai';
+
+export const STRATEGY_ARCHETYPES = [
+    'momentum',
+    'favourite-backing',
+    'longshot',
+    'market-making',
+    'near-resolution-arbitrage',
+    'mean-reversion',
+    'event-driven',
+    'other'
+];
+
+export const HOLDING_PERIODS = ['minutes', 'hours', 'days', 'weeks', 'to-resolution'];
+
+export const RISK_RATINGS = ['low', 'medium', 'high'];
+
+// Bump when the prompt or schema changes so cached explanations are not reused.
+export const PROMPT_VERSION = 'strategy-v2';
+
+export const PROMPT_TRADE_LIMIT = 50;
+
+export const strategySchema = {
+    type: Type.OBJECT,
+    properties: {
+        archetype: { type: Type.STRING, enum: STRATEGY_ARCHETYPES },
+        categories: { type: Type.ARRAY, items: { type: Type.STRING } },
+        entryPriceBand: {
+            type: Type.OBJECT,
+            properties: {
+                min: { type: Type.NUMBER },
+                max: { type: Type.NUMBER }
+            },
+            required: ['min', 'max']
+        },
+        holdingPeriod: { type: Type.STRING, enum: HOLDING_PERIODS },
+        riskRating: { type: Type.STRING, enum: RISK_RATINGS },
+        confidence: { type: Type.NUMBER },
+        summary: { type: Type.STRING }
+    },
+    required: ['archetype', 'categories', 'entryPriceBand', 'holdingPeriod', 'riskRating', 'confidence', 'summary'],
+    propertyOrdering: ['archetype', 'categories', 'entryPriceBand', 'holdingPeriod', 'riskRating', 'confidence', 'summary']
+};
+
+function isProbability(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 1;
+}
+
+/**
+ * Checks a parsed model reply against `strategySchema`. Returns the cleaned-up
+ * profile, or the list of problems so the caller can retry.
+ */
+export function validateStrategy(value) {
+    const errors = [];
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { valid: false, errors: ['reply is not an object'] };
+    }
+    if (!STRATEGY_ARCHETYPES.includes(value.archetype)) {
+        errors.push(`archetype must be one of ${STRATEGY_ARCHETYPES.join(', ')}`);
+    }
+    if (!Array.isArray(value.categories) || value.categories.some(category => typeof category !== 'string')) {
+        errors.push('categories must be an array of strings');
+    }
+    const band = value.entryPriceBand;
+    if (!band || !isProbability(band.min) || !isProbability(band.max) || band.min > band.max) {
+        errors.push('entryPriceBand must have min <= max, both between 0 and 1');
+    }
+    if (!HOLDING_PERIODS.includes(value.holdingPeriod)) {
+        errors.push(`holdingPeriod must be one of ${HOLDING_PERIODS.join(', ')}`);
+    }
+    if (!RISK_RATINGS.includes(value.riskRating)) {
+        errors.push(`riskRating must be one of ${RISK_RATINGS.join(', ')}`);
+    }
+    if (!isProbability(value.confidence)) {
+        errors.push('confidence must be a number between 0 and 1');
+    }
+    if (typeof value.summary !== 'string' || value.summary.trim() === '') {
+        errors.push('summary must be a non-empty string');
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    return {
+        valid: true,
+        value: {
+            archetype: value.archetype,
+            categories: value.categories.map(category => category.trim()).filter(Boolean),
+            entryPriceBand: { min: band.min, max: band.max },
+            holdingPeriod: value.holdingPeriod,
+            riskRating: value.riskRating,
+            confidence: value.confidence,
+            summary: value.summary.trim()
+        }
+    };
+}
+
+/**
+ * The trades as sent to the model: each trade with its market's category,
+ * hours left until the market's scheduled end when it was placed (negative
+ * once past it) and resolution status. Current prices are left out so an
+ * unchanged trade list keeps its cached explanation.
+ */
+export function promptTrades(trades) {
+    return trades.slice(0, PROMPT_TRADE_LIMIT).map(trade => ({
+        market: trade.market,
+        category: trade.category ?? null,
+        outcome: trade.outcome,
+        action: trade.action,
+        price: trade.price,
+        size: trade.size,
+        value: trade.value,
+        timestamp: trade.timestamp,
+        hoursToResolution: typeof trade.hoursToResolution === 'number' ? Math.round(trade.hoursToResolution * 10) / 10 : null,
+        marketStatus: trade.marketStatus ?? null,
+        winningOutcome: trade.winningOutcome ?? null
+    }));
+}
+
+function formatCategory(category) {
+    return `- ${category.category}: ${category.tradeCount} trades, ${(category.volumeShare * 100).toFixed(0)}% of volume, PnL $${category.totalPnl.toFixed(2)}`;
+}
+
+export function buildStrategyPrompt(rawTradeData, weeklyProfit, windowLabel, categoryBreakdown = []) {
+    const tradesSummary = JSON.stringify(promptTrades(rawTradeData), null, 2);
+    const profitStatus = weeklyProfit >= 0 ? `profit of $${weeklyProfit.toFixed(2)}` : `loss of $${Math.abs(weeklyProfit).toFixed(2)}`;
+    const categories = categoryBreakdown.length > 0
+        ? `\nActivity by market category:\n${categoryBreakdown.map(formatCategory).join('\n')}\n`
+        : '';
+
+    return `You are an expert prediction market analyst. Analyze the following raw trade data from a top-performing Polymarket trader who made a ${profitStatus} over the ${windowLabel}.
+
+Trade Data (${windowLabel}). Each trade includes its market's category, the hours left until the market's scheduled end when it was placed (hoursToResolution), whether the market is open, closed or resolved (marketStatus) and the outcome it resolved to (winningOutcome):
+${tradesSummary}
+${categories}
+Classify this trader's strategy and reply with JSON matching the response schema:
+- archetype: the closest strategy archetype (${STRATEGY_ARCHETYPES.join(', ')})
+- categories: the market categories they trade (e.g. politics, sports, crypto)
+- entryPriceBand: the typical price range (0 to 1) they buy at
+- holdingPeriod: how long they typically hold a position (${HOLDING_PERIODS.join(', ')})
+- riskRating: ${RISK_RATINGS.join(', ')}
+- confidence: how confident you are in this classification, from 0 to 1
+- summary: a one-paragraph strategy explanation suitable for a novice trader, covering what markets they trade, their entry/exit patterns, risk management, notable timing or pricing patterns, and why the strategy might be profitable`;
+}
@@ -0,0 +1,28 @@
+import { performance } from 'node:perf_hooks';
+
+/**
+ * Wall-clock milliseconds spent in each named phase of a run. Timing the same
+ * phase twice adds up.
+ */
+export function createPhaseTimer(now = () => performance.now()) {
+    const started = now();
+    const phases = {};
+
+    async function time(phase, task) {
+        const start = now();
+        try {
+            return await task();
+        } finally {
+            phases[phase] = (phases[phase] || 0) + now() - start;
+        }
+    }
+
+    function summary() {
+        return {
+            phases: Object.fromEntries(Object.entries(phases).map(([phase, ms]) => [phase, Math.round(ms)])),
+            totalMs: Math.round(now() - started)
+        };
+    }
+
+    return { time, summary };
+}
@@ -0,0 +1,199 @@
+import { polymarket } from './polymarket.js';
+import { config } from './config.js';
+import { parseWindow } from './window.js';
+import { calculateWeeklyProfit } from './analysis.js';
+import { explainStrategy } from './explainers/index.js';
+
+const WALLET_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+export class WalletError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WalletError';
+    }
+}
+
+export function parseWallet(value) {
+    const wallet = String(value || '').trim();
+    if (!WALLET_PATTERN.test(wallet)) {
+        throw new WalletError(`Invalid wallet address: ${value || '(empty)'} (expected 0x followed by 40 hex characters)`);
+    }
+    return wallet;
+}
+
+function positionKey(market, outcome) {
+    return `${market}:${outcome}`;
+}
+
+/**
+ * Per-market, per-outcome position over the window, one point per trade.
+ * Sizes start from whatever was held before the window, derived from the
+ * position's final open size minus the window's net flow.
+ */
+export function buildPositionTimeline(trades, positions = []) {
+    const openSizes = new Map(positions.map(position => [positionKey(position.market, position.outcome), position.openSize]));
+    const groups = new Map();
+
+    for (const trade of [...trades].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))) {
+        const key = positionKey(trade.market, trade.outcome);
+        if (!groups.has(key)) {
+            groups.set(key, { market: trade.market, outcome: trade.outcome, trades: [] });
+        }
+        groups.get(key).trades.push(trade);
+    }
+
+    return Array.from(groups.entries()).map(([key, group]) => {
+        const netFlow = group.trades.reduce((sum, trade) => sum + (trade.action === 'SELL' ? -trade.size : trade.size), 0);
+        const finalSize = openSizes.has(key) ? openSizes.get(key) : Math.max(0, netFlow);
+        let size = Math.max(0, finalSize - netFlow);
+        const startingSize = size;
+
+        const points = group.trades.map(trade => {
+            size = Math.max(0, size + (trade.action === 'SELL' ? -trade.size : trade.size));
+            return {
+                timestamp: trade.timestamp,
+                action: trade.action,
+                price: trade.price,
+                size: trade.size,
+                positionSize: size
+            };
+        });
+
+        return {
+            market: group.market,
+            outcome: group.outcome,
+            startingSize: startingSize,
+            endingSize: size,
+            points: points
+        };
+    });
+}
+
+// PnL per market from the cost-basis positions, with trade counts and volume
+// from the window's trades. Sorted best to worst.
+export function summarizeMarkets(pnl, trades) {
+    const markets = new Map();
+
+    function entry(market) {
+        if (!markets.has(market)) {
+            markets.set(market, {
+                market: market,
+                conditionId: null,
+                realizedPnl: 0,
+                unrealizedPnl: 0,
+                totalPnl: 0,
+                tradeCount: 0,
+                volume: 0,
+                outcomes: []
+            });
+        }
+        return markets.get(market);
+    }
+
+    for (const position of pnl ? pnl.positions : []) {
+        const market = entry(position.market);
+        market.conditionId = position.conditionId;
+        market.realizedPnl += position.realizedPnl;
+        market.unrealizedPnl += position.unrealizedPnl;
+        market.totalPnl += position.realizedPnl + position.unrealizedPnl;
+        market.outcomes.push({
+            outcome: position.outcome,
+            openSize: position.openSize,
+            avgCost: position.avgCost,
+            currentPrice: position.currentPrice,
+            realizedPnl: position.realizedPnl,
+            unrealizedPnl: position.unrealizedPnl
+        });
+    }
+
+    for (const trade of trades) {
+        const market = entry(trade.market);
+        market.tradeCount++;
+        market.volume += trade.value;
+    }
+
+    return Array.from(markets.values()).sort((a, b) => b.totalPnl - a.totalPnl);
+}
+
+/**
+ * Cumulative PnL over the window: zero at the start, a step at each realized
+ * sell and a final point at the window's end that adds the open positions'
+ * unrealized PnL, matching the curve the drawdown metric is taken from.
+ */
+export function buildPnlCurve(pnl, window) {
+    if (!pnl) return [];
+    const points = [{ timestamp: window.from, pnl: 0 }];
+    let total = 0;
+    for (const event of pnl.realizations || []) {
+        total += event.pnl;
+        points.push({ timestamp: event.timestamp, pnl: total });
+    }
+    const end = Math.max(Math.min(window.to, Math.floor(Date.now() / 1000)), points[points.length - 1].timestamp);
+    points.push({ timestamp: end, pnl: total + pnl.unrealizedPnl });
+    return points;
+}
+
+// Everything the trader detail view plots and tabulates, from the window's
+// cost-basis PnL and cleaned trades.
+export function buildTradeDetail({ pnl, trades, window }) {
+    return {
+        pnlCurve: buildPnlCurve(pnl, window),
+        markets: summarizeMarkets(pnl, trades),
+        trades: [...trades].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    };
+}
+
+/**
+ * Full analysis of one wallet, whether or not discovery would have found it:
+ * PnL and metrics from `calculateWeeklyProfit`, the complete trade list, a
+ * cumulative PnL curve, a position timeline, PnL per market and per category,
+ * plus the strategy explanation.
+ * `error` is set when the trade history couldn't be fetched.
+ */
+export async function analyzeTrader(walletAddress, {
+    client = polymarket,
+    window = parseWindow({ window: config.defaultWindow }),
+    explainer,
+    fallback,
+    cache = null,
+    usage = null,
+    log = () => {}
+} = {}) {
+    const wallet = parseWallet(walletAddress);
+    const { profit, pnl, metrics, classification, trades, tradeCount, categoryBreakdown, history, error } = await calculateWeeklyProfit(wallet, { client, window });
+
+    const { summary, profile, provider } = await explainStrategy(trades, profit, {
+        window,
+        metrics,
+        categoryBreakdown,
+        explainer,
+        fallback,
+        cache,
+        usage,
+        log
+    });
+
+    return {
+        walletAddress: wallet,
+        window: window,
+        profit: profit,
+        realizedPnl: pnl ? pnl.realizedPnl : 0,
+        unrealizedPnl: pnl ? pnl.unrealizedPnl : 0,
+        capitalDeployed: pnl ? pnl.capitalDeployed : 0,
+        metrics: metrics,
+        classification: classification,
+        tradeCount: tradeCount,
+        categoryBreakdown: categoryBreakdown,
+        history: {
+            complete: history.complete,
+            capped: history.capped,
+            fetched: history.fetched
+        },
+        ...buildTradeDetail({ pnl, trades, window }),
+        timeline: buildPositionTimeline(trades, pnl ? pnl.positions : []),
+        strategy: summary,
+        strategyProfile: profile,
+        strategyProvider: provider,
+        error: error || null
+    };
+}
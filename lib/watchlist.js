@@ -0,0 +1,196 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { config } from './config.js';
+import { parseWallet } from './trader.js';
+
+// Fill keys remembered per wallet so a fill is never alerted twice.
+const SEEN_LIMIT = 1000;
+
+export class WatchlistError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WatchlistError';
+    }
+}
+
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+async function writeJson(file, value) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(value, null, 2));
+    await rename(tmp, file);
+}
+
+function parseList(value, name) {
+    if (value === undefined || value === null || value === '') return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(item => {
+        if (typeof item !== 'string') {
+            throw new WatchlistError(`Invalid ${name}: ${JSON.stringify(value)}`);
+        }
+        return item.trim();
+    }).filter(Boolean);
+}
+
+function normalizeUrl(url) {
+    try {
+        return new URL(url).toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Whether a per-wallet webhook may be called: it is one of the operator's
+ * `webhooks`, or its host is in `hosts` (`*.example.com` also matches
+ * subdomains). Anything else could make the poller POST to internal services.
+ */
+export function isWebhookAllowed(url, { webhooks = config.watchlist.webhooks, hosts = config.watchlist.webhookHosts } = {}) {
+    const normalized = normalizeUrl(url);
+    if (!normalized) return false;
+    if (webhooks.some(allowed => normalizeUrl(allowed) === normalized)) return true;
+    const hostname = new URL(normalized).hostname;
+    return hosts.some(host => host.startsWith('*.')
+        ? hostname.endsWith(host.slice(1))
+        : hostname === host);
+}
+
+function parseWebhooks(value, allowlist) {
+    return parseList(value, 'webhooks').map(url => {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new WatchlistError(`Invalid webhook URL: ${url}`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new WatchlistError(`Invalid webhook URL: ${url} (expected http or https)`);
+        }
+        if (!isWebhookAllowed(parsed.toString(), allowlist)) {
+            throw new WatchlistError(`Webhook host not allowed: ${parsed.host} (see WATCHLIST_WEBHOOK_HOSTS)`);
+        }
+        return parsed.toString();
+    });
+}
+
+/**
+ * Validates a watchlist entry from a JSON body. `filters.markets` holds
+ * condition ids or market/event slugs; `filters.sides` is BUY and/or SELL.
+ * Webhooks must pass `isWebhookAllowed` with `allowlist`.
+ */
+export function parseWatchEntry(params = {}, allowlist = {}) {
+    const filters = params.filters || {};
+    const minValue = filters.minValue === undefined || filters.minValue === null || filters.minValue === ''
+        ? 0
+        : Number(filters.minValue);
+    if (!Number.isFinite(minValue) || minValue < 0) {
+        throw new WatchlistError(`Invalid filters.minValue: ${filters.minValue}`);
+    }
+
+    const sides = parseList(filters.sides, 'filters.sides').map(side => side.toUpperCase());
+    const badSide = sides.find(side => side !== 'BUY' && side !== 'SELL');
+    if (badSide) {
+        throw new WatchlistError(`Invalid filters.sides: ${badSide} (expected BUY or SELL)`);
+    }
+
+    return {
+        walletAddress: parseWallet(params.wallet || params.walletAddress).toLowerCase(),
+        label: params.label ? String(params.label) : null,
+        webhooks: parseWebhooks(params.webhooks, allowlist),
+        filters: {
+            minValue: minValue,
+            markets: parseList(filters.markets, 'filters.markets').map(market => market.toLowerCase()),
+            sides: sides
+        }
+    };
+}
+
+function publicEntry(entry) {
+    const { seen, ...rest } = entry;
+    return rest;
+}
+
+/**
+ * File-backed watchlist. Each entry keeps a `cursor` (newest fill timestamp
+ * seen) and the keys of recent fills so the poller can tell new fills apart
+ * across restarts.
+ */
+export function createWatchlist(file = path.join(config.dataDir, 'watchlist.json'), { allowlist = {} } = {}) {
+    let pending = Promise.resolve();
+
+    // Serializes read-modify-write cycles on the file.
+    function withLock(task) {
+        const next = pending.then(task, task);
+        pending = next.catch(() => {});
+        return next;
+    }
+
+    async function load() {
+        return readJson(file, { wallets: {} });
+    }
+
+    async function save(state) {
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeJson(file, state);
+    }
+
+    async function list() {
+        const state = await load();
+        return Object.values(state.wallets).map(publicEntry);
+    }
+
+    async function entries() {
+        const state = await load();
+        return Object.values(state.wallets);
+    }
+
+    // Adds a wallet, or replaces the label/filters/webhooks of one already
+    // watched while keeping its cursor.
+    async function add(params) {
+        const entry = parseWatchEntry(params, allowlist);
+        return withLock(async () => {
+            const state = await load();
+            const existing = state.wallets[entry.walletAddress];
+            state.wallets[entry.walletAddress] = {
+                ...entry,
+                addedAt: existing ? existing.addedAt : new Date().toISOString(),
+                cursor: existing ? existing.cursor : null,
+                seen: existing ? existing.seen : []
+            };
+            await save(state);
+            return { entry: publicEntry(state.wallets[entry.walletAddress]), created: !existing };
+        });
+    }
+
+    async function remove(walletAddress) {
+        const wallet = String(walletAddress || '').toLowerCase();
+        return withLock(async () => {
+            const state = await load();
+            if (!state.wallets[wallet]) return false;
+            delete state.wallets[wallet];
+            await save(state);
+            return true;
+        });
+    }
+
+    async function markSeen(walletAddress, { cursor, keys }) {
+        return withLock(async () => {
+            const state = await load();
+            const entry = state.wallets[walletAddress];
+            if (!entry) return;
+            entry.cursor = Math.max(entry.cursor || 0, cursor || 0);
+            entry.seen = [...keys, ...entry.seen.filter(key => !keys.includes(key))].slice(0, SEEN_LIMIT);
+            entry.lastPolledAt = new Date().toISOString();
+            await save(state);
+        });
+    }
+
+    return { list, entries, add, remove, markSeen };
+}
@@ -0,0 +1,79 @@
+const UNITS = {
+    h: { seconds: 60 * 60, name: 'hour' },
+    d: { seconds: 24 * 60 * 60, name: 'day' },
+    w: { seconds: 7 * 24 * 60 * 60, name: 'week' }
+};
+
+export class WindowError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WindowError';
+    }
+}
+
+// Accepts unix seconds, unix milliseconds or anything Date.parse understands.
+function parseTime(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+        return Math.floor(numeric > 1e12 ? numeric / 1000 : numeric);
+    }
+
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+        throw new WindowError(`Invalid ${name} time: ${value}`);
+    }
+    return Math.floor(parsed / 1000);
+}
+
+function formatDate(seconds) {
+    return new Date(seconds * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Resolves a lookback window to unix-second bounds.
+ *
+ * `window` is a relative duration such as `24h`, `7d` or `2w`; an explicit
+ * `from` (and optional `to`) takes precedence over it.
+ */
+export function parseWindow({ window = '7d', from, to } = {}, now = Date.now()) {
+    const nowSeconds = Math.floor(now / 1000);
+    const fromSeconds = parseTime(from, 'from');
+    const toSeconds = parseTime(to, 'to');
+
+    if (fromSeconds !== null) {
+        const end = toSeconds ?? nowSeconds;
+        if (end <= fromSeconds) {
+            throw new WindowError('Window "to" must be after "from"');
+        }
+        return {
+            spec: null,
+            from: fromSeconds,
+            to: end,
+            label: `${formatDate(fromSeconds)} to ${formatDate(end)}`
+        };
+    }
+
+    if (toSeconds !== null) {
+        throw new WindowError('Window "to" requires "from"');
+    }
+
+    const match = /^(\d+)([hdw])$/.exec(String(window).trim().toLowerCase());
+    if (!match) {
+        throw new WindowError(`Invalid window: ${window} (expected e.g. 24h, 7d, 30d)`);
+    }
+
+    const count = parseInt(match[1], 10);
+    const unit = UNITS[match[2]];
+    if (count <= 0) {
+        throw new WindowError(`Invalid window: ${window}`);
+    }
+
+    return {
+        spec: `${count}${match[2]}`,
+        from: nowSeconds - count * unit.seconds,
+        to: nowSeconds,
+        label: `last ${count} ${unit.name}${count === 1 ? '' : 's'}`
+    };
+}
@@ -1,254 +1,244 @@
 import express from 'express';
-import fetch from 'node-fetch';
-import { GoogleGenAI } from '@google/genai';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getPolymarketStats, calculateWeeklyProfit, toTraderResult } from './lib/analysis.js';
+import { discoverTraders, parseDiscoveryOptions, DiscoveryOptionsError } from './lib/discovery.js';
+import { parseRankOptions, rankFlaggedTraders, rankTraders, RankOptionsError } from './lib/ranking.js';
+import { askAboutTrades, createExplainer, createExplanationCache, createUsageTracker, explainStrategy, parseTokenBudget, ExplainerError } from './lib/explainers/index.js';
+import { config } from './lib/config.js';
+import { parseWindow, WindowError } from './lib/window.js';
+import { createRunStore, parseRunListOptions } from './lib/runStore.js';
+import { analyzeTrader, buildTradeDetail, parseWallet, summarizeMarkets, WalletError } from './lib/trader.js';
+import { parseBacktestOptions, runBacktest, BacktestOptionsError } from './lib/backtest.js';
+import { createWatchlist, WatchlistError } from './lib/watchlist.js';
+import { createAlertPoller } from './lib/alerts.js';
+import { parseExportOptions, renderExport } from './lib/export.js';
+import { createJobManager, isTerminal, serializeJob, JobConflictError } from './lib/jobs.js';
+import { polymarket } from './lib/polymarket.js';
+import { mapPool, parseConcurrency, ConcurrencyError } from './lib/pool.js';
+import { createPhaseTimer } from './lib/timings.js';
+import { createScheduler, nextRunTime, parseSchedule } from './lib/scheduler.js';
+import { analyzeMarketFlow, parseConditionId, parseFlowOptions, parseFlowWallets, summarizeMarketFlows, MarketFlowError } from './lib/marketFlow.js';
+import { createAccessControl } from './lib/access.js';
+import { createQaSessions, parseQuestion, resolveCitations, QuestionError } from './lib/qa.js';
+import { buildConsensus, parseConsensusOption, ConsensusError } from './lib/consensus.js';
 
 const app = express();
 const PORT = 5000;
 
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY || '' });
+app.use(express.json());
 
-let lastResults = null;
-let isRunning = false;
-let lastRunTime = null;
-let polymarketStats = null;
-
-async function getPolymarketStats() {
-    try {
-        const marketsUrl = 'https://gamma-api.polymarket.com/markets?limit=1000&active=true';
-        const response = await fetch(marketsUrl, {
-            headers: { 'Accept': 'application/json' }
-        });
-        
-        if (!response.ok) {
-            return null;
-        }
-        
-        const markets = await response.json();
-        
-        let totalVolume = 0;
-        let totalLiquidity = 0;
-        let activeMarketsCount = 0;
-        
-        for (const market of markets) {
-            if (market.volumeNum) totalVolume += market.volumeNum;
-            if (market.liquidityNum) totalLiquidity += market.liquidityNum;
-            if (market.active) activeMarketsCount++;
-        }
-        
-        return {
-            totalVolume: totalVolume,
-            totalLiquidity: totalLiquidity,
-            activeMarkets: activeMarketsCount,
-            totalMarkets: markets.length
-        };
-    } catch (error) {
-        return null;
-    }
-}
-
-async function getRecentActiveTraders() {
-    const marketsUrl = 'https://gamma-api.polymarket.com/markets?limit=20&active=true&closed=false';
-    const marketsResponse = await fetch(marketsUrl, {
-        headers: { 'Accept': 'application/json' }
-    });
-    
-    if (!marketsResponse.ok) {
-        throw new Error(`Markets HTTP error! status: ${marketsResponse.status}`);
-    }
-    
-    const markets = await marketsResponse.json();
-    const sortedMarkets = markets
-        .filter(m => m.volumeNum && m.volumeNum > 100000)
-        .sort((a, b) => (b.volumeNum || 0) - (a.volumeNum || 0))
-        .slice(0, 5);
-    
-    const allTraders = new Map();
-    
-    for (const market of sortedMarkets) {
-        const holdersUrl = `https://data-api.polymarket.com/holders?market=${market.conditionId}&limit=20`;
-        const holdersResponse = await fetch(holdersUrl, {
-            headers: { 'Accept': 'application/json' }
-        });
-        
-        if (holdersResponse.ok) {
-            const holdersData = await holdersResponse.json();
-            if (Array.isArray(holdersData)) {
-                for (const tokenData of holdersData) {
-                    if (tokenData.holders && Array.isArray(tokenData.holders)) {
-                        for (const holder of tokenData.holders) {
-                            const wallet = holder.proxyWallet;
-                            if (wallet && !allTraders.has(wallet)) {
-                                allTraders.set(wallet, {
-                                    walletAddress: wallet,
-                                    name: holder.name || holder.pseudonym || 'Anonymous'
-                                });
-                            }
-                        }
-                    }
-                }
-            }
-        }
-    }
-    
-    return Array.from(allTraders.values()).slice(0, 50);
-}
-
-async function calculateWeeklyProfit(walletAddress) {
-    const sevenDaysAgo = Math.floor((Date.now() - (7 * 24 * 60 * 60 * 1000)) / 1000);
-    const url = `https://data-api.polymarket.com/trades?user=${walletAddress}&limit=500`;
-    
-    try {
-        const response = await fetch(url, {
-            headers: { 'Accept': 'application/json' }
-        });
-        
-        if (!response.ok) {
-            return { profit: 0, trades: [], tradeCount: 0, topTrades: [] };
-        }
-        
-        const data = await response.json();
-        const trades = Array.isArray(data) ? data : (data.trades || data.data || []);
-        
-        const recentTrades = trades.filter(trade => {
-            const tradeTime = trade.timestamp || 0;
-            return tradeTime >= sevenDaysAgo;
-        });
-        
-        let totalProfit = 0;
-        const cleanTrades = [];
-        
-        for (const trade of recentTrades) {
-            const price = parseFloat(trade.price) || 0;
-            const size = parseFloat(trade.size) || 0;
-            const side = trade.side || '';
-            const tradeValue = price * size;
-            
-            if (side === 'SELL') {
-                totalProfit += tradeValue;
-            } else if (side === 'BUY') {
-                totalProfit -= tradeValue;
-            }
-            
-            cleanTrades.push({
-                market: trade.title || trade.slug || 'Unknown Market',
-                action: side,
-                price: price,
-                size: size,
-                value: tradeValue,
-                timestamp: trade.timestamp
-            });
-        }
-        
-        const topTrades = cleanTrades
-            .sort((a, b) => b.value - a.value)
-            .slice(0, 3);
-        
-        return {
-            profit: totalProfit,
-            trades: cleanTrades,
-            tradeCount: recentTrades.length,
-            topTrades: topTrades
-        };
-    } catch (error) {
-        return { profit: 0, trades: [], tradeCount: 0, topTrades: [] };
-    }
+if (config.access.trustProxy) {
+    const trustProxy = config.access.trustProxy;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
 }
 
-async function explainStrategy(rawTradeData, weeklyProfit) {
-    if (!rawTradeData || rawTradeData.length === 0) {
-        return 'No trade data available to analyze.';
-    }
-    
-    const tradesSummary = JSON.stringify(rawTradeData.slice(0, 50), null, 2);
-    const profitStatus = weeklyProfit >= 0 ? `profit of $${weeklyProfit.toFixed(2)}` : `loss of $${Math.abs(weeklyProfit).toFixed(2)}`;
-    
-    const prompt = `You are an expert prediction market analyst. Analyze the following raw trade data from a top-performing Polymarket trader who made a weekly ${profitStatus}.
-
-Trade Data (last 7 days):
-${tradesSummary}
+const runStore = createRunStore();
+const jobs = createJobManager();
+const explanationCache = config.explainer.cache ? createExplanationCache() : null;
+const watchlist = createWatchlist();
+const alertPoller = createAlertPoller({ watchlist, log: console.error });
+const qaSessions = createQaSessions();
+// Endpoints that spend upstream requests or AI tokens take an API key (once
+// any are configured) and count against a quota; state-changing ones only
+// need the key. Read-only endpoints stay open.
+const access = createAccessControl();
+const expensive = access.protect();
+const authorized = access.protect({ quota: false });
 
-Based on this trade history, provide a one-paragraph strategy explanation suitable for a novice trader. Focus on:
-- What types of markets they trade
-- Their entry/exit patterns (buy low, sell high?)
-- Risk management approach
-- Why this strategy might be profitable
-
-Return ONLY the strategy explanation paragraph, nothing else.`;
-
-    try {
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: [{ role: 'user', parts: [{ text: prompt }] }]
-        });
-        
-        return response.text || 'Unable to generate strategy explanation.';
-    } catch (error) {
-        return 'Error analyzing trade data with AI.';
-    }
-}
+let lastResults = null;
+let lastFlaggedResults = [];
+let lastConsensus = null;
+let lastRunTime = null;
+let lastWindow = null;
+let lastUsage = null;
+let lastRunId = null;
+let lastRanking = null;
+// Full trade lists and PnL of the latest run's traders, kept in memory only
+// for per-trade exports and the detail view; stored runs carry top trades only.
+let lastTraderData = new Map();
+let polymarketStats = null;
+let statsUpdatedAt = null;
 
-async function runAnalysis() {
-    if (isRunning) {
-        return { error: 'Analysis already in progress' };
-    }
-    
-    isRunning = true;
+async function runAnalysis({ window, discovery, ranking, explainer, tokenBudget, concurrency, consensus: withConsensus }, { signal = null, progress = () => {} } = {}) {
     const results = [];
+    const flaggedResults = [];
+    const traderData = new Map();
+    const timer = createPhaseTimer();
+    const cacheBefore = polymarket.cacheStats();
     
     try {
-        const activeTraders = await getRecentActiveTraders();
+        progress({ stage: 'markets', scanned: 0, total: null });
+        const { traders: activeTraders, counts } = await timer.time('discovery', () =>
+            discoverTraders(discovery, { signal, onProgress: progress, concurrency }));
         
         if (activeTraders.length === 0) {
-            isRunning = false;
             return { error: 'No active traders found' };
         }
         
+        let analyzed = 0;
+        let withActivity = 0;
+        const profits = await timer.time('profits', () => mapPool(activeTraders, async trader => {
+            const result = await calculateWeeklyProfit(trader.walletAddress, { window, signal });
+            if (result.tradeCount > 0) withActivity++;
+            progress({
+                stage: 'traders',
+                analyzed: ++analyzed,
+                total: activeTraders.length,
+                withActivity: withActivity
+            });
+            return result;
+        }, { concurrency, signal }));
+        
         const tradersWithProfits = [];
         
-        for (const trader of activeTraders) {
-            const { profit, trades, tradeCount, topTrades } = await calculateWeeklyProfit(trader.walletAddress);
+        activeTraders.forEach((trader, i) => {
+            const { profit, pnl, metrics, classification, trades, tradeCount, topTrades, categoryBreakdown, history } = profits[i];
             
             if (tradeCount > 0) {
                 tradersWithProfits.push({
                     ...trader,
                     weeklyProfit: profit,
+                    pnl: pnl,
+                    metrics: metrics,
+                    classification: classification,
                     trades: trades,
                     tradeCount: tradeCount,
-                    topTrades: topTrades
+                    topTrades: topTrades,
+                    categoryBreakdown: categoryBreakdown,
+                    history: history
                 });
             }
-        }
+        });
+        
+        const topTraders = rankTraders(tradersWithProfits, ranking);
+        const flaggedTraders = rankFlaggedTraders(tradersWithProfits, ranking);
         
-        const topTraders = tradersWithProfits
-            .sort((a, b) => b.weeklyProfit - a.weeklyProfit)
-            .slice(0, 5);
+        progress({ stage: 'strategies', done: 0, total: topTraders.length });
         
-        for (let i = 0; i < topTraders.length; i++) {
-            const trader = topTraders[i];
-            const strategy = await explainStrategy(trader.trades, trader.weeklyProfit);
+        const usage = createUsageTracker({ tokenBudget });
+        const strategyExplainer = createExplainer({ provider: explainer });
+        
+        await timer.time('strategies', async () => {
+            for (let i = 0; i < topTraders.length; i++) {
+                signal?.throwIfAborted();
+                const trader = topTraders[i];
+                const strategy = await explainStrategy(trader.trades, trader.weeklyProfit, {
+                    window: window,
+                    metrics: trader.metrics,
+                    categoryBreakdown: trader.categoryBreakdown,
+                    explainer: strategyExplainer,
+                    cache: explanationCache,
+                    usage: usage,
+                    signal: signal
+                });
+                
+                results.push(toTraderResult(trader, strategy));
+                traderData.set(trader.walletAddress, { pnl: trader.pnl, trades: trader.trades, metrics: trader.metrics });
+                
+                progress({ stage: 'strategies', done: i + 1, total: topTraders.length });
+            }
             
-            results.push({
-                rank: i + 1,
-                name: trader.name,
-                walletAddress: trader.walletAddress,
-                weeklyProfit: trader.weeklyProfit,
-                tradeCount: trader.tradeCount,
-                topTrades: trader.topTrades,
-                strategy: strategy
-            });
-        }
+            // Flagged wallets' strategies aren't worth AI tokens; describe them offline.
+            const offlineExplainer = createExplainer({ provider: 'heuristic' });
+            for (const trader of flaggedTraders) {
+                signal?.throwIfAborted();
+                const strategy = await explainStrategy(trader.trades, trader.weeklyProfit, {
+                    window: window,
+                    metrics: trader.metrics,
+                    categoryBreakdown: trader.categoryBreakdown,
+                    explainer: offlineExplainer,
+                    signal: signal
+                });
+                flaggedResults.push(toTraderResult(trader, strategy));
+                traderData.set(trader.walletAddress, { pnl: trader.pnl, trades: trader.trades, metrics: trader.metrics });
+            }
+        });
+        
+        signal?.throwIfAborted();
+        
+        // Flagged wallets stay out of it: their flow isn't a view on the market.
+        const consensus = withConsensus
+            ? buildConsensus(results.map((result, i) => ({ ...result, trades: topTraders[i].trades })))
+            : null;
         
         lastResults = results;
+        lastFlaggedResults = flaggedResults;
+        lastConsensus = consensus;
         lastRunTime = new Date().toISOString();
-        isRunning = false;
+        lastWindow = window;
+        lastUsage = usage.summary();
+        lastRanking = ranking;
+        lastTraderData = traderData;
+        
+        lastRunId = null;
+        await timer.time('save', async () => {
+            try {
+                const run = await runStore.saveRun({ params: { window, discovery, ranking }, results, flaggedResults, consensus, aiUsage: lastUsage, createdAt: lastRunTime });
+                lastRunId = run.id;
+            } catch (error) {
+                console.error('Failed to save analysis run:', error.message);
+            }
+        });
+        await refreshStats().catch(error => console.error(error.message));
+        
+        const cacheAfter = polymarket.cacheStats();
+        const timings = {
+            ...timer.summary(),
+            concurrency: concurrency,
+            httpCache: { hits: cacheAfter.hits - cacheBefore.hits, misses: cacheAfter.misses - cacheBefore.misses }
+        };
         
-        return { success: true, results };
+        return { success: true, runId: lastRunId, window, ranking, discovery: counts, aiUsage: lastUsage, timings, results, flaggedResults, consensus };
     } catch (error) {
-        isRunning = false;
+        if (signal?.aborted) {
+            throw error;
+        }
         return { error: error.message };
     }
 }
 
+function startAnalysisJob(params) {
+    return jobs.startJob(
+        ({ signal, progress }) => runAnalysis(params, { signal, progress }),
+        params
+    );
+}
+
+async function refreshStats() {
+    const stats = await getPolymarketStats();
+    if (!stats) {
+        throw new Error('Failed to fetch Polymarket stats');
+    }
+    polymarketStats = stats;
+    statsUpdatedAt = new Date().toISOString();
+    return stats;
+}
+
+// Scheduled runs use the configured defaults and give way to a run someone
+// started by hand. Like every completed run, they refresh the stats.
+async function runScheduledAnalysis() {
+    let job;
+    try {
+        job = startAnalysisJob(parseAnalysisParams({}));
+    } catch (error) {
+        if (error instanceof JobConflictError) return { skipped: true };
+        throw error;
+    }
+    await job.promise;
+    if (job.status !== 'completed') {
+        throw new Error(job.error || `Analysis ${job.status}`);
+    }
+    if (job.result.error) {
+        throw new Error(job.result.error);
+    }
+    return job.result;
+}
+
+const analysisSchedule = parseSchedule(config.scheduler.analysis);
+const analysisScheduler = createScheduler({ schedule: analysisSchedule, task: runScheduledAnalysis, log: console.error });
+const statsScheduler = createScheduler({ schedule: parseSchedule(config.scheduler.stats), task: refreshStats, log: console.error });
+
 const htmlTemplate = `
 <!DOCTYPE html>
 <html lang="en">
@@ -323,6 +313,14 @@ const htmlTemplate = `
         }
         .btn-primary:hover { transform: translateY(-2px); box-shadow: 0 5px 20px rgba(0,217,255,0.3); }
         .btn-primary:disabled { opacity: 0.5; cursor: not-allowed; transform: none; }
+        select, .api-key, .trade-filters input, .chat-form input {
+            padding: 14px 16px;
+            font-size: 1em;
+            border-radius: 8px;
+            border: 1px solid rgba(0, 217, 255, 0.3);
+            background: rgba(255,255,255,0.05);
+            color: #e4e4e4;
+        }
         .status {
             text-align: center;
             padding: 15px;
@@ -346,6 +344,26 @@ const htmlTemplate = `
             margin: 0 auto 20px;
         }
         @keyframes spin { to { transform: rotate(360deg); } }
+        .progress-bar {
+            max-width: 400px;
+            height: 8px;
+            margin: 15px auto 0;
+            background: rgba(255,255,255,0.1);
+            border-radius: 4px;
+            overflow: hidden;
+        }
+        .progress-fill {
+            width: 0;
+            height: 100%;
+            background: linear-gradient(90deg, #00d9ff, #00ff88);
+            transition: width 0.3s;
+        }
+        .btn-secondary {
+            background: rgba(255,255,255,0.1);
+            color: #e4e4e4;
+            border: 1px solid rgba(255,255,255,0.2);
+        }
+        .btn-secondary:hover { background: rgba(255, 107, 107, 0.2); }
         .results { display: none; }
         .results.active { display: block; }
         .trader-card {
@@ -383,6 +401,15 @@ const htmlTemplate = `
             word-break: break-all;
         }
         .trades-count { color: #888; margin-top: 5px; }
+        .btn-watch {
+            margin-top: 8px;
+            padding: 6px 14px;
+            font-size: 0.85em;
+            background: rgba(0, 217, 255, 0.15);
+            color: #00d9ff;
+            border: 1px solid rgba(0, 217, 255, 0.4);
+        }
+        .btn-watch:disabled { opacity: 0.6; cursor: default; }
         .top-trades {
             background: rgba(0, 255, 136, 0.05);
             border: 1px solid rgba(0, 255, 136, 0.3);
@@ -422,11 +449,86 @@ const htmlTemplate = `
             border-radius: 8px;
             line-height: 1.6;
         }
+        .strategy-tags {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 6px;
+            margin-bottom: 10px;
+        }
+        .tag {
+            padding: 2px 8px;
+            border-radius: 4px;
+            font-size: 0.8em;
+            background: rgba(0, 217, 255, 0.15);
+            color: #00d9ff;
+        }
+        .tag.risk-low { background: rgba(0, 255, 136, 0.15); color: #00ff88; }
+        .tag.risk-medium { background: rgba(255, 200, 0, 0.15); color: #ffc800; }
+        .tag.risk-high { background: rgba(255, 107, 107, 0.15); color: #ff6b6b; }
+        .tag.flag { background: rgba(255, 200, 0, 0.15); color: #ffc800; }
+        .trader-card.flagged { border-left-color: #ffc800; }
+        .section-title { color: #ffc800; font-size: 1.2em; margin: 30px 0 15px; }
         .strategy-label {
             font-weight: 600;
             color: #00d9ff;
             margin-bottom: 8px;
         }
+        .markets { display: none; margin-top: 30px; }
+        .markets.active { display: block; }
+        .markets-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+            gap: 20px;
+        }
+        .market-list {
+            background: rgba(255,255,255,0.05);
+            border-radius: 12px;
+            padding: 20px;
+        }
+        .market-list h2 { font-size: 1.1em; color: #00d9ff; margin-bottom: 10px; }
+        .market-row {
+            padding: 8px 0;
+            border-bottom: 1px solid rgba(255,255,255,0.05);
+            cursor: pointer;
+            font-size: 0.9em;
+        }
+        .market-row:hover { color: #00d9ff; }
+        .market-row:last-child { border-bottom: none; }
+        .market-meta { color: #888; font-size: 0.85em; margin-top: 2px; }
+        .market-detail {
+            background: rgba(0,0,0,0.2);
+            border-radius: 12px;
+            padding: 20px;
+            margin-top: 20px;
+        }
+        .market-detail table, .trader-detail table { width: 100%; border-collapse: collapse; font-size: 0.85em; margin: 10px 0; }
+        .market-detail th, .market-detail td, .trader-detail th, .trader-detail td {
+            text-align: right;
+            padding: 6px 8px;
+            border-bottom: 1px solid rgba(255,255,255,0.05);
+        }
+        .market-detail th:first-child, .market-detail td:first-child,
+        .trader-detail th:first-child, .trader-detail td:first-child { text-align: left; }
+        .trader-detail { display: none; margin-top: 15px; }
+        .trader-detail.active { display: block; }
+        .pnl-chart { width: 100%; height: auto; background: rgba(0,0,0,0.2); border-radius: 8px; margin: 10px 0 4px; }
+        .trade-filters { display: flex; gap: 10px; flex-wrap: wrap; margin-top: 10px; }
+        .trade-filters input, .trade-filters select { padding: 6px 10px; font-size: 0.85em; }
+        .trade-table { max-height: 420px; overflow-y: auto; }
+        .trade-table th[data-sort] { cursor: pointer; }
+        .trade-table th:nth-child(-n+5), .trade-table td:nth-child(-n+5) { text-align: left; }
+        .trader-chat { margin-top: 15px; }
+        .chat-entry { padding: 8px 0; border-bottom: 1px solid rgba(255,255,255,0.05); font-size: 0.9em; line-height: 1.5; }
+        .chat-question { color: #00d9ff; font-weight: 600; }
+        .chat-citations { color: #888; font-size: 0.85em; margin-top: 4px; }
+        .chat-form { display: flex; gap: 8px; margin-top: 8px; }
+        .chat-form input { flex: 1; padding: 8px 12px; font-size: 0.9em; }
+        .consensus { display: none; margin-top: 30px; }
+        .consensus.active { display: block; }
+        .consensus h2 { font-size: 1.2em; color: #00d9ff; margin-bottom: 15px; }
+        .consensus-entry { padding: 10px 0; border-bottom: 1px solid rgba(255,255,255,0.05); font-size: 0.9em; }
+        .consensus-entry:last-child { border-bottom: none; }
+        .consensus-entry summary { cursor: pointer; color: #888; font-size: 0.85em; margin-top: 4px; }
     </style>
 </head>
 <body>
@@ -451,81 +553,276 @@ const htmlTemplate = `
         </header>
         
         <div class="controls">
+            <select id="windowSelect">
+                <option value="1d">Last 24 hours</option>
+                <option value="7d" selected>Last 7 days</option>
+                <option value="30d">Last 30 days</option>
+            </select>
+            <select id="rankBySelect">
+                <option value="profit" selected>Rank by total PnL</option>
+                <option value="realized">Rank by realized PnL</option>
+                <option value="roi">Rank by ROI</option>
+                <option value="winRate">Rank by win rate</option>
+                <option value="sharpe">Rank by Sharpe-like ratio</option>
+                <option value="drawdown">Rank by lowest drawdown</option>
+                <option value="holdingTime">Rank by holding time</option>
+                <option value="concentration">Rank by diversification</option>
+            </select>
+            <select id="flaggedSelect">
+                <option value="include" selected>Include market makers &amp; bots</option>
+                <option value="exclude">Exclude market makers &amp; bots</option>
+                <option value="separate">Rank market makers &amp; bots separately</option>
+            </select>
+            <input type="password" class="api-key" id="apiKeyInput" placeholder="API key" autocomplete="off" style="display: none;" onchange="saveApiKey(this.value)">
             <button class="btn-primary" id="runBtn" onclick="runAnalysis()">
                 Run Analysis
             </button>
+            <button class="btn-secondary" id="cancelBtn" onclick="cancelAnalysis()" style="display: none;">
+                Cancel
+            </button>
         </div>
         
         <div class="status" id="status">
             <span id="statusText">Click "Run Analysis" to find top weekly profit traders</span>
+            <div class="market-meta" id="scheduleText"></div>
         </div>
         
         <div class="loading" id="loading">
             <div class="spinner"></div>
-            <p>Analyzing traders... This may take 1-2 minutes</p>
+            <p id="progressText">Starting analysis...</p>
+            <div class="progress-bar"><div class="progress-fill" id="progressFill"></div></div>
             <p style="color: #888; margin-top: 10px;">Scanning markets, calculating profits, generating AI insights</p>
         </div>
         
         <div class="results" id="results"></div>
+        
+        <div class="consensus" id="consensus"></div>
+        
+        <div class="markets" id="markets">
+            <button class="btn-watch" onclick="loadMarkets()">Compare their markets</button>
+            <p class="market-meta" id="marketsStatus"></p>
+            <div class="markets-grid" id="marketsGrid" style="display: none;">
+                <div class="market-list">
+                    <h2>Where top traders agree</h2>
+                    <div id="marketsAgree"></div>
+                </div>
+                <div class="market-list">
+                    <h2>Where top traders disagree</h2>
+                    <div id="marketsDisagree"></div>
+                </div>
+            </div>
+            <div class="market-detail" id="marketDetail" style="display: none;"></div>
+        </div>
     </div>
     
     <script>
-        async function runAnalysis() {
-            const btn = document.getElementById('runBtn');
-            const loading = document.getElementById('loading');
-            const results = document.getElementById('results');
-            const status = document.getElementById('status');
+        let currentJobId = null;
+        let eventSource = null;
+        let shownRunTime = null;
+        
+        function setRunning(running) {
+            document.getElementById('runBtn').disabled = running;
+            document.getElementById('cancelBtn').style.display = running ? 'inline-block' : 'none';
+            document.getElementById('loading').classList.toggle('active', running);
+            document.getElementById('status').style.display = running ? 'none' : 'block';
+            if (running) {
+                document.getElementById('results').classList.remove('active');
+            }
+        }
+        
+        function describeProgress(progress) {
+            if (!progress) return 'Starting analysis...';
+            if (progress.stage === 'markets') {
+                return progress.total
+                    ? 'Scanned ' + progress.scanned + '/' + progress.total + ' markets for active traders'
+                    : 'Fetching high-volume markets...';
+            }
+            if (progress.stage === 'traders') {
+                return 'Analyzed ' + progress.analyzed + '/' + progress.total + ' traders... Found ' + progress.withActivity + ' with activity';
+            }
+            if (progress.stage === 'strategies') {
+                return 'AI explanations done: ' + progress.done + '/' + progress.total;
+            }
+            return 'Working...';
+        }
+        
+        function progressPercent(progress) {
+            if (!progress || !progress.total) return 0;
+            if (progress.stage === 'markets') return 10 * progress.scanned / progress.total;
+            if (progress.stage === 'traders') return 10 + 70 * progress.analyzed / progress.total;
+            if (progress.stage === 'strategies') return 80 + 20 * progress.done / progress.total;
+            return 0;
+        }
+        
+        function showProgress(progress) {
+            document.getElementById('progressText').textContent = describeProgress(progress);
+            document.getElementById('progressFill').style.width = progressPercent(progress) + '%';
+        }
+        
+        function formatUsage(usage) {
+            if (!usage || (usage.calls === 0 && usage.cacheHits === 0 && usage.skippedForBudget === 0)) return '';
+            return ' · AI: ' + usage.totalTokens.toLocaleString() + ' tokens (~$' + usage.estimatedCostUsd.toFixed(4) + '), ' +
+                usage.cacheHits + ' cached' + (usage.skippedForBudget > 0 ? ', ' + usage.skippedForBudget + ' skipped (budget)' : '');
+        }
+        
+        function finishJob(job) {
             const statusText = document.getElementById('statusText');
+            currentJobId = null;
+            setRunning(false);
             
-            btn.disabled = true;
-            loading.classList.add('active');
-            results.classList.remove('active');
-            status.style.display = 'none';
+            if (job.status === 'cancelled') {
+                statusText.textContent = 'Analysis cancelled';
+                return;
+            }
+            if (job.status === 'failed') {
+                statusText.textContent = 'Error: ' + job.error;
+                return;
+            }
             
+            const data = job.result;
+            if (data.results && data.results.length > 0) {
+                const counts = data.discovery;
+                statusText.textContent = 'Last run: ' + new Date(job.finishedAt).toLocaleString() + ' (' + data.window.label + ')' +
+                    (counts ? ' · ' + counts.uniqueWallets + ' wallets discovered in ' + counts.marketsSelected + ' markets' : '') +
+                    formatUsage(data.aiUsage);
+                renderResults(data.results, data.window, data.flaggedResults);
+                renderConsensus(data.consensus);
+                resetMarkets();
+            } else {
+                statusText.textContent = 'No traders with activity found';
+            }
+            loadStatus();
+        }
+        
+        function watchJob(jobId) {
+            currentJobId = jobId;
+            setRunning(true);
+            showProgress(null);
+            
+            if (eventSource) eventSource.close();
+            eventSource = new EventSource('/api/jobs/' + jobId + '/events');
+            eventSource.addEventListener('progress', event => {
+                showProgress(JSON.parse(event.data));
+            });
+            eventSource.addEventListener('done', event => {
+                eventSource.close();
+                eventSource = null;
+                finishJob(JSON.parse(event.data));
+            });
+            eventSource.onerror = () => {
+                if (eventSource) eventSource.close();
+                eventSource = null;
+                finishJob({ status: 'failed', error: 'Lost connection to analysis job' });
+            };
+        }
+        
+        function saveApiKey(value) {
+            localStorage.setItem('apiKey', value.trim());
+        }
+        
+        // fetch() for the endpoints that take an API key.
+        function apiFetch(url, options = {}) {
+            const key = localStorage.getItem('apiKey');
+            const headers = { ...(options.headers || {}) };
+            if (key) headers['X-API-Key'] = key;
+            return fetch(url, { ...options, headers: headers });
+        }
+        
+        async function runAnalysis() {
             try {
-                const response = await fetch('/api/run');
+                const response = await apiFetch('/api/jobs', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        window: document.getElementById('windowSelect').value,
+                        rankBy: document.getElementById('rankBySelect').value,
+                        flagged: document.getElementById('flaggedSelect').value
+                    })
+                });
                 const data = await response.json();
                 
-                loading.classList.remove('active');
-                btn.disabled = false;
-                status.style.display = 'block';
-                
-                if (data.error) {
-                    statusText.textContent = 'Error: ' + data.error;
-                    return;
-                }
-                
-                if (data.results && data.results.length > 0) {
-                    statusText.textContent = 'Last run: ' + new Date().toLocaleString();
-                    renderResults(data.results);
+                if (response.status === 409 && data.activeJobId) {
+                    watchJob(data.activeJobId);
+                } else if (!response.ok) {
+                    document.getElementById('statusText').textContent = 'Error: ' + data.error;
                 } else {
-                    statusText.textContent = 'No traders with activity found';
+                    watchJob(data.id);
                 }
             } catch (err) {
-                loading.classList.remove('active');
-                btn.disabled = false;
-                status.style.display = 'block';
-                statusText.textContent = 'Error: ' + err.message;
+                setRunning(false);
+                document.getElementById('statusText').textContent = 'Error: ' + err.message;
+            }
+        }
+        
+        async function cancelAnalysis() {
+            if (!currentJobId) return;
+            try {
+                await apiFetch('/api/jobs/' + currentJobId, { method: 'DELETE' });
+                document.getElementById('progressText').textContent = 'Cancelling...';
+            } catch (err) {
+                console.error('Failed to cancel job:', err);
             }
         }
         
+        function formatPercent(value) {
+            return value === null || value === undefined ? 'n/a' : (value * 100).toFixed(1) + '%';
+        }
+        
+        function formatMetrics(metrics) {
+            if (!metrics) return '';
+            return [
+                'ROI ' + formatPercent(metrics.roi),
+                'Win rate ' + formatPercent(metrics.winRate),
+                'Avg hold ' + (metrics.avgHoldingHours === null ? 'n/a' : metrics.avgHoldingHours.toFixed(1) + 'h'),
+                'Max DD ' + formatCurrency(metrics.maxDrawdown),
+                'Sharpe ' + (metrics.sharpe === null ? 'n/a' : metrics.sharpe.toFixed(2)),
+                'Top market ' + formatPercent(metrics.topMarketShare),
+                'Buys ' + (metrics.avgHoursToResolution === null || metrics.avgHoursToResolution === undefined ? 'n/a' : (metrics.avgHoursToResolution / 24).toFixed(1) + 'd') + ' before end'
+            ].join(' · ');
+        }
+        
+        function renderStrategyProfile(profile) {
+            if (!profile) return '';
+            const tags = [
+                '<span class="tag">' + escapeHtml(profile.archetype) + '</span>',
+                '<span class="tag risk-' + escapeHtml(profile.riskRating) + '">' + escapeHtml(profile.riskRating) + ' risk</span>',
+                '<span class="tag">entry ' + profile.entryPriceBand.min.toFixed(2) + '–' + profile.entryPriceBand.max.toFixed(2) + '</span>',
+                '<span class="tag">holds ' + escapeHtml(profile.holdingPeriod) + '</span>',
+                '<span class="tag">' + Math.round(profile.confidence * 100) + '% confidence</span>'
+            ].concat(profile.categories.map(category => '<span class="tag">' + escapeHtml(category) + '</span>'));
+            return '<div class="strategy-tags">' + tags.join('') + '</div>';
+        }
+        
+        function renderCategoryBreakdown(categories) {
+            if (!categories || categories.length === 0) return '';
+            return '<div class="strategy-tags">' + categories.map(category =>
+                '<span class="tag">' + escapeHtml(category.category) + ' ' + formatPercent(category.volumeShare) + ' · ' + formatSignedCurrency(category.totalPnl) + '</span>'
+            ).join('') + '</div>';
+        }
+        
         function formatCurrency(value) {
             if (value >= 1000000) return '$' + (value / 1000000).toFixed(1) + 'M';
             if (value >= 1000) return '$' + (value / 1000).toFixed(1) + 'K';
             return '$' + value.toFixed(2);
         }
         
-        function renderResults(traders) {
+        function renderFlags(classification) {
+            if (!classification || !classification.flagged) return '';
+            return '<div class="strategy-tags">' + classification.labels.map(label => '<span class="tag flag">' + escapeHtml(label) + '</span>').join('') + '</div>';
+        }
+        
+        function renderResults(traders, analysisWindow, flaggedTraders = []) {
+            const windowLabel = escapeHtml(analysisWindow ? analysisWindow.label : 'last 7 days');
             const container = document.getElementById('results');
-            container.innerHTML = traders.map(trader => {
+            const renderCard = trader => {
                 const topTradesHtml = trader.topTrades && trader.topTrades.length > 0 ? \`
                     <div class="top-trades">
-                        <div class="top-trades-title">Top 3 Trades (7 days)</div>
+                        <div class="top-trades-title">Top 3 Trades (\${windowLabel})</div>
                         \${trader.topTrades.map(trade => \`
                             <div class="trade-item">
-                                <div class="trade-market">\${trade.market}</div>
-                                <span class="trade-action \${trade.action.toLowerCase()}">
-                                    \${trade.action}
+                                <div class="trade-market">\${escapeHtml(trade.market)}</div>
+                                <span class="trade-action \${escapeHtml(trade.action.toLowerCase())}">
+                                    \${escapeHtml(trade.action)}
                                 </span>
                                 <div class="trade-value">\${formatCurrency(trade.value)}</div>
                             </div>
@@ -534,7 +831,7 @@ const htmlTemplate = `
                 \` : '';
                 
                 return \`
-                    <div class="trader-card">
+                    <div class="trader-card\${trader.classification && trader.classification.flagged ? ' flagged' : ''}">
                         <div class="trader-header">
                             <span class="rank">#\${trader.rank}</span>
                             <span class="profit \${trader.weeklyProfit < 0 ? 'negative' : ''}">
@@ -542,26 +839,432 @@ const htmlTemplate = `
                             </span>
                         </div>
                         <div class="trader-info">
-                            <div class="trader-name">\${trader.name}</div>
-                            <div class="wallet">\${trader.walletAddress}</div>
-                            <div class="trades-count">\${trader.tradeCount} trades in last 7 days</div>
+                            <div class="trader-name">\${escapeHtml(trader.name)}</div>
+                            <div class="wallet">\${escapeHtml(trader.walletAddress)}</div>
+                            \${renderFlags(trader.classification)}
+                            <button class="btn-watch" data-wallet="\${escapeHtml(trader.walletAddress)}" onclick="watchWallet(this.dataset.wallet, this)">Watch</button>
+                            <button class="btn-watch" data-wallet="\${escapeHtml(trader.walletAddress)}" onclick="toggleDetail(this)">Details</button>
+                            <div class="trades-count">
+                                \${trader.tradeCount} trades in \${windowLabel}\${trader.historyComplete === false ? ' (history capped at ' + trader.tradesFetched + ' trades)' : ''}
+                            </div>
+                            <div class="trades-count">
+                                Realized \${formatCurrency(trader.realizedPnl || 0)} ·
+                                Unrealized \${formatCurrency(trader.unrealizedPnl || 0)} ·
+                                Deployed \${formatCurrency(trader.capitalDeployed || 0)}
+                            </div>
+                            <div class="trades-count">\${formatMetrics(trader.metrics)}</div>
+                            \${renderCategoryBreakdown(trader.categoryBreakdown)}
                         </div>
                         \${topTradesHtml}
                         <div class="strategy">
-                            <div class="strategy-label">AI Strategy Analysis</div>
-                            <p>\${trader.strategy}</p>
+                            <div class="strategy-label">\${trader.strategyProvider === 'heuristic' ? 'Strategy Analysis (rule-based)' : 'AI Strategy Analysis'}</div>
+                            \${renderStrategyProfile(trader.strategyProfile)}
+                            <p>\${escapeHtml(trader.strategy)}</p>
+                        </div>
+                        <div class="trader-detail"></div>
+                        <div class="trader-chat">
+                            <div class="chat-log"></div>
+                            <form class="chat-form" data-wallet="\${escapeHtml(trader.walletAddress)}" onsubmit="askTrader(event, this)">
+                                <input type="text" name="question" maxlength="500" placeholder="Ask about this trader's trades, e.g. why did they sell early?">
+                                <button class="btn-watch" type="submit">Ask</button>
+                            </form>
                         </div>
                     </div>
                 \`;
-            }).join('');
+            };
+            container.innerHTML = traders.map(renderCard).join('') + (flaggedTraders && flaggedTraders.length > 0
+                ? '<h2 class="section-title">Market makers, bots and wash-like wallets (ranked separately)</h2>' + flaggedTraders.map(renderCard).join('')
+                : '');
             container.classList.add('active');
         }
         
+        const PATTERN_LABELS = { archetype: 'Archetype', holdingPeriod: 'Holding period', riskRating: 'Risk', category: 'Category' };
+        
+        function renderSupportingTrades(trades) {
+            if (!trades || trades.length === 0) return '';
+            return \`
+                <details>
+                    <summary>\${trades.length} supporting trades</summary>
+                    <table>
+                        <tr><th>Trader</th><th>Time</th><th>Market</th><th>Side</th><th>Price</th><th>Value</th></tr>
+                        \${trades.map(trade => \`
+                            <tr>
+                                <td>#\${trade.rank} \${escapeHtml(trade.name)}</td>
+                                <td>\${escapeHtml(formatTime(trade.timestamp))}</td>
+                                <td>\${escapeHtml(trade.market)}</td>
+                                <td>\${escapeHtml(trade.action)} \${escapeHtml(trade.outcome)}</td>
+                                <td>\${trade.price.toFixed(3)}</td>
+                                <td>\${formatCurrency(trade.value)}</td>
+                            </tr>
+                        \`).join('')}
+                    </table>
+                </details>
+            \`;
+        }
+        
+        // Positions and traits the ranked traders share, with the trades behind them.
+        function renderConsensus(consensus) {
+            const container = document.getElementById('consensus');
+            if (!consensus) {
+                container.classList.remove('active');
+                return;
+            }
+            const traderList = traders => traders.map(trader => '#' + trader.rank + ' ' + escapeHtml(trader.name)).join(', ');
+            const shared = consensus.shared.map(entry => \`
+                <div class="consensus-entry">
+                    <strong>\${entry.traders.length} traders \${escapeHtml(entry.direction)} \${escapeHtml(entry.outcome)}</strong> · \${escapeHtml(entry.market)}
+                    <div class="market-meta">\${traderList(entry.traders)} · \${formatCurrency(entry.totalValue)} traded</div>
+                    \${renderSupportingTrades(entry.supportingTrades)}
+                </div>
+            \`).join('');
+            const disagreements = consensus.disagreements.map(entry => \`
+                <div class="consensus-entry">
+                    <strong>\${escapeHtml(entry.market)}</strong>
+                    <div class="market-meta">\${entry.stances.map(stance => '#' + stance.rank + ' ' + escapeHtml(stance.name) + ' ' + escapeHtml(stance.direction) + ' ' + escapeHtml(stance.outcome)).join(' vs ')}</div>
+                    \${renderSupportingTrades(entry.supportingTrades)}
+                </div>
+            \`).join('');
+            const patterns = consensus.patterns.map(pattern => \`
+                <div class="consensus-entry">
+                    <span class="tag">\${escapeHtml(PATTERN_LABELS[pattern.type] || pattern.type)}: \${escapeHtml(pattern.value)}</span>
+                    <span class="market-meta">\${traderList(pattern.traders)}</span>
+                    \${renderSupportingTrades(pattern.supportingTrades)}
+                </div>
+            \`).join('');
+            const empty = '<p class="market-meta">None shared by ' + consensus.minTraders + ' or more traders.</p>';
+            
+            container.innerHTML = \`
+                <h2>What the top traders have in common</h2>
+                <div class="markets-grid">
+                    <div class="market-list"><h2>Shared positions</h2>\${shared || empty}</div>
+                    <div class="market-list"><h2>Conflicting positions</h2>\${disagreements || '<p class="market-meta">No conflicting positions.</p>'}</div>
+                    <div class="market-list"><h2>Shared strategy traits</h2>\${patterns || empty}</div>
+                </div>
+            \`;
+            container.classList.add('active');
+        }
+        
+        async function watchWallet(wallet, button) {
+            button.disabled = true;
+            try {
+                const response = await apiFetch('/api/watchlist', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ wallet: wallet })
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error);
+                button.textContent = 'Watching';
+            } catch (err) {
+                button.disabled = false;
+                button.textContent = 'Watch failed';
+            }
+        }
+        
+        function formatSignedCurrency(value) {
+            return (value < 0 ? '-' : '+') + formatCurrency(Math.abs(value));
+        }
+        
+        function formatTime(timestamp) {
+            return timestamp ? new Date(timestamp * 1000).toLocaleString() : 'n/a';
+        }
+        
+        // Step chart of cumulative PnL: flat between realized sells, with the
+        // last step adding the open positions' unrealized PnL.
+        function renderPnlChart(points) {
+            if (points.length < 2) return '<div class="market-meta">No PnL in this window</div>';
+            const width = 600;
+            const height = 180;
+            const pad = 20;
+            const times = points.map(point => point.timestamp);
+            const values = points.map(point => point.pnl).concat(0);
+            const minTime = Math.min(...times);
+            const maxTime = Math.max(...times);
+            const minValue = Math.min(...values);
+            const maxValue = Math.max(...values);
+            const x = time => (pad + (maxTime > minTime ? (time - minTime) / (maxTime - minTime) : 0) * (width - 2 * pad)).toFixed(1);
+            const y = value => (height - pad - (maxValue > minValue ? (value - minValue) / (maxValue - minValue) : 0.5) * (height - 2 * pad)).toFixed(1);
+            
+            let path = 'M' + x(points[0].timestamp) + ' ' + y(points[0].pnl);
+            for (const point of points.slice(1)) {
+                path += ' H' + x(point.timestamp) + ' V' + y(point.pnl);
+            }
+            const final = points[points.length - 1].pnl;
+            return \`
+                <svg class="pnl-chart" viewBox="0 0 \${width} \${height}">
+                    <line x1="\${pad}" x2="\${width - pad}" y1="\${y(0)}" y2="\${y(0)}" stroke="#555" stroke-dasharray="4 4" />
+                    <path d="\${path}" fill="none" stroke="\${final < 0 ? '#ff6b6b' : '#00ff88'}" stroke-width="2" />
+                    <text x="\${pad}" y="14" fill="#888" font-size="11">\${formatSignedCurrency(maxValue)}</text>
+                    <text x="\${pad}" y="\${height - 4}" fill="#888" font-size="11">\${formatSignedCurrency(minValue)}</text>
+                </svg>
+                <div class="market-meta">
+                    \${escapeHtml(formatTime(minTime))} – \${escapeHtml(formatTime(maxTime))} · \${formatSignedCurrency(final)} including open positions
+                </div>
+            \`;
+        }
+        
+        function renderMarketSubtotals(markets) {
+            return \`
+                <table>
+                    <tr><th>Market</th><th>Trades</th><th>Volume</th><th>Realized</th><th>Unrealized</th><th>Total</th></tr>
+                    \${markets.map(market => \`
+                        <tr>
+                            <td>\${escapeHtml(market.market)}</td>
+                            <td>\${market.tradeCount}</td>
+                            <td>\${formatCurrency(market.volume)}</td>
+                            <td>\${formatSignedCurrency(market.realizedPnl)}</td>
+                            <td>\${formatSignedCurrency(market.unrealizedPnl)}</td>
+                            <td>\${formatSignedCurrency(market.totalPnl)}</td>
+                        </tr>
+                    \`).join('')}
+                </table>
+            \`;
+        }
+        
+        const TRADE_COLUMNS = [
+            ['timestamp', 'Time'], ['market', 'Market'], ['category', 'Category'], ['outcome', 'Outcome'], ['action', 'Side'],
+            ['price', 'Price'], ['size', 'Shares'], ['value', 'Value']
+        ];
+        
+        function renderTradeTable(container) {
+            const state = container.tradeState;
+            const text = state.filter.trim().toLowerCase();
+            const rows = state.trades
+                .filter(trade => !state.side || trade.action === state.side)
+                .filter(trade => !text || [trade.market, trade.outcome, trade.category].some(value => String(value ?? '').toLowerCase().includes(text)))
+                .sort((a, b) => {
+                    const valueA = a[state.sort] ?? '';
+                    const valueB = b[state.sort] ?? '';
+                    const order = typeof valueA === 'number' && typeof valueB === 'number'
+                        ? valueA - valueB
+                        : String(valueA).localeCompare(String(valueB));
+                    return state.direction * order;
+                });
+            
+            container.querySelector('.trade-table').innerHTML = \`
+                <div class="market-meta">\${rows.length} of \${state.trades.length} trades</div>
+                <table>
+                    <tr>\${TRADE_COLUMNS.map(([key, label]) => '<th data-sort="' + key + '">' + label + (state.sort === key ? (state.direction > 0 ? ' ▲' : ' ▼') : '') + '</th>').join('')}</tr>
+                    \${rows.map(trade => \`
+                        <tr>
+                            <td>\${escapeHtml(formatTime(trade.timestamp))}</td>
+                            <td>\${escapeHtml(trade.market)}</td>
+                            <td>\${escapeHtml(trade.category || '—')}</td>
+                            <td>\${escapeHtml(trade.outcome)}</td>
+                            <td>\${escapeHtml(trade.action)}</td>
+                            <td>\${formatPrice(trade.price)}</td>
+                            <td>\${trade.size.toFixed(2)}</td>
+                            <td>\${formatCurrency(trade.value)}</td>
+                        </tr>
+                    \`).join('')}
+                </table>
+            \`;
+        }
+        
+        function renderDetail(container, detail) {
+            const state = { trades: detail.trades, sort: 'timestamp', direction: -1, filter: '', side: '' };
+            container.tradeState = state;
+            container.innerHTML = \`
+                <div class="top-trades-title">Cumulative PnL (\${escapeHtml(detail.window.label)})</div>
+                \${renderPnlChart(detail.pnlCurve)}
+                <div class="top-trades-title">By market</div>
+                \${renderMarketSubtotals(detail.markets)}
+                <div class="top-trades-title">All trades</div>
+                <div class="trade-filters">
+                    <input type="search" class="trade-search" placeholder="Filter by market, category or outcome">
+                    <select class="trade-side">
+                        <option value="">Buys and sells</option>
+                        <option value="BUY">Buys</option>
+                        <option value="SELL">Sells</option>
+                    </select>
+                </div>
+                <div class="trade-table"></div>
+            \`;
+            
+            container.querySelector('.trade-search').addEventListener('input', event => {
+                state.filter = event.target.value;
+                renderTradeTable(container);
+            });
+            container.querySelector('.trade-side').addEventListener('change', event => {
+                state.side = event.target.value;
+                renderTradeTable(container);
+            });
+            // Clicking a header sorts by it; clicking it again flips the order.
+            container.querySelector('.trade-table').addEventListener('click', event => {
+                const header = event.target.closest('th[data-sort]');
+                if (!header) return;
+                const key = header.dataset.sort;
+                state.direction = state.sort === key ? -state.direction : (['market', 'outcome', 'action'].includes(key) ? 1 : -1);
+                state.sort = key;
+                renderTradeTable(container);
+            });
+            renderTradeTable(container);
+        }
+        
+        // Trades are fetched the first time a trader's details are opened.
+        async function toggleDetail(button) {
+            const container = button.closest('.trader-card').querySelector('.trader-detail');
+            const open = container.classList.toggle('active');
+            button.textContent = open ? 'Hide details' : 'Details';
+            if (!open || container.tradeState) return;
+            
+            container.textContent = 'Loading trades...';
+            try {
+                const response = await fetch('/api/results/' + encodeURIComponent(button.dataset.wallet));
+                const detail = await response.json();
+                if (!response.ok) throw new Error(detail.error);
+                renderDetail(container, detail);
+            } catch (err) {
+                container.textContent = 'Error: ' + err.message;
+            }
+        }
+        
+        function renderCitation(trade) {
+            return escapeHtml(trade.id + ' · ' + formatTime(trade.timestamp) + ' · ' + trade.action + ' ' + trade.outcome +
+                ' @ ' + formatPrice(trade.price) + ' · ' + formatCurrency(trade.value) + ' · ' + trade.market);
+        }
+        
+        // Follow-up questions reuse the card's session so the answers keep
+        // the conversation's context.
+        async function askTrader(event, form) {
+            event.preventDefault();
+            const input = form.elements.question;
+            const question = input.value.trim();
+            if (!question) return;
+            
+            const log = form.parentElement.querySelector('.chat-log');
+            const entry = document.createElement('div');
+            entry.className = 'chat-entry';
+            entry.innerHTML = '<div class="chat-question">' + escapeHtml(question) + '</div><div>Thinking...</div>';
+            log.appendChild(entry);
+            input.value = '';
+            form.querySelector('button').disabled = true;
+            
+            try {
+                const response = await apiFetch('/api/trader/' + encodeURIComponent(form.dataset.wallet) + '/ask', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ question: question, sessionId: form.dataset.sessionId || null })
+                });
+                const data = await response.json();
+                if (data.sessionId) form.dataset.sessionId = data.sessionId;
+                if (!response.ok) throw new Error(data.error);
+                
+                entry.innerHTML = \`
+                    <div class="chat-question">\${escapeHtml(question)}</div>
+                    <div>\${escapeHtml(data.answer)}</div>
+                    \${data.citations.length > 0
+                        ? '<div class="chat-citations">Based on:<br>' + data.citations.map(renderCitation).join('<br>') + '</div>'
+                        : ''}
+                \`;
+            } catch (err) {
+                entry.lastElementChild.textContent = 'Error: ' + err.message;
+            } finally {
+                form.querySelector('button').disabled = false;
+            }
+        }
+        
+        function escapeHtml(value) {
+            return String(value ?? '').replace(/[&<>"']/g, char => ({
+                '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+            })[char]);
+        }
+        
+        function renderMarketRows(markets) {
+            if (markets.length === 0) return '<div class="market-meta">No markets yet</div>';
+            return markets.map(market => \`
+                <div class="market-row" data-condition-id="\${escapeHtml(market.conditionId)}" onclick="showMarket(this.dataset.conditionId)">
+                    <div>\${escapeHtml(market.market)}</div>
+                    <div class="market-meta">
+                        \${formatPercent(market.agreement)} of \${market.wallets} wallets\${market.consensusOutcome ? ' on ' + escapeHtml(market.consensusOutcome) : ' (tied)'}
+                    </div>
+                </div>
+            \`).join('');
+        }
+        
+        // The market comparison fetches every wallet's trades and counts
+        // against the API key's quota, so it only loads when asked for.
+        function resetMarkets() {
+            document.getElementById('marketsStatus').textContent = '';
+            document.getElementById('marketsGrid').style.display = 'none';
+            document.getElementById('marketDetail').style.display = 'none';
+            document.getElementById('markets').classList.add('active');
+        }
+        
+        async function loadMarkets() {
+            const status = document.getElementById('marketsStatus');
+            status.textContent = 'Loading markets...';
+            try {
+                const response = await apiFetch('/api/markets', { method: 'POST' });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error);
+                document.getElementById('marketsAgree').innerHTML = renderMarketRows(data.agree);
+                document.getElementById('marketsDisagree').innerHTML = renderMarketRows(data.disagree);
+                document.getElementById('marketDetail').style.display = 'none';
+                document.getElementById('marketsGrid').style.display = '';
+                status.textContent = '';
+            } catch (err) {
+                status.textContent = 'Error: ' + err.message;
+            }
+        }
+        
+        function formatPrice(value) {
+            return value === null || value === undefined ? 'n/a' : value.toFixed(3);
+        }
+        
+        async function showMarket(conditionId) {
+            const detail = document.getElementById('marketDetail');
+            detail.style.display = 'block';
+            detail.textContent = 'Loading market flow...';
+            try {
+                const response = await apiFetch('/api/markets/' + encodeURIComponent(conditionId), { method: 'POST' });
+                const flow = await response.json();
+                if (!response.ok) throw new Error(flow.error);
+                
+                const concentration = flow.concentration;
+                detail.innerHTML = \`
+                    <div class="trader-name">\${escapeHtml(flow.question)}</div>
+                    <div class="market-meta">
+                        \${escapeHtml(flow.window.label)} · \${flow.walletsChecked} wallets checked
+                        \${flow.consensus.wallets > 0 ? ' · ' + formatPercent(flow.consensus.agreement) + ' lean ' + escapeHtml(flow.consensus.outcome || 'no single outcome') : ''}
+                        \${concentration.topWallet ? ' · largest position ' + formatPercent(concentration.topWalletShare) + ' of exposure (HHI ' + concentration.hhi.toFixed(2) + ')' : ''}
+                    </div>
+                    <table>
+                        <tr><th>Outcome</th><th>Bought</th><th>Sold</th><th>Net shares</th><th>Avg entry</th><th>Current</th><th>Buyers / sellers</th></tr>
+                        \${flow.outcomes.map(outcome => \`
+                            <tr>
+                                <td>\${escapeHtml(outcome.outcome)}</td>
+                                <td>\${formatCurrency(outcome.buyValue)}</td>
+                                <td>\${formatCurrency(outcome.sellValue)}</td>
+                                <td>\${outcome.netShares.toFixed(1)}</td>
+                                <td>\${formatPrice(outcome.avgEntryPrice)}</td>
+                                <td>\${formatPrice(outcome.currentPrice)}</td>
+                                <td>\${outcome.buyers} / \${outcome.sellers}</td>
+                            </tr>
+                        \`).join('')}
+                    </table>
+                    <table>
+                        <tr><th>Wallet</th><th>Trades</th><th>Leans</th><th>Exposure</th></tr>
+                        \${flow.wallets.map(wallet => \`
+                            <tr>
+                                <td>\${escapeHtml(wallet.name || wallet.walletAddress)}\${wallet.rank ? ' (#' + wallet.rank + ')' : ''}\${wallet.watched ? ' · watched' : ''}</td>
+                                <td>\${wallet.error ? 'failed' : wallet.tradeCount}</td>
+                                <td>\${escapeHtml(wallet.leanOutcome || '–')}</td>
+                                <td>\${formatCurrency(wallet.exposure)}</td>
+                            </tr>
+                        \`).join('')}
+                    </table>
+                \`;
+            } catch (err) {
+                detail.textContent = 'Error: ' + err.message;
+            }
+        }
+        
         async function loadStats() {
             try {
                 const response = await fetch('/api/stats');
                 const stats = await response.json();
-                if (stats) {
+                if (response.ok && stats) {
                     document.getElementById('statVolume').textContent = formatCurrency(stats.totalVolume);
                     document.getElementById('statLiquidity').textContent = formatCurrency(stats.totalLiquidity);
                     document.getElementById('statMarkets').textContent = stats.activeMarkets + ' / ' + stats.totalMarkets;
@@ -571,17 +1274,66 @@ const htmlTemplate = `
             }
         }
         
-        // Load stats and results on page load
-        loadStats();
-        fetch('/api/results')
-            .then(r => r.json())
-            .then(data => {
+        function formatAge(seconds) {
+            if (seconds < 60) return 'just now';
+            if (seconds < 3600) return Math.floor(seconds / 60) + ' min ago';
+            if (seconds < 86400) return (seconds / 3600).toFixed(1) + ' h ago';
+            return (seconds / 86400).toFixed(1) + ' days ago';
+        }
+        
+        function describeSchedule(status) {
+            const parts = [];
+            if (status.resultsAgeSeconds !== null) parts.push('Results from ' + formatAge(status.resultsAgeSeconds));
+            const schedule = status.schedule;
+            if (schedule.nextRunAt) {
+                parts.push('next scheduled run ' + new Date(schedule.nextRunAt).toLocaleString() + ' (' + schedule.schedule + ')');
+            } else {
+                parts.push('no scheduled runs');
+            }
+            if (schedule.lastStatus === 'failed') parts.push('last scheduled run failed: ' + schedule.lastError);
+            return parts.join(' · ');
+        }
+        
+        async function loadResults() {
+            try {
+                const data = await (await fetch('/api/results')).json();
                 if (data.results && data.results.length > 0) {
-                    document.getElementById('statusText').textContent = 'Last run: ' + new Date(data.lastRunTime).toLocaleString();
-                    renderResults(data.results);
+                    shownRunTime = data.lastRunTime;
+                    document.getElementById('statusText').textContent = 'Last run: ' + new Date(data.lastRunTime).toLocaleString() + ' (' + data.window.label + ')' + formatUsage(data.aiUsage);
+                    renderResults(data.results, data.window, data.flaggedResults);
+                    renderConsensus(data.consensus);
+                    resetMarkets();
                 }
-            })
-            .catch(() => {});
+            } catch (err) {
+                console.error('Failed to load results:', err);
+            }
+        }
+        
+        // Follows scheduled runs: reattaches to a running job and reloads
+        // results when a run finished in the background.
+        async function loadStatus() {
+            try {
+                const status = await (await fetch('/api/status')).json();
+                document.getElementById('scheduleText').textContent = describeSchedule(status);
+                document.getElementById('apiKeyInput').style.display = status.apiKeyRequired ? '' : 'none';
+                if (currentJobId) return;
+                if (status.activeJobId) {
+                    watchJob(status.activeJobId);
+                } else if (status.lastRunTime && status.lastRunTime !== shownRunTime) {
+                    loadResults();
+                }
+            } catch (err) {
+                console.error('Failed to load status:', err);
+            }
+        }
+        
+        document.getElementById('apiKeyInput').value = localStorage.getItem('apiKey') || '';
+        
+        // Load stats, status and results on page load, then keep them fresh
+        loadStats();
+        loadStatus();
+        setInterval(loadStatus, 30 * 1000);
+        setInterval(loadStats, 5 * 60 * 1000);
     </script>
 </body>
 </html>
@@ -593,37 +1345,523 @@ app.get('/', (req, res) => {
     res.send(htmlTemplate);
 });
 
-app.get('/api/run', async (req, res) => {
-    const result = await runAnalysis();
-    res.json(result);
+function parseExplainerName(name) {
+    const provider = name || config.explainer.provider;
+    createExplainer({ provider });
+    return provider;
+}
+
+function parseAnalysisParams(params) {
+    return {
+        window: parseWindow({
+            window: params.window || config.defaultWindow,
+            from: params.from,
+            to: params.to
+        }),
+        discovery: parseDiscoveryOptions(params),
+        ranking: parseRankOptions(params),
+        explainer: parseExplainerName(params.explainer),
+        tokenBudget: parseTokenBudget(params.tokenBudget),
+        concurrency: parseConcurrency(params.concurrency),
+        consensus: parseConsensusOption(params.consensus)
+    };
+}
+
+function handleStartError(error, res) {
+    if (error instanceof WindowError || error instanceof DiscoveryOptionsError ||
+        error instanceof RankOptionsError || error instanceof ExplainerError ||
+        error instanceof WalletError || error instanceof BacktestOptionsError ||
+        error instanceof WatchlistError || error instanceof ConcurrencyError ||
+        error instanceof MarketFlowError || error instanceof QuestionError ||
+        error instanceof ConsensusError) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof JobConflictError) {
+        return res.status(409).json({ error: error.message, activeJobId: error.activeJobId });
+    }
+    throw error;
+}
+
+// Endpoints that used to answer GET; point old scripts at the POST form.
+function usePost(req, res) {
+    res.status(405).set('Allow', 'POST').json({ error: `Use POST ${req.path}` });
+}
+
+app.get('/api/run', usePost);
+
+app.post('/api/run', expensive, async (req, res) => {
+    let job;
+    try {
+        job = startAnalysisJob(parseAnalysisParams({ ...req.query, ...req.body }));
+    } catch (error) {
+        return handleStartError(error, res);
+    }
+    
+    await job.promise;
+    res.json(job.status === 'completed' ? job.result : { error: job.error || `Analysis ${job.status}` });
+});
+
+app.post('/api/jobs', expensive, (req, res) => {
+    let job;
+    try {
+        job = startAnalysisJob(parseAnalysisParams({ ...req.query, ...req.body }));
+    } catch (error) {
+        return handleStartError(error, res);
+    }
+    
+    res.status(202).json({
+        ...serializeJob(job),
+        eventsUrl: `/api/jobs/${job.id}/events`
+    });
+});
+
+app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: jobs.listJobs().map(job => serializeJob(job, { includeResult: false })) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(serializeJob(job));
+});
+
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    if (isTerminal(job)) {
+        send('done', serializeJob(job));
+        return res.end();
+    }
+    
+    if (job.progress) {
+        send('progress', job.progress);
+    }
+    
+    const onProgress = event => send('progress', event);
+    const onDone = snapshot => {
+        send('done', snapshot);
+        res.end();
+    };
+    
+    job.events.on('progress', onProgress);
+    job.events.once('done', onDone);
+    req.on('close', () => {
+        job.events.off('progress', onProgress);
+        job.events.off('done', onDone);
+    });
+});
+
+app.delete('/api/jobs/:id', authorized, (req, res) => {
+    const job = jobs.cancelJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(serializeJob(job, { includeResult: false }));
 });
 
 app.get('/api/results', (req, res) => {
     res.json({
         results: lastResults,
+        flaggedResults: lastFlaggedResults,
+        consensus: lastConsensus,
+        window: lastWindow,
+        aiUsage: lastUsage,
         lastRunTime: lastRunTime,
-        isRunning: isRunning
+        isRunning: jobs.getActiveJob() !== null
     });
 });
 
-app.get('/api/stats', async (req, res) => {
+// Trade table, per-market subtotals and PnL curve for one trader of the latest
+// run, fetched by the dashboard when a trader's details are opened. Answers
+// from memory only; trades aren't kept across restarts.
+app.get('/api/results/:wallet', (req, res) => {
+    const wallet = req.params.wallet.toLowerCase();
+    const trader = [...(lastResults || []), ...lastFlaggedResults].find(entry => entry.walletAddress.toLowerCase() === wallet);
+    if (!trader) {
+        return res.status(404).json({ error: 'Wallet is not in the latest run' });
+    }
+    
+    const data = lastTraderData.get(trader.walletAddress);
+    if (!data) {
+        return res.status(503).json({ error: 'Trades for this run are no longer loaded; run the analysis again to see them' });
+    }
+    
+    res.json({
+        walletAddress: trader.walletAddress,
+        name: trader.name,
+        rank: trader.rank,
+        window: lastWindow,
+        tradeCount: data.trades.length,
+        ...buildTradeDetail({ ...data, window: lastWindow })
+    });
+});
+
+app.get('/api/export', async (req, res) => {
+    let options;
+    try {
+        options = parseExportOptions({ format: req.query.format, rows: req.query.rows });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    let report;
+    if (req.query.runId) {
+        const run = await runStore.getRun(req.query.runId);
+        if (!run) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        report = { runId: run.id, createdAt: run.createdAt, window: run.params.window, ranking: run.params.ranking, aiUsage: run.aiUsage || null, results: run.results, flaggedResults: run.flaggedResults || [], consensus: run.consensus || null };
+    } else {
+        if (!lastResults) {
+            return res.status(404).json({ error: 'No analysis results yet' });
+        }
+        const withTrades = traders => options.rows === 'trades'
+            ? traders.map(trader => ({ ...trader, trades: lastTraderData.get(trader.walletAddress)?.trades }))
+            : traders;
+        report = { runId: lastRunId, createdAt: lastRunTime, window: lastWindow, ranking: lastRanking, aiUsage: lastUsage, results: withTrades(lastResults), flaggedResults: withTrades(lastFlaggedResults), consensus: lastConsensus };
+    }
+    
+    const { contentType, extension, body } = renderExport(report, options);
+    const date = (report.createdAt || new Date().toISOString()).slice(0, 10);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="polymarket-report-${date}.${extension}"`);
+    res.send(body);
+});
+
+app.get('/api/runs', async (req, res) => {
+    let options;
+    try {
+        options = parseRunListOptions({ limit: req.query.limit, offset: req.query.offset });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    res.json(await runStore.listRuns(options));
+});
+
+app.get('/api/runs/:id', async (req, res) => {
+    const run = await runStore.getRun(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(run);
+});
+
+app.get('/api/trader/:wallet', usePost);
+
+app.post('/api/trader/:wallet', expensive, async (req, res) => {
+    const input = { ...req.query, ...req.body };
+    let params;
+    try {
+        params = {
+            wallet: parseWallet(req.params.wallet),
+            window: parseWindow({
+                window: input.window || config.defaultWindow,
+                from: input.from,
+                to: input.to
+            }),
+            explainer: parseExplainerName(input.explainer),
+            tokenBudget: parseTokenBudget(input.tokenBudget)
+        };
+    } catch (error) {
+        return handleStartError(error, res);
+    }
+    
+    const usage = createUsageTracker({ tokenBudget: params.tokenBudget });
+    const trader = await analyzeTrader(params.wallet, {
+        window: params.window,
+        explainer: createExplainer({ provider: params.explainer }),
+        cache: explanationCache,
+        usage: usage
+    });
+    if (trader.error) {
+        return res.status(502).json({ error: `Failed to fetch trades: ${trader.error}` });
+    }
+    res.json({ ...trader, aiUsage: usage.summary() });
+});
+
+function sameWindow(a, b) {
+    return a.spec || b.spec ? a.spec === b.spec : a.from === b.from && a.to === b.to;
+}
+
+// A new Q&A session reuses the latest run's trades when the wallet was in it
+// and no other window was asked for; otherwise the trades are fetched. After a
+// restart the stored run's wallets still default to its window, so answers
+// match the trades their cards show.
+async function startQaSession(wallet, window) {
+    const latest = window ? null : [...lastTraderData.keys()].find(address => address.toLowerCase() === wallet.toLowerCase());
+    if (latest) {
+        const data = lastTraderData.get(latest);
+        return qaSessions.create({
+            walletAddress: latest,
+            window: lastWindow,
+            trades: data.trades,
+            metrics: data.metrics,
+            markets: summarizeMarkets(data.pnl, data.trades),
+            profit: data.pnl ? data.pnl.totalPnl : 0
+        });
+    }
+    
+    const inLatestRun = !window && [...(lastResults || []), ...lastFlaggedResults]
+        .some(trader => trader.walletAddress.toLowerCase() === wallet.toLowerCase());
+    const analysisWindow = window || (inLatestRun ? lastWindow : parseWindow({ window: config.defaultWindow }));
+    const { profit, pnl, metrics, trades, error } = await calculateWeeklyProfit(wallet, { window: analysisWindow });
+    if (error) {
+        throw new Error(`Failed to fetch trades: ${error}`);
+    }
+    return qaSessions.create({
+        walletAddress: wallet,
+        window: analysisWindow,
+        trades,
+        metrics,
+        markets: summarizeMarkets(pnl, trades),
+        profit
+    });
+}
+
+app.post('/api/trader/:wallet/ask', expensive, async (req, res) => {
+    const input = { ...req.query, ...req.body };
+    let params;
+    try {
+        params = {
+            wallet: parseWallet(req.params.wallet),
+            question: parseQuestion(input.question),
+            window: input.window || input.from || input.to
+                ? parseWindow({ window: input.window || config.defaultWindow, from: input.from, to: input.to })
+                : null,
+            explainer: parseExplainerName(input.explainer),
+            tokenBudget: parseTokenBudget(input.tokenBudget)
+        };
+    } catch (error) {
+        return handleStartError(error, res);
+    }
+    
+    // A session is only reused for the same wallet and, if one is given, window.
+    let session = qaSessions.get(input.sessionId, params.wallet);
+    if (session && params.window && !sameWindow(session.window, params.window)) {
+        session = null;
+    }
+    if (!session) {
+        try {
+            session = await startQaSession(params.wallet, params.window);
+        } catch (error) {
+            return res.status(502).json({ error: error.message });
+        }
+    }
+    
+    const usage = createUsageTracker({ tokenBudget: params.tokenBudget });
+    let reply;
+    try {
+        reply = await askAboutTrades({
+            question: params.question,
+            history: session.history,
+            trades: session.trades,
+            metrics: session.metrics,
+            markets: session.markets,
+            profit: session.profit,
+            windowLabel: session.window.label
+        }, {
+            explainer: createExplainer({ provider: params.explainer }),
+            usage: usage,
+            log: console.error
+        });
+    } catch (error) {
+        return res.status(502).json({ error: error.message, sessionId: session.id });
+    }
+    
+    qaSessions.record(session, { question: params.question, answer: reply.answer, citations: reply.citations });
+    res.json({
+        sessionId: session.id,
+        walletAddress: session.walletAddress,
+        window: session.window,
+        question: params.question,
+        answer: reply.answer,
+        citations: resolveCitations(reply.citations, session.trades),
+        provider: reply.provider,
+        turns: session.history.length,
+        aiUsage: usage.summary()
+    });
+});
+
+// Market views default to the latest run's window and its ranked wallets plus
+// the watchlist; `wallets`, `window` or `from`/`to` override them.
+async function parseMarketFlowParams(query) {
+    const window = query.window || query.from || query.to || !lastWindow
+        ? parseWindow({ window: query.window || config.defaultWindow, from: query.from, to: query.to })
+        : lastWindow;
+    const wallets = parseFlowWallets({
+        wallets: query.wallets,
+        ranked: lastResults || [],
+        watched: query.wallets ? [] : await watchlist.list()
+    });
+    return { window, wallets, ...parseFlowOptions(query) };
+}
+
+// Both market views fetch every wallet's trades, so they sit behind the key
+// check and quota like the other upstream-heavy endpoints.
+app.get('/api/markets', usePost);
+
+app.post('/api/markets', expensive, async (req, res) => {
+    let params;
+    try {
+        params = await parseMarketFlowParams({ ...req.query, ...req.body });
+    } catch (error) {
+        return handleStartError(error, res);
+    }
+    if (params.wallets.length === 0) {
+        return res.status(404).json({ error: 'No ranked or watched wallets yet' });
+    }
+    
+    res.json(await summarizeMarketFlows(params));
+});
+
+app.get('/api/markets/:conditionId', usePost);
+
+app.post('/api/markets/:conditionId', expensive, async (req, res) => {
+    let conditionId;
+    let params;
+    try {
+        conditionId = parseConditionId(req.params.conditionId);
+        params = await parseMarketFlowParams({ ...req.query, ...req.body });
+    } catch (error) {
+        return handleStartError(error, res);
+    }
+    if (params.wallets.length === 0) {
+        return res.status(404).json({ error: 'No ranked or watched wallets yet' });
+    }
+    
+    let flow;
+    try {
+        flow = await analyzeMarketFlow(conditionId, params);
+    } catch (error) {
+        return res.status(502).json({ error: `Failed to fetch market: ${error.message}` });
+    }
+    if (!flow) {
+        return res.status(404).json({ error: 'Market not found' });
+    }
+    res.json(flow);
+});
+
+app.post('/api/backtest', expensive, async (req, res) => {
+    const params = { ...req.query, ...req.body };
+    let options;
+    let window;
+    try {
+        options = parseBacktestOptions(params);
+        window = parseWindow({
+            window: params.window || config.defaultWindow,
+            from: params.from,
+            to: params.to
+        });
+    } catch (error) {
+        return handleStartError(error, res);
+    }
+    
+    try {
+        res.json(await runBacktest(options, { window }));
+    } catch (error) {
+        res.status(502).json({ error: `Backtest failed: ${error.message}` });
+    }
+});
+
+app.get('/api/watchlist', async (req, res) => {
+    res.json({ wallets: await watchlist.list(), poller: alertPoller.getStatus() });
+});
+
+app.post('/api/watchlist', authorized, async (req, res) => {
+    let result;
+    try {
+        result = await watchlist.add(req.body || {});
+    } catch (error) {
+        return handleStartError(error, res);
+    }
+    res.status(result.created ? 201 : 200).json(result.entry);
+});
+
+app.delete('/api/watchlist/:wallet', authorized, async (req, res) => {
+    if (!await watchlist.remove(req.params.wallet)) {
+        return res.status(404).json({ error: 'Wallet is not on the watchlist' });
+    }
+    res.json({ removed: req.params.wallet.toLowerCase() });
+});
+
+app.post('/api/watchlist/poll', expensive, async (req, res) => {
+    const alerts = await alertPoller.pollOnce();
+    res.json({ alerts, poller: alertPoller.getStatus() });
+});
+
+app.get('/api/wallets/:wallet/history', async (req, res) => {
+    res.json(await runStore.getWalletHistory(req.params.wallet));
+});
+
+app.get('/api/stats', (req, res) => {
     if (!polymarketStats) {
-        polymarketStats = await getPolymarketStats();
+        return res.status(503).json({ error: 'Stats are not loaded yet' });
     }
     res.json(polymarketStats);
 });
 
 app.get('/api/status', (req, res) => {
+    const activeJob = jobs.getActiveJob();
     res.json({
-        isRunning: isRunning,
+        isRunning: activeJob !== null,
+        activeJobId: activeJob ? activeJob.id : null,
         hasResults: lastResults !== null,
-        lastRunTime: lastRunTime
+        lastRunTime: lastRunTime,
+        resultsAgeSeconds: lastRunTime ? Math.round((Date.now() - Date.parse(lastRunTime)) / 1000) : null,
+        schedule: analysisScheduler.getStatus(),
+        statsUpdatedAt: statsUpdatedAt,
+        apiKeyRequired: access.keysRequired
     });
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Polymarket Strategy Analyzer running at http://0.0.0.0:${PORT}`);
-    getPolymarketStats().then(stats => {
-        polymarketStats = stats;
+export { app };
+
+export function startServer(port = PORT) {
+    return app.listen(port, '0.0.0.0', () => {
+        console.log(`Polymarket Strategy Analyzer running at http://0.0.0.0:${port}`);
+        runStore.getLatestRun().then(run => {
+            if (run && !lastResults) {
+                lastResults = run.results;
+                lastFlaggedResults = run.flaggedResults || [];
+                lastConsensus = run.consensus || null;
+                lastRunTime = run.createdAt;
+                lastWindow = run.params.window;
+                lastUsage = run.aiUsage || null;
+                lastRunId = run.id;
+                lastRanking = run.params.ranking || null;
+            }
+        }).catch(error => {
+            console.error('Failed to load previous run:', error.message);
+        }).then(() => {
+            if (!analysisSchedule) return;
+            analysisScheduler.start();
+            // Catch up on a run missed while the server was down.
+            if (!lastRunTime || nextRunTime(analysisSchedule, Date.parse(lastRunTime)) <= Date.now()) {
+                analysisScheduler.runNow();
+            }
+        });
+        refreshStats().catch(error => console.error(error.message));
+        statsScheduler.start();
+        alertPoller.start();
     });
-});
+}
+
+// Listen only when run directly (`node server.js`), so tests can import `app`.
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    startServer();
+}
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAccessControl, createRateLimiter, parseApiKeys, AccessConfigError } from '../lib/access.js';
+import { config } from '../lib/config.js';
+
+// Runs a middleware against a minimal request/response pair.
+function call(middleware, { headers = {}, ip = '10.0.0.1' } = {}) {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const req = { ip, get: name => lower[name.toLowerCase()] };
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(name, value) {
+            if (typeof name === 'object') Object.assign(this.headers, name);
+            else this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    middleware(req, res, () => {
+        passed = true;
+    });
+    return { passed, status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+test('parseApiKeys hashes keys and reads per-key limits', () => {
+    const keys = parseApiKeys(' alpha:5 , bravo ', 60);
+
+    assert.equal(keys.size, 2);
+    const limits = [...keys.values()].map(key => key.limit);
+    assert.deepEqual(limits, [5, 60]);
+    assert.ok([...keys.keys()].every(hash => /^[0-9a-f]{64}$/.test(hash)));
+    assert.equal(parseApiKeys('').size, 0);
+    assert.throws(() => parseApiKeys('alpha:lots'), AccessConfigError);
+});
+
+test('createRateLimiter counts requests per client within a fixed window', () => {
+    let now = 0;
+    const limiter = createRateLimiter({ windowSeconds: 60, now: () => now });
+
+    assert.equal(limiter.take('a', 2).remaining, 1);
+    assert.equal(limiter.take('a', 2).allowed, true);
+    const denied = limiter.take('a', 2);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfterSeconds, 60);
+    assert.equal(limiter.take('b', 2).allowed, true);
+
+    now = 45 * 1000;
+    assert.equal(limiter.take('a', 2).retryAfterSeconds, 15);
+    now = 60 * 1000;
+    assert.equal(limiter.take('a', 2).allowed, true);
+});
+
+test('protect requires a valid key once keys are configured', () => {
+    const access = createAccessControl({ keys: parseApiKeys('secret:2', 10), perIp: 1, windowSeconds: 60 });
+    const protect = access.protect();
+
+    assert.equal(access.keysRequired, true);
+    const missing = call(protect);
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers['WWW-Authenticate'], 'Bearer');
+    assert.equal(call(protect, { headers: { 'X-API-Key': 'guess' } }).body.error, 'Invalid API key');
+
+    assert.equal(call(protect, { headers: { Authorization: 'Bearer secret' } }).passed, true);
+    assert.equal(call(protect, { headers: { 'X-API-Key': 'secret' }, ip: '10.0.0.2' }).passed, true);
+    const limited = call(protect, { headers: { 'X-API-Key': 'secret' } });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers['Retry-After'], '60');
+
+    // Key-only routes skip the quota.
+    assert.equal(call(access.protect({ quota: false }), { headers: { 'X-API-Key': 'secret' } }).passed, true);
+});
+
+test('with the default limits, keyed requests use their key quota and not the IP one', () => {
+    const access = createAccessControl({ keys: parseApiKeys('first,second') });
+    const protect = access.protect();
+    const perKey = config.access.perKey;
+    assert.ok(perKey > config.access.perIp);
+
+    // Every request comes from one address, as it would behind a proxy.
+    for (let i = 0; i < perKey; i++) {
+        assert.equal(call(protect, { headers: { 'X-API-Key': 'first' } }).passed, true);
+    }
+    assert.equal(call(protect, { headers: { 'X-API-Key': 'first' } }).status, 429);
+    assert.equal(call(protect, { headers: { 'X-API-Key': 'second' } }).passed, true);
+});
+
+test('without keys, protect applies the per-IP quota', () => {
+    const access = createAccessControl({ keys: new Map(), perIp: 1, windowSeconds: 60 });
+    const protect = access.protect();
+
+    assert.equal(call(protect).passed, true);
+    assert.equal(call(protect).status, 429);
+    assert.equal(call(protect, { ip: '10.0.0.2' }).passed, true);
+});
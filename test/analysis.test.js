@@ -0,0 +1,201 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPolymarketClient } from '../lib/polymarket.js';
+import { calculateWeeklyProfit, getRecentActiveTraders } from '../lib/analysis.js';
+import { discoverTraders, parseDiscoveryOptions, DiscoveryOptionsError } from '../lib/discovery.js';
+import { startMockPolymarket } from './helpers/mockPolymarket.js';
+import { MARKETS, WALLETS, WINDOW } from './helpers/fixtures.js';
+
+let mock;
+let client;
+
+const discovery = parseDiscoveryOptions({ minVolume: 100000, topMarkets: 10, sources: 'holders,trades' });
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be ${expected}`);
+}
+
+before(async () => {
+    mock = await startMockPolymarket();
+    client = createPolymarketClient({ gammaBaseUrl: mock.url, dataBaseUrl: mock.url, maxRetries: 0, cacheTtlSeconds: 0 });
+});
+
+after(() => mock.close());
+
+beforeEach(() => mock.reset());
+
+test('parseDiscoveryOptions rejects options above their limits', () => {
+    assert.equal(parseDiscoveryOptions({ maxMarkets: '2000', maxTraders: 500 }).maxMarkets, 2000);
+    assert.throws(() => parseDiscoveryOptions({ maxMarkets: 2001 }), /Invalid maxMarkets: 2001 \(max 2000\)/);
+    assert.throws(() => parseDiscoveryOptions({ topMarkets: 51 }), DiscoveryOptionsError);
+    assert.throws(() => parseDiscoveryOptions({ tradesPerMarket: 1e6 }), DiscoveryOptionsError);
+    assert.throws(() => parseDiscoveryOptions({ maxTraders: 501 }), DiscoveryOptionsError);
+});
+
+test('getRecentActiveTraders merges holders and trade flow across the top markets', async () => {
+    const traders = await getRecentActiveTraders({ discovery, client });
+
+    // Most markets first, then most sources, then largest observed value.
+    assert.deepEqual(traders.map(trader => trader.walletAddress),
+        [WALLETS.bravo, WALLETS.alpha, WALLETS.delta, WALLETS.charlie]);
+    assert.deepEqual(traders[1], {
+        walletAddress: WALLETS.alpha,
+        name: 'alpha',
+        sources: ['holders', 'trades'],
+        marketCount: 2
+    });
+    assert.deepEqual(traders[2].sources, ['trades']);
+
+    const scanned = mock.requests.filter(request => request.path === '/holders').map(request => request.params.get('market'));
+    assert.deepEqual(scanned, [MARKETS.fed, MARKETS.arsenal]);
+});
+
+test('discovery merges markets in order whichever request finishes first', async () => {
+    mock.route('/holders', params => {
+        if (params.get('market') !== MARKETS.fed) return undefined;
+        return new Promise(resolve => setTimeout(resolve, 30));
+    });
+
+    const parallel = await getRecentActiveTraders({ discovery, client, concurrency: 4 });
+    const sequential = await getRecentActiveTraders({ discovery, client, concurrency: 1 });
+    assert.deepEqual(parallel, sequential);
+});
+
+test('getRecentActiveTraders honours sources and maxTraders', async () => {
+    const traders = await getRecentActiveTraders({
+        discovery: { ...discovery, sources: ['holders'], maxTraders: 2 },
+        client
+    });
+
+    assert.deepEqual(traders.map(trader => trader.walletAddress), [WALLETS.bravo, WALLETS.alpha]);
+    assert.ok(!mock.requests.some(request => request.path === '/trades'));
+});
+
+test('discovery skips markets whose holders or trades requests fail', async () => {
+    mock.route('/holders', () => ({ status: 500, body: {} }));
+
+    const { traders, counts } = await discoverTraders(discovery, { client });
+    assert.equal(counts.failedRequests, 2);
+    assert.equal(counts.bySource.holders, 0);
+    assert.equal(traders.length, 4);
+    assert.ok(traders.every(trader => trader.sources.length === 1 && trader.sources[0] === 'trades'));
+});
+
+test('getRecentActiveTraders rejects when the market list cannot be fetched', async () => {
+    mock.route('/markets', () => ({ status: 502, body: {} }));
+
+    await assert.rejects(getRecentActiveTraders({ discovery, client }), /status: 502/);
+});
+
+test('calculateWeeklyProfit splits realized and unrealized PnL over the window', async () => {
+    const result = await calculateWeeklyProfit(WALLETS.alpha, { client, window: WINDOW });
+
+    // Fed YES: 150 sold at 0.70 against FIFO basis of 80 (+25); 50 left marked at 0.62 (+1).
+    // Arsenal YES: bought before the window at 0.20, sold inside at 0.35 (+15).
+    // Arsenal NO: 200 bought at 0.65, marked at 0.70 (+10).
+    close(result.pnl.realizedPnl, 40);
+    close(result.pnl.unrealizedPnl, 11);
+    close(result.profit, 51);
+    close(result.pnl.capitalDeployed, 240);
+    assert.equal(result.tradeCount, 5);
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.history, { complete: true, capped: false, fetched: 6, window: WINDOW });
+    assert.deepEqual(result.topTrades.map(trade => trade.value), [130, 105, 60]);
+    assert.equal(result.topTrades[0].market, 'Will Arsenal win the Premier League?');
+    close(result.metrics.roi, 51 / 240);
+    assert.equal(result.metrics.winRate, 1);
+    assert.deepEqual(result.classification.labels, []);
+    assert.equal(result.classification.signals.tradesPerDay, 5 / 7);
+});
+
+test('calculateWeeklyProfit enriches trades with their market and breaks PnL down by category', async () => {
+    const result = await calculateWeeklyProfit(WALLETS.alpha, { client, window: WINDOW });
+
+    const fedBuy = result.trades.find(trade => trade.market === 'Will the Fed cut rates in December?' && trade.action === 'BUY');
+    assert.equal(fedBuy.category, 'Economics');
+    assert.equal(fedBuy.marketStatus, 'open');
+    assert.equal(fedBuy.currentPrice, 0.62);
+    close(fedBuy.hoursToResolution, (Date.parse('2025-12-10T00:00:00Z') / 1000 - fedBuy.timestamp) / 3600);
+    assert.ok(result.metrics.avgHoursToResolution > 0);
+
+    // One market request covers both the metadata and the prices.
+    assert.equal(mock.requests.filter(request => request.path === '/markets').length, 1);
+    assert.deepEqual(result.categoryBreakdown.map(category => [category.category, category.tradeCount, category.markets]),
+        [['Economics', 3, 1], ['Sports', 2, 1]]);
+    close(result.categoryBreakdown[0].totalPnl, 26);
+    close(result.categoryBreakdown[1].totalPnl, 25);
+    close(result.categoryBreakdown.reduce((sum, category) => sum + category.volumeShare, 0), 1);
+});
+
+test('calculateWeeklyProfit ignores fills without a timestamp', async () => {
+    const result = await calculateWeeklyProfit(WALLETS.bravo, { client, window: WINDOW });
+
+    assert.equal(result.tradeCount, 3);
+    assert.ok(result.trades.every(trade => trade.timestamp >= WINDOW.from));
+    close(result.pnl.realizedPnl, -21);
+    close(result.pnl.unrealizedPnl, -10);
+    close(result.profit, -31);
+    assert.equal(result.metrics.winRate, 0);
+});
+
+test('calculateWeeklyProfit reports no activity for wallets idle in the window', async () => {
+    const result = await calculateWeeklyProfit(WALLETS.charlie, { client, window: WINDOW });
+
+    assert.equal(result.tradeCount, 0);
+    assert.equal(result.profit, 0);
+    assert.deepEqual(result.topTrades, []);
+});
+
+for (const key of ['trades', 'data']) {
+    test(`calculateWeeklyProfit reads trades wrapped in data.${key}`, async () => {
+        const trades = mock.fixtures.trades
+            .filter(trade => trade.proxyWallet === WALLETS.alpha)
+            .sort((a, b) => b.timestamp - a.timestamp);
+        mock.route('/trades', () => ({ body: { [key]: trades } }));
+
+        const result = await calculateWeeklyProfit(WALLETS.alpha, { client, window: WINDOW });
+        assert.equal(result.tradeCount, 5);
+        close(result.profit, 51);
+    });
+}
+
+test('calculateWeeklyProfit leaves positions unpriced when prices cannot be fetched', async () => {
+    mock.route('/markets', () => ({ status: 500, body: {} }));
+
+    const result = await calculateWeeklyProfit(WALLETS.alpha, { client, window: WINDOW });
+    close(result.profit, 40);
+    assert.equal(result.pnl.unrealizedPnl, 0);
+    assert.equal(result.pnl.unpricedPositions, 2);
+});
+
+test('calculateWeeklyProfit returns an empty result with the error on HTTP failure', async () => {
+    mock.route('/trades', () => ({ status: 500, body: {} }));
+
+    const result = await calculateWeeklyProfit(WALLETS.alpha, { client, window: WINDOW });
+    assert.equal(result.profit, 0);
+    assert.equal(result.tradeCount, 0);
+    assert.equal(result.pnl, null);
+    assert.match(result.error, /status: 500/);
+});
+
+test('calculateWeeklyProfit flags history cut off by maxTrades', async () => {
+    const result = await calculateWeeklyProfit(WALLETS.delta, { client, window: WINDOW, maxTrades: 4 });
+
+    assert.equal(result.history.capped, true);
+    assert.equal(result.history.complete, false);
+    assert.equal(result.tradeCount, 4);
+});
+
+test('calculateWeeklyProfit stops paging once its signal aborts', async () => {
+    const controller = new AbortController();
+    mock.route('/trades', () => {
+        controller.abort();
+        return undefined;
+    });
+
+    await assert.rejects(
+        calculateWeeklyProfit(WALLETS.alpha, { client, window: WINDOW, signal: controller.signal }),
+        { name: 'AbortError' }
+    );
+    assert.equal(mock.requests.filter(request => request.path === '/trades').length, 1);
+});
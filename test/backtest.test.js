@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest } from '../lib/backtest.js';
+
+const LEADER = '0x' + '1'.repeat(40);
+const WINDOW = { from: 1000, to: 10000, label: 'test' };
+
+function trade(side, conditionId, size, price, timestamp) {
+    return { side, conditionId, outcomeIndex: 0, outcome: 'Yes', title: `Market ${conditionId}`, size, price, timestamp };
+}
+
+// Stands in for the Polymarket client: leader trades by wallet, market prints
+// by condition id (both newest first, as the Data API returns them), current
+// outcome prices and Gamma markets.
+function fakeClient({ leader = [], tape = {}, prices = {}, markets = [] }) {
+    const byTime = trades => [...trades].sort((a, b) => b.timestamp - a.timestamp);
+    return {
+        async getTradesSince(params, since, { maxItems }) {
+            const trades = params.user ? leader : tape[params.market] || [];
+            return byTime(trades).slice(0, maxItems);
+        },
+        async getOutcomePrices() {
+            return new Map(Object.entries(prices));
+        },
+        async getMarketsByConditionIds(ids) {
+            return markets.filter(market => ids.includes(market.conditionId));
+        }
+    };
+}
+
+function options(overrides = {}) {
+    return { wallets: [LEADER], bankroll: 1000, sizing: 'fixed', amount: 100, delaySeconds: 0, slippageBps: 0, feeBps: 0, ...overrides };
+}
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+test('fixed sizing mirrors partial sells, marks open positions and tracks drawdown', async () => {
+    const client = fakeClient({
+        leader: [trade('BUY', '0xa', 100, 0.5, 2000), trade('SELL', '0xa', 50, 0.7, 3000), trade('BUY', '0xa', 10, 0.5, 20000)],
+        prices: { '0xa:0': 0.4 }
+    });
+
+    const result = await runBacktest(options(), { client, window: WINDOW });
+
+    // $100 buys 200 shares; the leader sells half, so we sell 100 at 0.70.
+    assert.equal(result.leaderTrades, 2);
+    assert.equal(result.copiedTrades, 2);
+    assertClose(result.cash, 970);
+    assertClose(result.finalEquity, 970 + 100 * 0.4);
+    assertClose(result.totalReturn, 0.01);
+    assert.deepEqual(result.equityCurve.map(point => point.timestamp), [1000, 2000, 3000, 10000]);
+    assertClose(result.equityCurve[2].equity, 1040);
+    assertClose(result.maxDrawdown, 30 / 1040);
+    assertClose(result.maxDrawdownAmount, 30);
+
+    assert.equal(result.markets.length, 1);
+    const [market] = result.markets;
+    assert.equal(market.trades, 2);
+    assertClose(market.invested, 100);
+    assertClose(market.realizedPnl, 20);
+    assertClose(market.unrealizedPnl, -10);
+    assertClose(market.totalPnl, 10);
+});
+
+test('slippage moves both fills against us and fees are charged on notional', async () => {
+    const client = fakeClient({ leader: [trade('BUY', '0xa', 100, 0.5, 2000), trade('SELL', '0xa', 100, 0.6, 3000)] });
+
+    const result = await runBacktest(options({ slippageBps: 100, feeBps: 50 }), { client, window: WINDOW });
+
+    const shares = 100 / 0.505;
+    const proceeds = shares * 0.6 * 0.99;
+    const fees = 100 * 0.005 + proceeds * 0.005;
+    assertClose(result.feesPaid, fees);
+    assertClose(result.finalEquity, 1000 - 100 + proceeds - fees);
+    assert.equal(result.openPositions, 0);
+    assertClose(result.markets[0].realizedPnl, proceeds - 100);
+    assertClose(result.markets[0].totalPnl, proceeds - 100 - fees);
+});
+
+test('percent sizing compounds with equity and proportional sizing follows the leader', async () => {
+    const percent = await runBacktest(options({ sizing: 'percent', amount: 25 }), {
+        client: fakeClient({
+            leader: [trade('BUY', '0xa', 100, 0.5, 2000), trade('SELL', '0xa', 100, 0.7, 3000), trade('BUY', '0xb', 100, 0.4, 4000)],
+            prices: { '0xb:0': 0.4 }
+        }),
+        window: WINDOW
+    });
+    // 25% of 1000, then 25% of the 1100 left after selling 500 shares at 0.70.
+    assert.deepEqual(percent.markets.map(market => [market.conditionId, market.invested]).sort(), [['0xa', 250], ['0xb', 275]]);
+
+    const proportional = await runBacktest(options({ sizing: 'proportional', amount: 0.1, bankroll: 40 }), {
+        client: fakeClient({
+            leader: [trade('BUY', '0xa', 1000, 0.5, 2000), trade('BUY', '0xb', 10, 0.5, 3000)],
+            prices: { '0xa:0': 0.5 }
+        }),
+        window: WINDOW
+    });
+    // A tenth of $500 is capped by the $40 bankroll; a tenth of $5 is below the minimum order.
+    assert.equal(proportional.copiedTrades, 1);
+    assert.equal(proportional.skippedTrades, 1);
+    assertClose(proportional.markets[0].invested, 40);
+});
+
+test('delayed fills use the first print after the delay, or the leader price when the tape stops short', async () => {
+    const client = fakeClient({
+        leader: [trade('BUY', '0xa', 100, 0.5, 2000), trade('BUY', '0xb', 100, 0.2, 2000)],
+        tape: {
+            '0xa': [trade('BUY', '0xa', 5, 0.52, 2030), trade('BUY', '0xa', 5, 0.55, 2070)],
+            // Capped at two prints, both long after the leader's fill.
+            '0xb': [trade('BUY', '0xb', 5, 0.3, 6000), trade('BUY', '0xb', 5, 0.35, 5000), trade('BUY', '0xb', 5, 0.25, 900)]
+        },
+        prices: { '0xa:0': 0.55, '0xb:0': 0.2 }
+    });
+
+    const result = await runBacktest(options({ delaySeconds: 60 }), { client, window: WINDOW, maxMarketTrades: 2 });
+
+    const byMarket = new Map(result.markets.map(market => [market.conditionId, market]));
+    assert.equal(result.leaderPricedFills, 1);
+    assert.deepEqual(result.equityCurve.slice(1, -1).map(point => point.timestamp), [2060, 2060]);
+    // 0xa fills at 0.55 and is marked there; 0xb falls back to the leader's 0.20.
+    assertClose(byMarket.get('0xa').unrealizedPnl, 0);
+    assertClose(byMarket.get('0xb').unrealizedPnl, 0);
+    assertClose(result.finalEquity, 1000);
+});
+
+test('fills that only name their outcome are resolved against the market, or left out', async () => {
+    const named = (side, size, price, timestamp, outcome) => ({ ...trade(side, '0xa', size, price, timestamp), outcomeIndex: undefined, outcome });
+    const client = fakeClient({
+        leader: [named('BUY', 100, 0.3, 2000, 'No'), named('BUY', 100, 0.5, 2500, 'Maybe')],
+        tape: {
+            // A YES print lands first; the NO fill must wait for the NO one.
+            '0xa': [trade('BUY', '0xa', 5, 0.7, 900), trade('BUY', '0xa', 5, 0.7, 2030), named('SELL', 5, 0.32, 2040, 'No')]
+        },
+        prices: { '0xa:0': 0.68, '0xa:1': 0.32 },
+        markets: [{ conditionId: '0xa', outcomes: '["Yes", "No"]', outcomePrices: '["0.68", "0.32"]' }]
+    });
+
+    const result = await runBacktest(options({ delaySeconds: 30 }), { client, window: WINDOW });
+
+    assert.equal(result.leaderTrades, 1);
+    assert.equal(result.unresolvedTrades, 1);
+    assert.equal(result.leaderPricedFills, 0);
+    const [market] = result.markets;
+    assert.deepEqual([market.outcomeIndex, market.outcome], [1, 'No']);
+    // Filled at the NO print and marked at the NO price.
+    assertClose(market.unrealizedPnl, 0);
+    assertClose(result.finalEquity, 1000);
+});
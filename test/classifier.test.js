@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyTrader, WALLET_LABELS } from '../lib/classifier.js';
+import { config } from '../lib/config.js';
+import { WINDOW } from './helpers/fixtures.js';
+
+const HOUR = 3600;
+
+function trade(action, { market = 'Fed', outcome = 'Yes', price = 0.5, size = 100, at = 0 } = {}) {
+    return { market, outcome, action, price, size, value: price * size, timestamp: WINDOW.from + at };
+}
+
+// `count` trades spread evenly over the window.
+function series(count, make) {
+    const step = (WINDOW.to - WINDOW.from) / count;
+    return Array.from({ length: count }, (_, i) => make(i, Math.floor(i * step)));
+}
+
+test('a handful of directional trades is never flagged', () => {
+    const result = classifyTrader([trade('BUY'), trade('BUY', { at: HOUR }), trade('SELL', { price: 0.7, at: 48 * HOUR })], WINDOW);
+
+    assert.equal(result.flagged, false);
+    assert.deepEqual(result.labels, []);
+    assert.equal(result.signals.medianTradeValue, 50);
+});
+
+test('balanced buying and selling across the week reads as market making', () => {
+    const trades = series(140, (i, at) => trade(i % 2 ? 'SELL' : 'BUY', { market: `M${Math.floor(i / 2) % 4}`, price: i % 2 ? 0.52 : 0.48, at }));
+    const result = classifyTrader(trades, WINDOW);
+
+    assert.ok(result.signals.twoSidedRatio > 0.95);
+    assert.equal(result.signals.tradesPerDay, 20);
+    assert.deepEqual(result.labels, ['market-maker']);
+});
+
+test('very frequent and very small trades are flagged separately', () => {
+    const trades = series(800, (i, at) => trade('BUY', { market: `M${i % 50}`, size: 4, at }));
+    const result = classifyTrader(trades, WINDOW);
+
+    assert.deepEqual(result.labels, ['high-frequency', 'micro-trades']);
+});
+
+test('buying and selling back the same outcome at the same price reads as wash-like', () => {
+    const trades = series(30, (i, at) => trade('BUY', { at })).flatMap(buy => [buy, { ...buy, action: 'SELL', timestamp: buy.timestamp + 60 }]);
+    const result = classifyTrader(trades, WINDOW);
+
+    assert.equal(result.signals.roundTripShare, 1);
+    assert.ok(result.labels.includes('wash-like'));
+
+    // Exiting at a different price, or much later, is an ordinary trade.
+    const exits = trades.map(entry => entry.action === 'SELL' ? { ...entry, price: 0.6 } : entry);
+    assert.equal(classifyTrader(exits, WINDOW).signals.roundTripShare, 0);
+    const later = trades.map(entry => entry.action === 'SELL' ? { ...entry, timestamp: entry.timestamp + 2 * HOUR } : entry);
+    assert.equal(classifyTrader(later, WINDOW, { ...config.classifier, roundTripSeconds: HOUR }).signals.roundTripShare, 0);
+});
+
+test('every label has a description', () => {
+    const trades = series(800, (i, at) => trade(i % 2 ? 'SELL' : 'BUY', { size: 4, at: at + (i % 2) }));
+    const { labels } = classifyTrader(trades, WINDOW);
+
+    assert.deepEqual(labels, Object.keys(WALLET_LABELS));
+});
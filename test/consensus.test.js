@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildConsensus, parseConsensusOption, ConsensusError } from '../lib/consensus.js';
+
+const FED = 'Will the Fed cut rates in December?';
+const ARSENAL = 'Will Arsenal win the Premier League?';
+
+function trade(market, outcome, action, size, price, timestamp) {
+    return { market, outcome, action, price, size, value: size * price, timestamp };
+}
+
+function trader(rank, name, trades, profile = null) {
+    const topTrades = [...trades].sort((a, b) => b.value - a.value).slice(0, 3);
+    return { rank, name, walletAddress: `0x${String(rank).repeat(40)}`, trades, topTrades, strategyProfile: profile };
+}
+
+function profile(archetype, categories, riskRating = 'medium') {
+    return { archetype, categories, riskRating, holdingPeriod: 'days' };
+}
+
+test('parseConsensusOption reads booleans and on/off', () => {
+    assert.equal(parseConsensusOption(true), true);
+    assert.equal(parseConsensusOption('off'), false);
+    assert.equal(parseConsensusOption('0'), false);
+    assert.equal(parseConsensusOption('TRUE'), true);
+    assert.equal(parseConsensusOption(undefined), true);
+    assert.throws(() => parseConsensusOption('maybe'), ConsensusError);
+});
+
+test('buildConsensus reports outcomes several traders net buy or sell, with the trades behind them', () => {
+    const traders = [
+        trader(1, 'alpha', [trade(FED, 'Yes', 'BUY', 100, 0.5, 1), trade(FED, 'Yes', 'SELL', 40, 0.7, 3)]),
+        trader(2, 'bravo', [trade(FED, 'Yes', 'BUY', 50, 0.6, 2), trade(ARSENAL, 'Yes', 'SELL', 10, 0.3, 2)]),
+        trader(3, 'charlie', [trade(FED, 'Yes', 'BUY', 10, 0.5, 4), trade(FED, 'Yes', 'SELL', 10, 0.6, 5), trade(ARSENAL, 'Yes', 'SELL', 20, 0.3, 1)])
+    ];
+
+    const { shared } = buildConsensus(traders, { minTraders: 2, maxTrades: 2 });
+
+    // charlie's round trip in the Fed market nets to zero, so it doesn't count.
+    assert.deepEqual(shared.map(entry => [entry.market, entry.outcome, entry.direction, entry.traders.map(entry => entry.name)]), [
+        [FED, 'Yes', 'buying', ['alpha', 'bravo']],
+        [ARSENAL, 'Yes', 'selling', ['bravo', 'charlie']]
+    ]);
+    assert.equal(shared[0].traders[0].netShares, 60);
+    assert.equal(shared[0].supportingTrades.length, 2);
+    assert.deepEqual(shared[0].supportingTrades.map(entry => [entry.name, entry.action, entry.value]), [['alpha', 'BUY', 50], ['bravo', 'BUY', 30]]);
+
+    assert.deepEqual(buildConsensus(traders, { minTraders: 3 }).shared, []);
+});
+
+test('buildConsensus finds markets where traders take opposite sides', () => {
+    const traders = [
+        trader(1, 'alpha', [trade(FED, 'Yes', 'BUY', 100, 0.5, 1)]),
+        trader(2, 'bravo', [trade(FED, 'Yes', 'SELL', 30, 0.6, 2)]),
+        trader(3, 'charlie', [trade(ARSENAL, 'Yes', 'BUY', 10, 0.4, 1)]),
+        trader(4, 'delta', [trade(ARSENAL, 'No', 'SELL', 10, 0.6, 2), trade(ARSENAL, 'Yes', 'BUY', 5, 0.4, 3)])
+    ];
+
+    const { disagreements } = buildConsensus(traders);
+
+    // Selling No alongside buying Yes is the same view, so Arsenal isn't contested.
+    assert.equal(disagreements.length, 1);
+    assert.equal(disagreements[0].market, FED);
+    assert.deepEqual(disagreements[0].stances.map(stance => [stance.name, stance.direction, stance.outcome]),
+        [['alpha', 'buying', 'Yes'], ['bravo', 'selling', 'Yes']]);
+    assert.deepEqual(disagreements[0].supportingTrades.map(entry => entry.name), ['alpha', 'bravo']);
+});
+
+test('buildConsensus groups shared strategy traits and skips traders without a profile', () => {
+    const traders = [
+        trader(1, 'alpha', [trade(FED, 'Yes', 'BUY', 100, 0.5, 1)], profile('Momentum trader', ['Politics', 'Economics'])),
+        trader(2, 'bravo', [trade(ARSENAL, 'Yes', 'BUY', 10, 0.4, 1)], profile('Momentum trader', ['politics'], 'high')),
+        trader(3, 'charlie', [trade(ARSENAL, 'No', 'BUY', 10, 0.6, 1)])
+    ];
+
+    const { patterns, traders: count } = buildConsensus(traders);
+
+    assert.equal(count, 3);
+    assert.deepEqual(patterns.map(pattern => [pattern.type, pattern.value]), [
+        ['archetype', 'Momentum trader'],
+        ['holdingPeriod', 'days'],
+        ['category', 'politics']
+    ]);
+    assert.deepEqual(patterns[0].traders.map(entry => entry.name), ['alpha', 'bravo']);
+    assert.deepEqual(patterns[0].supportingTrades.map(entry => entry.name), ['alpha', 'bravo']);
+});
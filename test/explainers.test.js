@@ -0,0 +1,212 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { askAboutTrades, createExplainer, createExplanationCache, createUsageTracker, explainStrategy, ExplainerError } from '../lib/explainers/index.js';
+import { labelTrades } from '../lib/qa.js';
+import { createGeminiExplainer } from '../lib/explainers/gemini.js';
+import { createGeminiStub } from './helpers/gemini.js';
+import { VALID_STRATEGY } from './helpers/fixtures.js';
+
+const trades = [
+    { market: 'Will the Fed cut rates in December?', outcome: 'Yes', action: 'BUY', price: 0.5, size: 100, value: 50, timestamp: 1762041600 },
+    { market: 'Will the Fed cut rates in December?', outcome: 'Yes', action: 'SELL', price: 0.7, size: 150, value: 105, timestamp: 1762300800 },
+    { market: 'Will Arsenal win the Premier League?', outcome: 'No', action: 'BUY', price: 0.65, size: 200, value: 130, timestamp: 1762387200 }
+];
+
+const heuristic = createExplainer({ provider: 'heuristic' });
+
+let cacheDir;
+
+before(async () => {
+    cacheDir = await mkdtemp(path.join(os.tmpdir(), 'explanations-'));
+});
+
+after(() => rm(cacheDir, { recursive: true, force: true }));
+
+function gemini(stub, options = {}) {
+    return createGeminiExplainer({ ai: stub, model: 'gemini-2.5-flash', maxAttempts: 2, ...options });
+}
+
+test('a valid Gemini reply becomes a summary and a structured profile', async () => {
+    const stub = createGeminiStub([VALID_STRATEGY]);
+    const usage = createUsageTracker({ tokenBudget: Infinity });
+
+    const result = await explainStrategy(trades, 51, { explainer: gemini(stub), fallback: heuristic, usage });
+
+    const { summary, ...profile } = VALID_STRATEGY;
+    assert.equal(result.summary, summary);
+    assert.deepEqual(result.profile, profile);
+    assert.equal(result.provider, 'gemini');
+    assert.equal(stub.calls.length, 1);
+    assert.equal(stub.calls[0].model, 'gemini-2.5-flash');
+    assert.match(stub.calls[0].contents[0].parts[0].text, /Will the Fed cut rates/);
+
+    const summaryUsage = usage.summary();
+    assert.equal(summaryUsage.calls, 1);
+    assert.equal(summaryUsage.inputTokens, 1200);
+    assert.equal(summaryUsage.outputTokens, 300);
+    assert.ok(summaryUsage.estimatedCostUsd > 0);
+});
+
+test('strategy prompts carry market categories and time to resolution', async () => {
+    const stub = createGeminiStub([VALID_STRATEGY]);
+    const enriched = trades.map((trade, i) => ({ ...trade, category: i < 2 ? 'Economics' : 'Sports', hoursToResolution: 100 / 3, marketStatus: 'open', currentPrice: 0.6 }));
+    const categoryBreakdown = [{ category: 'Economics', tradeCount: 2, volumeShare: 0.54, totalPnl: 26 }];
+
+    await explainStrategy(enriched, 51, { explainer: gemini(stub), fallback: null, categoryBreakdown });
+
+    const prompt = stub.calls[0].contents[0].parts[0].text;
+    assert.match(prompt, /"category": "Economics"/);
+    assert.match(prompt, /"hoursToResolution": 33.3/);
+    assert.doesNotMatch(prompt, /currentPrice/);
+    assert.match(prompt, /- Economics: 2 trades, 54% of volume, PnL \$26.00/);
+
+    const offline = await explainStrategy(enriched, 51, { explainer: heuristic, categoryBreakdown });
+    assert.deepEqual(offline.profile.categories, ['economics']);
+});
+
+test('malformed replies are retried and plain text is kept as a summary', async () => {
+    const retried = createGeminiStub([{ archetype: 'astrology' }, VALID_STRATEGY]);
+    const result = await explainStrategy(trades, 51, { explainer: gemini(retried), fallback: heuristic });
+    assert.equal(retried.calls.length, 2);
+    assert.equal(result.profile.archetype, 'momentum');
+
+    const prose = createGeminiStub(['They buy dips.', 'They buy dips and sell rallies.']);
+    const fallbackText = await explainStrategy(trades, 51, { explainer: gemini(prose), fallback: heuristic });
+    assert.equal(fallbackText.summary, 'They buy dips and sell rallies.');
+    assert.equal(fallbackText.profile, null);
+    assert.equal(fallbackText.provider, 'gemini');
+});
+
+test('Gemini failures fall back to the heuristic explainer', async () => {
+    const stub = createGeminiStub([new Error('quota exceeded')]);
+    const usage = createUsageTracker({ tokenBudget: Infinity });
+    const logs = [];
+
+    const result = await explainStrategy(trades, 51, { explainer: gemini(stub), fallback: heuristic, usage, log: message => logs.push(message) });
+
+    assert.equal(result.provider, 'heuristic');
+    assert.ok(result.profile);
+    assert.match(logs[0], /quota exceeded/);
+    assert.equal(usage.summary().inputTokens, 0);
+});
+
+test('Gemini failures without a fallback return an error summary', async () => {
+    const stub = createGeminiStub([{}, {}]);
+
+    const result = await explainStrategy(trades, 51, { explainer: gemini(stub), fallback: null });
+    assert.equal(result.summary, 'Error analyzing trade data with AI.');
+    assert.equal(result.profile, null);
+});
+
+test('aborting the signal cancels the Gemini call without falling back', async () => {
+    const controller = new AbortController();
+    const stub = {
+        calls: [],
+        models: {
+            async generateContent(request) {
+                stub.calls.push(request);
+                controller.abort();
+                throw new Error('aborted');
+            }
+        }
+    };
+
+    await assert.rejects(
+        explainStrategy(trades, 51, { explainer: gemini(stub), fallback: heuristic, signal: controller.signal }),
+        { name: 'AbortError' }
+    );
+    assert.equal(stub.calls[0].config.abortSignal, controller.signal);
+});
+
+test('cached explanations skip the model call', async () => {
+    const cache = createExplanationCache(cacheDir);
+    const stub = createGeminiStub([VALID_STRATEGY]);
+    const explainer = gemini(stub);
+
+    await explainStrategy(trades, 51, { explainer, fallback: heuristic, cache });
+    const usage = createUsageTracker({ tokenBudget: Infinity });
+    const result = await explainStrategy(trades, 51, { explainer, fallback: heuristic, cache, usage });
+
+    assert.equal(stub.calls.length, 1);
+    assert.equal(result.cached, true);
+    assert.equal(result.profile.archetype, 'momentum');
+    assert.deepEqual([usage.summary().calls, usage.summary().cacheHits], [0, 1]);
+});
+
+test('cached explanations are not reused for another PnL or window', async () => {
+    const cache = createExplanationCache(cacheDir);
+    const stub = createGeminiStub([], { fallback: VALID_STRATEGY });
+    const explainer = gemini(stub);
+    const window = { label: 'last 7 days', from: 1762000000, to: 1762604800 };
+
+    await explainStrategy(trades, 40, { explainer, fallback: heuristic, cache, window });
+    assert.equal((await explainStrategy(trades, 40.001, { explainer, fallback: heuristic, cache, window })).cached, true);
+    assert.equal(stub.calls.length, 1);
+
+    const otherProfit = await explainStrategy(trades, 75, { explainer, fallback: heuristic, cache, window });
+    const otherWindow = await explainStrategy(trades, 40, { explainer, fallback: heuristic, cache, window: { ...window, from: window.from + 86400, to: window.to + 86400 } });
+    assert.equal(otherProfit.cached, undefined);
+    assert.equal(otherWindow.cached, undefined);
+    assert.equal(stub.calls.length, 3);
+});
+
+test('an exhausted token budget hands over to the fallback', async () => {
+    const stub = createGeminiStub([], { fallback: VALID_STRATEGY });
+    const explainer = gemini(stub);
+    const usage = createUsageTracker({ tokenBudget: 1000 });
+
+    const first = await explainStrategy(trades, 51, { explainer, fallback: heuristic, usage });
+    const second = await explainStrategy(trades.slice(1), 55, { explainer, fallback: heuristic, usage });
+    const third = await explainStrategy(trades.slice(2), 10, { explainer, fallback: null, usage });
+
+    assert.equal(first.provider, 'gemini');
+    assert.equal(second.provider, 'heuristic');
+    assert.equal(third.summary, 'AI analysis skipped: token budget exhausted.');
+    assert.equal(stub.calls.length, 1);
+    assert.equal(usage.summary().skippedForBudget, 2);
+    assert.equal(usage.summary().budgetExhausted, true);
+});
+
+test('createExplainer rejects unknown providers', () => {
+    assert.throws(() => createExplainer({ provider: 'oracle' }), ExplainerError);
+});
+
+test('askAboutTrades grounds Gemini answers in the cited trades', async () => {
+    const labelled = labelTrades(trades);
+    const stub = createGeminiStub([{ answer: 'They took profit once the Fed market rallied.', citations: ['t2', 'T9', 'T2'] }]);
+    const usage = createUsageTracker({ tokenBudget: Infinity });
+    const context = { question: 'Why did they sell the Fed market?', history: [{ question: 'Earlier?', answer: 'Yes.' }], trades: labelled, profit: 51, windowLabel: 'last 7 days' };
+
+    const result = await askAboutTrades(context, { explainer: gemini(stub), fallback: heuristic, usage });
+
+    // Unknown ids are dropped and repeats collapsed.
+    assert.deepEqual(result.citations, ['T2']);
+    assert.equal(result.provider, 'gemini');
+    assert.equal(usage.summary().calls, 1);
+    const prompt = stub.calls[0].contents[0].parts[0].text;
+    assert.match(prompt, /T2 \| 2025-11-05 00:00 UTC \| SELL \| Will the Fed cut rates in December\?/);
+    assert.match(prompt, /Q: Earlier\?\nA: Yes\./);
+});
+
+test('askAboutTrades falls back to the rule-based answer', async () => {
+    const labelled = labelTrades(trades);
+    const failing = createGeminiStub([new Error('quota exceeded')]);
+
+    const result = await askAboutTrades({ question: 'What did they pay for Arsenal?', trades: labelled, profit: 51, windowLabel: 'last 7 days' },
+        { explainer: gemini(failing), fallback: heuristic });
+
+    assert.equal(result.provider, 'heuristic');
+    assert.deepEqual(result.citations, ['T1']);
+    assert.match(result.answer, /average price of 0\.650/);
+
+    const sells = await askAboutTrades({ question: 'When did they sell?', trades: labelled, profit: 51, windowLabel: 'last 7 days' }, { explainer: heuristic });
+    assert.deepEqual(sells.citations, ['T2']);
+
+    await assert.rejects(
+        askAboutTrades({ question: 'Why?', trades: labelled, profit: 51, windowLabel: 'last 7 days' }, { explainer: gemini(createGeminiStub([new Error('down')])), fallback: null }),
+        ExplainerError
+    );
+});
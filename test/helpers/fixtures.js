@@ -0,0 +1,41 @@
+import { readFileSync } from 'node:fs';
+
+function load(name) {
+    return JSON.parse(readFileSync(new URL(`../fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// Recorded Gamma `/markets`, Data API `/holders` (keyed by condition id) and
+// `/trades` responses, trimmed to three markets and four wallets.
+export function loadFixtures() {
+    return { markets: load('markets'), holders: load('holders'), trades: load('trades') };
+}
+
+export const MARKETS = {
+    fed: '0x5f65177b394277fd294cd75650044e32ba009a95022d88a0c1d565897d72f8f1',
+    arsenal: '0x9c1a953fe92c8357f1b646ba25d983aa83e90c525992db14fb726fa895cb5763',
+    snow: '0x2c7e5d8b4f1a9e3c6b0d7f2a8e4c1b9d3f6a0e5c8b2d7f1a4e9c3b6d0f8a2e57'
+};
+
+// alpha: found by holders and trades, +51 (realized 40, unrealized 11) over 5 trades.
+// bravo: holders and trades, -31 over 3 trades plus one fill with no timestamp.
+// charlie: largest holder, but every trade predates the window.
+// delta: trade flow only, +2 over 6 trades.
+export const WALLETS = {
+    alpha: '0x1111111111111111111111111111111111111111',
+    bravo: '0x2222222222222222222222222222222222222222',
+    charlie: '0x3333333333333333333333333333333333333333',
+    delta: '0x4444444444444444444444444444444444444444'
+};
+
+// 2025-11-01 to 2025-11-08 UTC.
+export const WINDOW = { spec: null, from: 1761955200, to: 1762560000, label: '2025-11-01 to 2025-11-08' };
+
+export const VALID_STRATEGY = {
+    archetype: 'momentum',
+    categories: ['economics', 'sports'],
+    entryPriceBand: { min: 0.4, max: 0.65 },
+    holdingPeriod: 'days',
+    riskRating: 'medium',
+    confidence: 0.7,
+    summary: 'Buys into moving prices and takes profit within days.'
+};
@@ -0,0 +1,28 @@
+/**
+ * Stands in for the `GoogleGenAI` client passed to `createGeminiExplainer`.
+ * Each call takes the next queued reply: an object (sent as JSON), a string
+ * (sent verbatim) or an Error (thrown). Once the queue is empty, `fallback` is
+ * used. Requests are kept in `calls`.
+ */
+export function createGeminiStub(replies = [], { fallback = null, promptTokens = 1200, outputTokens = 300 } = {}) {
+    const queue = [...replies];
+    const calls = [];
+
+    async function generateContent(request) {
+        calls.push(request);
+        const reply = queue.length > 0 ? queue.shift() : fallback;
+        if (reply instanceof Error) throw reply;
+        return {
+            text: typeof reply === 'string' ? reply : JSON.stringify(reply),
+            usageMetadata: { promptTokenCount: promptTokens, candidatesTokenCount: outputTokens }
+        };
+    }
+
+    return {
+        models: { generateContent },
+        calls,
+        reply(...more) {
+            queue.push(...more);
+        }
+    };
+}
@@ -0,0 +1,76 @@
+import http from 'node:http';
+import { loadFixtures } from './fixtures.js';
+
+function page(items, params) {
+    const offset = parseInt(params.get('offset'), 10) || 0;
+    const limit = parseInt(params.get('limit'), 10) || items.length;
+    return items.slice(offset, offset + limit);
+}
+
+function listMarkets(markets, params) {
+    const ids = params.getAll('condition_ids');
+    const minVolume = parseFloat(params.get('volume_num_min')) || 0;
+    const minLiquidity = parseFloat(params.get('liquidity_num_min')) || 0;
+    const selected = markets
+        .filter(market => ids.length === 0 || ids.includes(market.conditionId))
+        .filter(market => (market.volumeNum || 0) >= minVolume && (market.liquidityNum || 0) >= minLiquidity)
+        .sort((a, b) => (b.volumeNum || 0) - (a.volumeNum || 0));
+    return page(selected, params);
+}
+
+// Newest first like the Data API; fills without a timestamp sort last.
+function listTrades(trades, params) {
+    const user = params.get('user');
+    const market = params.get('market');
+    const selected = trades
+        .filter(trade => !user || trade.proxyWallet.toLowerCase() === user.toLowerCase())
+        .filter(trade => !market || trade.conditionId === market)
+        .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    return page(selected, params);
+}
+
+/**
+ * Stand-in for the Gamma and Data APIs on a random local port, serving the
+ * recorded fixtures. `route(path, handler)` overrides a path: the handler gets
+ * the query params and returns (or resolves to) `{ status, body }`, or
+ * undefined to fall through to the fixtures. Every request is logged in
+ * `requests`.
+ */
+export async function startMockPolymarket(fixtures = loadFixtures()) {
+    const overrides = new Map();
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ path: url.pathname, params: url.searchParams });
+
+        let reply = overrides.has(url.pathname) ? await overrides.get(url.pathname)(url.searchParams) : undefined;
+        if (!reply) {
+            if (url.pathname === '/markets') reply = { body: listMarkets(fixtures.markets, url.searchParams) };
+            else if (url.pathname === '/holders') reply = { body: fixtures.holders[url.searchParams.get('market')] || [] };
+            else if (url.pathname === '/trades') reply = { body: listTrades(fixtures.trades, url.searchParams) };
+            else reply = { status: 404, body: { error: 'not found' } };
+        }
+
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+        res.end(JSON.stringify(reply.body ?? null));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        fixtures,
+        requests,
+        route(path, handler) {
+            overrides.set(path, handler);
+        },
+        reset() {
+            overrides.clear();
+            requests.length = 0;
+        },
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobManager, JobConflictError } from '../lib/jobs.js';
+
+test('a cancelled job holds the slot as cancelling until its task settles', async () => {
+    const jobs = createJobManager();
+    let release;
+    let aborted = false;
+    let started;
+    const running = new Promise(resolve => { started = resolve; });
+    const job = jobs.startJob(({ signal }) => new Promise(resolve => {
+        signal.addEventListener('abort', () => { aborted = true; });
+        release = resolve;
+        started();
+    }));
+    const done = new Promise(resolve => job.events.once('done', resolve));
+    await running;
+
+    jobs.cancelJob(job.id);
+    assert.equal(aborted, true);
+    assert.equal(job.status, 'cancelling');
+    assert.equal(job.finishedAt, null);
+    assert.equal(jobs.getActiveJob(), job);
+    assert.throws(() => jobs.startJob(async () => ({})), JobConflictError);
+
+    // Cancelling again changes nothing.
+    jobs.cancelJob(job.id);
+    assert.equal(job.status, 'cancelling');
+
+    release({ success: true });
+    assert.equal((await done).status, 'cancelled');
+    assert.equal(jobs.getActiveJob(), null);
+    assert.equal(jobs.startJob(async () => ({ success: true })).status, 'running');
+});
+
+test('jobs complete or fail with their task and cancelling a finished job is a no-op', async () => {
+    const jobs = createJobManager();
+
+    const completed = jobs.startJob(async () => ({ success: true }));
+    await completed.promise;
+    assert.equal(completed.status, 'completed');
+    jobs.cancelJob(completed.id);
+    assert.equal(completed.status, 'completed');
+
+    const failed = jobs.startJob(async () => { throw new Error('upstream down'); });
+    await failed.promise;
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.error, 'upstream down');
+
+    assert.equal(jobs.cancelJob('missing'), null);
+});
@@ -0,0 +1,137 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPolymarketClient } from '../lib/polymarket.js';
+import { analyzeMarketFlow, parseConditionId, parseFlowWallets, summarizeMarketFlows, MarketFlowError } from '../lib/marketFlow.js';
+import { startMockPolymarket } from './helpers/mockPolymarket.js';
+import { MARKETS, WALLETS, WINDOW } from './helpers/fixtures.js';
+
+let mock;
+let client;
+
+const wallets = parseFlowWallets({ wallets: [WALLETS.alpha, WALLETS.bravo, WALLETS.charlie, WALLETS.delta] });
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be ${expected}`);
+}
+
+before(async () => {
+    mock = await startMockPolymarket();
+    client = createPolymarketClient({ gammaBaseUrl: mock.url, dataBaseUrl: mock.url, maxRetries: 0, cacheTtlSeconds: 0 });
+});
+
+after(() => mock.close());
+
+beforeEach(() => mock.reset());
+
+test('parseConditionId accepts 0x-prefixed 32-byte hex ids', () => {
+    assert.equal(parseConditionId(MARKETS.fed.toUpperCase().replace('0X', '0x')), MARKETS.fed);
+    assert.throws(() => parseConditionId('0x1234'), MarketFlowError);
+    assert.throws(() => parseConditionId(''), MarketFlowError);
+});
+
+test('parseFlowWallets puts ranked wallets before watched ones, each once', () => {
+    const selected = parseFlowWallets({
+        ranked: [{ walletAddress: WALLETS.alpha, name: 'alpha', rank: 1 }],
+        watched: [{ walletAddress: WALLETS.alpha.toUpperCase().replace('0X', '0x'), label: 'mine' }, { walletAddress: WALLETS.delta, label: 'delta' }]
+    });
+
+    assert.deepEqual(selected, [
+        { walletAddress: WALLETS.alpha, name: 'alpha', rank: 1, watched: true },
+        { walletAddress: WALLETS.delta, name: 'delta', rank: null, watched: true }
+    ]);
+    assert.throws(() => parseFlowWallets({ wallets: 'nope' }), MarketFlowError);
+});
+
+test('analyzeMarketFlow totals flow per outcome and values positions at current prices', async () => {
+    const flow = await analyzeMarketFlow(MARKETS.fed, { wallets, window: WINDOW, client });
+
+    assert.equal(flow.question, 'Will the Fed cut rates in December?');
+    assert.equal(flow.walletsChecked, 4);
+    // Charlie never traded the market and drops out of the wallet list.
+    assert.deepEqual(flow.wallets.map(wallet => [wallet.walletAddress, wallet.leanOutcome]),
+        [[WALLETS.alpha, 'Yes'], [WALLETS.delta, 'Yes'], [WALLETS.bravo, null]]);
+
+    const [alpha] = flow.wallets;
+    assert.deepEqual(
+        [alpha.outcomes[0].buyShares, alpha.outcomes[0].sellShares, alpha.outcomes[0].netShares],
+        [200, 150, 50]
+    );
+    close(alpha.outcomes[0].avgEntryPrice, 0.55);
+    close(alpha.exposure, 31);
+
+    const [yes, no] = flow.outcomes;
+    assert.equal(yes.currentPrice, 0.62);
+    assert.equal(yes.buyers, 2);
+    assert.equal(no.netShares, 0);
+    assert.deepEqual(flow.consensus, { outcomeIndex: 0, agreement: 1, wallets: 2, outcome: 'Yes' });
+    close(flow.concentration.topWalletShare, 31 / 37.2);
+    assert.equal(flow.concentration.topWallet, WALLETS.alpha);
+});
+
+test('analyzeMarketFlow keeps wallets whose trades fail and resolves to null for unknown markets', async () => {
+    mock.route('/trades', params => (params.get('user') === WALLETS.delta ? { status: 500, body: {} } : undefined));
+
+    const flow = await analyzeMarketFlow(MARKETS.fed, { wallets, window: WINDOW, client });
+    assert.equal(flow.failedWallets, 1);
+    assert.match(flow.wallets.find(wallet => wallet.walletAddress === WALLETS.delta).error, /status: 500/);
+
+    assert.equal(await analyzeMarketFlow(`0x${'ab'.repeat(32)}`, { wallets, window: WINDOW, client }), null);
+});
+
+test('summarizeMarketFlows ranks markets by how far the wallets agree', async () => {
+    const summary = await summarizeMarketFlows({ wallets, window: WINDOW, client, limit: 1 });
+
+    assert.equal(summary.marketsCompared, 2);
+    assert.deepEqual(summary.agree.map(entry => [entry.conditionId, entry.agreement]), [[MARKETS.fed, 1]]);
+
+    // Alpha sold Arsenal YES and bought NO against bravo and delta.
+    const [arsenal] = summary.disagree;
+    assert.equal(arsenal.conditionId, MARKETS.arsenal);
+    close(arsenal.agreement, 2 / 3);
+    assert.equal(arsenal.consensusOutcome, 'Yes');
+    assert.equal(arsenal.leans.find(lean => lean.walletAddress === WALLETS.alpha).outcomeIndex, 1);
+
+    // A two-in-three majority only counts as agreement under a lower threshold.
+    const lenient = await summarizeMarketFlows({ wallets, window: WINDOW, client, minAgreement: 0.6 });
+    assert.deepEqual(lenient.agree.map(entry => entry.conditionId), [MARKETS.fed, MARKETS.arsenal]);
+    assert.deepEqual(lenient.disagree, []);
+});
+
+test('summarizeMarketFlows lists split markets as contested, not agreed', async () => {
+    const split = `0x${'5'.repeat(64)}`;
+    const leans = { [WALLETS.alpha]: 0, [WALLETS.bravo]: 0, [WALLETS.charlie]: 1, [WALLETS.delta]: 2 };
+    mock.route('/trades', params => ({
+        body: params.get('offset') > 0 ? [] : [{
+            proxyWallet: params.get('user'), side: 'BUY', conditionId: split, title: 'Who wins the three-way race?', slug: 'three-way',
+            outcomeIndex: leans[params.get('user')], outcome: ['A', 'B', 'C'][leans[params.get('user')]],
+            price: 0.4, size: 100, timestamp: WINDOW.from + 3600
+        }]
+    }));
+
+    const summary = await summarizeMarketFlows({ wallets, window: WINDOW, client });
+
+    // Half the wallets back A: a plurality, but not agreement.
+    assert.deepEqual(summary.agree, []);
+    assert.equal(summary.disagree.length, 1);
+    assert.equal(summary.disagree[0].consensusOutcome, 'A');
+    assert.equal(summary.disagree[0].agreement, 0.5);
+});
+
+test('summarizeMarketFlows places trades by outcome name and leaves out unknown outcomes', async () => {
+    const outcomes = { [WALLETS.alpha]: { outcomeIndex: 0, outcome: 'Yes' }, [WALLETS.bravo]: { outcome: 'No' }, [WALLETS.charlie]: { outcome: 'No' }, [WALLETS.delta]: { outcome: 'Maybe' } };
+    mock.route('/trades', params => ({
+        body: params.get('offset') > 0 ? [] : [{
+            proxyWallet: params.get('user'), side: 'BUY', conditionId: MARKETS.fed, title: 'Will the Fed cut rates in December?', slug: 'fed-cut',
+            ...outcomes[params.get('user')], price: 0.4, size: 100, timestamp: WINDOW.from + 3600
+        }]
+    }));
+
+    const summary = await summarizeMarketFlows({ wallets, window: WINDOW, client });
+
+    // Two NO buyers against one YES; delta's unknown outcome doesn't count either way.
+    assert.deepEqual(summary.agree, []);
+    const [fed] = summary.disagree;
+    assert.equal(fed.consensusOutcome, 'No');
+    close(fed.agreement, 2 / 3);
+    assert.equal(fed.wallets, 3);
+});
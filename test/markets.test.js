@@ -0,0 +1,116 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createPolymarketClient } from '../lib/polymarket.js';
+import { createMarketCache, enrichTrade, summarizeCategories, toMarketInfo } from '../lib/markets.js';
+import { startMockPolymarket } from './helpers/mockPolymarket.js';
+import { MARKETS } from './helpers/fixtures.js';
+
+let mock;
+let client;
+let cacheDir;
+
+before(async () => {
+    mock = await startMockPolymarket();
+    client = createPolymarketClient({ gammaBaseUrl: mock.url, dataBaseUrl: mock.url, maxRetries: 0, cacheTtlSeconds: 0 });
+    cacheDir = await mkdtemp(path.join(os.tmpdir(), 'markets-'));
+});
+
+after(async () => {
+    await mock.close();
+    await rm(cacheDir, { recursive: true, force: true });
+});
+
+beforeEach(() => mock.reset());
+
+function marketRequests() {
+    return mock.requests.filter(request => request.path === '/markets').length;
+}
+
+test('toMarketInfo reads category, tags, end date and resolution', () => {
+    const fed = toMarketInfo(mock.fixtures.markets.find(market => market.conditionId === MARKETS.fed));
+    assert.deepEqual(fed, {
+        conditionId: MARKETS.fed,
+        question: 'Will the Fed cut rates in December?',
+        category: 'Economics',
+        tags: [],
+        endDate: Date.parse('2025-12-10T00:00:00Z') / 1000,
+        outcomes: ['Yes', 'No'],
+        outcomePrices: [0.62, 0.38],
+        status: 'open',
+        winningOutcome: null
+    });
+
+    const resolved = toMarketInfo({ conditionId: '0xabc', closed: true, outcomes: '["Yes","No"]', outcomePrices: '["0","1"]', events: [{ tags: [{ label: 'Weather' }, { slug: 'miami' }] }] });
+    assert.equal(resolved.status, 'resolved');
+    assert.equal(resolved.winningOutcome, 'No');
+    assert.deepEqual(resolved.tags, ['Weather', 'miami']);
+    assert.equal(resolved.endDate, null);
+
+    assert.equal(toMarketInfo({ conditionId: '0xdef', closed: true, outcomePrices: '["0.5","0.5"]' }).status, 'closed');
+});
+
+test('enrichTrade and summarizeCategories attach market fields and group PnL by category', () => {
+    const fed = toMarketInfo(mock.fixtures.markets.find(market => market.conditionId === MARKETS.fed));
+    const endDate = fed.endDate;
+
+    const enriched = enrichTrade({ outcomeIndex: 1, timestamp: endDate - 36 * 3600 }, fed);
+    assert.deepEqual(enriched, {
+        category: 'Economics', tags: [], endDate, hoursToResolution: 36,
+        currentPrice: 0.38, marketStatus: 'open', winningOutcome: null
+    });
+    assert.equal(enrichTrade({ outcomeIndex: 0, timestamp: 1 }, undefined).category, null);
+
+    const markets = new Map([[MARKETS.fed, fed]]);
+    const pnl = { positions: [{ conditionId: MARKETS.fed, realizedPnl: 10, unrealizedPnl: 2 }, { conditionId: '0xother', realizedPnl: -4, unrealizedPnl: 0 }] };
+    const trades = [
+        { market: 'Fed', category: 'Economics', value: 30 },
+        { market: 'Fed', category: 'Economics', value: 30 },
+        { market: 'Other', category: null, value: 40 }
+    ];
+
+    assert.deepEqual(summarizeCategories(pnl, trades, markets), [
+        { category: 'Economics', tradeCount: 2, volume: 60, volumeShare: 0.6, realizedPnl: 10, unrealizedPnl: 2, totalPnl: 12, markets: 1 },
+        { category: 'Uncategorized', tradeCount: 1, volume: 40, volumeShare: 0.4, realizedPnl: -4, unrealizedPnl: 0, totalPnl: -4, markets: 1 }
+    ]);
+});
+
+test('createMarketCache reuses fresh entries and keeps resolved markets for good', async () => {
+    let now = 0;
+    const resolved = { ...mock.fixtures.markets[2], closed: true, outcomePrices: '["0", "1"]' };
+    mock.route('/markets', params => ({
+        body: [...mock.fixtures.markets.slice(0, 2), resolved].filter(market => params.getAll('condition_ids').includes(market.conditionId))
+    }));
+    const cache = createMarketCache({ client, dir: null, ttlSeconds: 60, now: () => now });
+
+    const first = await cache.getMarkets([MARKETS.fed, MARKETS.snow, MARKETS.fed, null]);
+    assert.deepEqual([...first.keys()], [MARKETS.fed, MARKETS.snow]);
+    assert.equal(marketRequests(), 1);
+
+    now = 30 * 1000;
+    await cache.getMarkets([MARKETS.fed, MARKETS.snow]);
+    assert.equal(marketRequests(), 1);
+
+    // Past the TTL only the open market is refetched.
+    now = 90 * 1000;
+    await cache.getMarkets([MARKETS.fed, MARKETS.snow]);
+    assert.equal(marketRequests(), 2);
+    assert.deepEqual(mock.requests[1].params.getAll('condition_ids'), [MARKETS.fed]);
+});
+
+test('createMarketCache persists markets and skips ones it cannot fetch', async () => {
+    const cache = createMarketCache({ client, dir: cacheDir, ttlSeconds: 600 });
+    await cache.getMarkets([MARKETS.fed, MARKETS.arsenal]);
+    assert.deepEqual((await readdir(cacheDir)).sort(), [`${MARKETS.arsenal}.json`, `${MARKETS.fed}.json`].sort());
+
+    mock.reset();
+    mock.route('/markets', () => ({ status: 500, body: {} }));
+    const reloaded = createMarketCache({ client, dir: cacheDir, ttlSeconds: 600 });
+    const markets = await reloaded.getMarkets([MARKETS.fed, MARKETS.snow]);
+
+    assert.deepEqual([...markets.keys()], [MARKETS.fed]);
+    assert.equal(markets.get(MARKETS.fed).category, 'Economics');
+    assert.equal(marketRequests(), 1);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computePnl } from '../lib/pnl.js';
+
+const MARKET = '0xabc';
+
+function trade(side, size, price, timestamp, fields = {}) {
+    return { conditionId: MARKET, outcomeIndex: 0, outcome: 'Yes', title: 'Test market', side, size, price, timestamp, ...fields };
+}
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+}
+
+const BUYS = [trade('BUY', 100, 0.4, 10), trade('BUY', 50, 0.6, 20)];
+const PRICES = new Map([[`${MARKET}:0`, 0.5]]);
+
+test('computePnl closes the oldest lots first and marks the rest', () => {
+    const pnl = computePnl([...BUYS, trade('SELL', 120, 0.7, 30)], { prices: PRICES });
+
+    // 100 @ 0.40 and 20 of the 0.60 lot are sold at 0.70.
+    assertClose(pnl.realizedPnl, 84 - 52);
+    assertClose(pnl.unrealizedPnl, (0.5 - 0.6) * 30);
+    assertClose(pnl.capitalDeployed, 70);
+    assert.equal(pnl.unmatchedSellValue, 0);
+    assert.equal(pnl.unpricedPositions, 0);
+
+    assert.equal(pnl.positions.length, 1);
+    assertClose(pnl.positions[0].openSize, 30);
+    assertClose(pnl.positions[0].avgCost, 0.6);
+    assert.equal(pnl.positions[0].closed, false);
+
+    assert.equal(pnl.realizations.length, 1);
+    assertClose(pnl.realizations[0].cost, 52);
+    assertClose(pnl.realizations[0].holdingSeconds, (100 * 20 + 20 * 10) / 120);
+});
+
+test('computePnl with the average method sells at the blended cost', () => {
+    const pnl = computePnl([...BUYS, trade('SELL', 120, 0.7, 30)], { prices: PRICES, method: 'average' });
+
+    // Blended cost is 70 / 150; 120 of 150 shares leave 20 @ 0.40 and 10 @ 0.60.
+    assertClose(pnl.realizedPnl, 84 - 56);
+    assertClose(pnl.unrealizedPnl, (0.5 - 0.4) * 20 + (0.5 - 0.6) * 10);
+    assertClose(pnl.positions[0].avgCost, 14 / 30);
+});
+
+test('computePnl counts sells beyond the tracked position as unmatched', () => {
+    const pnl = computePnl([trade('BUY', 10, 0.5, 10), trade('SELL', 25, 0.8, 20)], { from: 15, prices: PRICES });
+
+    assertClose(pnl.realizedPnl, 10 * 0.8 - 5);
+    assertClose(pnl.unmatchedSellValue, 15 * 0.8);
+    // The buy is before the window, so no capital was deployed in it.
+    assert.equal(pnl.capitalDeployed, 0);
+    assert.equal(pnl.positions[0].closed, true);
+    assert.equal(pnl.unrealizedPnl, 0);
+});
+
+test('computePnl matches outcome names to an index or leaves the position unpriced', () => {
+    const trades = [
+        trade('BUY', 10, 0.2, 10, { outcomeIndex: undefined, outcome: 'No' }),
+        trade('BUY', 10, 0.7, 10, { outcomeIndex: undefined, outcome: 'Yes' })
+    ];
+    const prices = new Map([[`${MARKET}:0`, 0.8], [`${MARKET}:1`, 0.3]]);
+
+    const priced = computePnl(trades, { prices, outcomes: new Map([[MARKET, ['Yes', 'No']]]) });
+    assert.deepEqual(priced.positions.map(position => position.outcomeIndex), [1, 0]);
+    assertClose(priced.unrealizedPnl, (0.3 - 0.2) * 10 + (0.8 - 0.7) * 10);
+    assert.equal(priced.unpricedPositions, 0);
+
+    // Without the market's outcomes the names are not guessed at.
+    const unpriced = computePnl(trades, { prices });
+    assert.deepEqual(unpriced.positions.map(position => [position.outcome, position.outcomeIndex]), [['No', null], ['Yes', null]]);
+    assert.equal(unpriced.unrealizedPnl, 0);
+    assert.equal(unpriced.unpricedPositions, 2);
+});
@@ -0,0 +1,152 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPolymarketClient, createResponseCache, unwrapList, PolymarketApiError } from '../lib/polymarket.js';
+import { startMockPolymarket } from './helpers/mockPolymarket.js';
+import { MARKETS, WALLETS, WINDOW } from './helpers/fixtures.js';
+
+let mock;
+let client;
+
+before(async () => {
+    mock = await startMockPolymarket();
+    client = createPolymarketClient({ gammaBaseUrl: mock.url, dataBaseUrl: mock.url, maxRetries: 2, retryBaseDelayMs: 1, cacheTtlSeconds: 0 });
+});
+
+after(() => mock.close());
+
+beforeEach(() => mock.reset());
+
+test('unwrapList accepts bare arrays and data.trades / data.data wrappers', () => {
+    assert.deepEqual(unwrapList([1, 2]), [1, 2]);
+    assert.deepEqual(unwrapList({ trades: [1] }), [1]);
+    assert.deepEqual(unwrapList({ data: [2] }), [2]);
+    assert.deepEqual(unwrapList({ error: 'nope' }), []);
+    assert.deepEqual(unwrapList(null), []);
+});
+
+test('getTradesSince pages back until a trade predates the window', async () => {
+    const trades = await client.getTradesSince({ user: WALLETS.alpha }, WINDOW.from, { pageSize: 2 });
+
+    assert.equal(trades.length, 6);
+    assert.deepEqual(trades.map(trade => trade.timestamp), [...trades.map(trade => trade.timestamp)].sort((a, b) => b - a));
+    assert.deepEqual(mock.requests.map(request => request.params.get('offset')), ['0', '2', '4']);
+});
+
+for (const key of ['trades', 'data']) {
+    test(`getTrades reads pages wrapped in data.${key}`, async () => {
+        const all = mock.fixtures.trades.filter(trade => trade.proxyWallet === WALLETS.delta);
+        mock.route('/trades', params => {
+            const offset = Number(params.get('offset'));
+            return { body: { [key]: all.slice(offset, offset + Number(params.get('limit'))) } };
+        });
+
+        const trades = await client.getTrades({ user: WALLETS.delta }, { pageSize: 4, maxItems: 100 });
+        assert.equal(trades.length, all.length);
+        assert.equal(mock.requests.length, 2);
+    });
+}
+
+test('getOutcomePrices parses Gamma outcomePrices strings by outcome index', async () => {
+    const prices = await client.getOutcomePrices([MARKETS.fed, MARKETS.arsenal, MARKETS.fed]);
+
+    assert.equal(prices.get(`${MARKETS.fed}:0`), 0.62);
+    assert.equal(prices.get(`${MARKETS.arsenal}:1`), 0.7);
+    assert.deepEqual(mock.requests[0].params.getAll('condition_ids'), [MARKETS.fed, MARKETS.arsenal]);
+});
+
+test('client errors are thrown without retrying', async () => {
+    mock.route('/trades', () => ({ status: 404, body: { error: 'not found' } }));
+
+    await assert.rejects(client.getTrades({ user: WALLETS.alpha }), error => {
+        assert.ok(error instanceof PolymarketApiError);
+        assert.equal(error.status, 404);
+        return true;
+    });
+    assert.equal(mock.requests.length, 1);
+});
+
+test('server errors and rate limits are retried', async () => {
+    let calls = 0;
+    mock.route('/holders', () => {
+        calls++;
+        if (calls === 1) return { status: 503, body: {} };
+        if (calls === 2) return { status: 429, headers: { 'Retry-After': '0' }, body: {} };
+        return undefined;
+    });
+
+    const holders = await client.getHolders(MARKETS.fed);
+    assert.equal(calls, 3);
+    assert.equal(holders.length, 2);
+});
+
+test('a Retry-After beyond maxRetryDelayMs fails instead of waiting', async () => {
+    const capped = createPolymarketClient({ gammaBaseUrl: mock.url, dataBaseUrl: mock.url, maxRetries: 2, maxRetryDelayMs: 1000, cacheTtlSeconds: 0 });
+    mock.route('/holders', () => ({ status: 429, headers: { 'Retry-After': '3600' }, body: {} }));
+
+    await assert.rejects(capped.getHolders(MARKETS.fed), error => {
+        assert.ok(error instanceof PolymarketApiError);
+        assert.equal(error.status, 429);
+        assert.match(error.message, /Retry-After of 3600s exceeds the 1s limit/);
+        return true;
+    });
+    assert.equal(mock.requests.length, 1);
+});
+
+test('gives up after maxRetries', async () => {
+    mock.route('/markets', () => ({ status: 500, body: {} }));
+
+    await assert.rejects(client.getMarkets(), /status: 500/);
+    assert.equal(mock.requests.length, 3);
+});
+
+test('cached responses are reused until they expire', async () => {
+    const cached = createPolymarketClient({ gammaBaseUrl: mock.url, dataBaseUrl: mock.url, maxRetries: 0, cacheTtlSeconds: 60 });
+
+    const first = await cached.getHolders(MARKETS.fed);
+    const [second] = await Promise.all([cached.getHolders(MARKETS.fed), cached.getHolders(MARKETS.fed)]);
+    assert.deepEqual(second, first);
+    assert.notEqual(second, first);
+    assert.equal(mock.requests.length, 1);
+    assert.deepEqual(cached.cacheStats().hits, 2);
+
+    await cached.getHolders(MARKETS.arsenal);
+    assert.equal(mock.requests.length, 2);
+
+    cached.clearCache();
+    await cached.getHolders(MARKETS.fed);
+    assert.equal(mock.requests.length, 3);
+});
+
+test('failed responses are not cached', async () => {
+    const cached = createPolymarketClient({ gammaBaseUrl: mock.url, dataBaseUrl: mock.url, maxRetries: 0, cacheTtlSeconds: 60 });
+    mock.route('/holders', () => ({ status: 500, body: {} }));
+
+    await assert.rejects(cached.getHolders(MARKETS.fed), /status: 500/);
+    mock.reset();
+    assert.equal((await cached.getHolders(MARKETS.fed)).length, 2);
+});
+
+test('createResponseCache shares pending loads, expires entries and evicts the oldest', async () => {
+    let clock = 0;
+    let loads = 0;
+    const cache = createResponseCache({ ttlMs: 1000, maxBytes: 10, now: () => clock });
+    const load = body => () => {
+        loads++;
+        return Promise.resolve(body);
+    };
+
+    const [a, b] = await Promise.all([cache.get('a', load('aaaa')), cache.get('a', load('other'))]);
+    assert.deepEqual([a, b, loads], ['aaaa', 'aaaa', 1]);
+
+    clock = 999;
+    assert.equal(await cache.get('a', load('aaaa')), 'aaaa');
+    clock = 1000;
+    await cache.get('a', load('aaaa'));
+    assert.equal(loads, 2);
+
+    await cache.get('b', load('bbbbbb'));
+    await cache.get('c', load('cc'));
+    assert.deepEqual(cache.getStats(), { hits: 2, misses: 4, entries: 2, bytes: 8 });
+    await cache.get('a', load('aaaa'));
+    assert.equal(loads, 5);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapPool, parseConcurrency, ConcurrencyError } from '../lib/pool.js';
+import { config } from '../lib/config.js';
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('mapPool keeps input order and never exceeds the concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const results = await mapPool([30, 5, 20, 1, 10, 2], async (ms, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await delay(ms);
+        running--;
+        return index * 10;
+    }, { concurrency: 3 });
+
+    assert.deepEqual(results, [0, 10, 20, 30, 40, 50]);
+    assert.equal(peak, 3);
+});
+
+test('mapPool handles empty input', async () => {
+    assert.deepEqual(await mapPool([], async () => 1, { concurrency: 4 }), []);
+});
+
+test('mapPool stops starting work after the first error', async () => {
+    const started = [];
+
+    await assert.rejects(mapPool([1, 2, 3, 4, 5], async item => {
+        started.push(item);
+        await delay(1);
+        if (item === 2) throw new Error('boom');
+        return item;
+    }, { concurrency: 2 }), /boom/);
+
+    assert.deepEqual(started, [1, 2, 3]);
+});
+
+test('mapPool stops when the signal aborts', async () => {
+    const controller = new AbortController();
+    const started = [];
+
+    await assert.rejects(mapPool([1, 2, 3, 4], async item => {
+        started.push(item);
+        if (item === 1) controller.abort();
+        return item;
+    }, { concurrency: 1, signal: controller.signal }), { name: 'AbortError' });
+
+    assert.deepEqual(started, [1]);
+});
+
+test('parseConcurrency validates the value', () => {
+    assert.equal(parseConcurrency(undefined), config.concurrency);
+    assert.equal(parseConcurrency('8'), 8);
+    for (const value of ['0', '-1', '2.5', 'many', '1000']) {
+        assert.throws(() => parseConcurrency(value), ConcurrencyError, value);
+    }
+});
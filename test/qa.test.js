@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildQaPrompt, createQaSessions, labelTrades, parseQuestion, resolveCitations, validateAnswer, QuestionError } from '../lib/qa.js';
+
+const trades = [
+    { market: 'Will the Fed cut rates in December?', outcome: 'Yes', action: 'BUY', price: 0.5, size: 100, value: 50, timestamp: 1762041600 },
+    { market: 'Will Arsenal win the Premier League?', outcome: 'No', action: 'BUY', price: 0.65, size: 200, value: 130, timestamp: 1762387200 }
+];
+
+test('parseQuestion trims and bounds the question', () => {
+    assert.equal(parseQuestion('  Why sell early? '), 'Why sell early?');
+    assert.throws(() => parseQuestion('   '), QuestionError);
+    assert.throws(() => parseQuestion(42), QuestionError);
+    assert.throws(() => parseQuestion('x'.repeat(11), 10), /too long/);
+});
+
+test('trades are labelled newest first and citations resolve back to them', () => {
+    const labelled = labelTrades(trades);
+    assert.deepEqual(labelled.map(trade => [trade.id, trade.outcome]), [['T1', 'No'], ['T2', 'Yes']]);
+
+    const ids = new Set(labelled.map(trade => trade.id));
+    assert.deepEqual(validateAnswer({ answer: ' Both were buys. ', citations: ['T2', 'T7'] }, ids),
+        { valid: true, value: { answer: 'Both were buys.', citations: ['T2'] } });
+    assert.equal(validateAnswer({ answer: '', citations: 'T1' }, ids).errors.length, 2);
+    assert.deepEqual(resolveCitations(['T2', 'T1'], labelled).map(trade => trade.market),
+        [trades[0].market, trades[1].market]);
+});
+
+test('buildQaPrompt includes metrics, market PnL and at most maxTrades trades', () => {
+    const prompt = buildQaPrompt({
+        question: 'What is their average entry?',
+        trades: labelTrades(trades),
+        metrics: { roi: 0.1 },
+        markets: [{ market: 'Fed', tradeCount: 1, volume: 50, realizedPnl: 0, unrealizedPnl: 6 }],
+        profit: 6,
+        windowLabel: 'last 7 days'
+    }, 1);
+
+    assert.match(prompt, /"roi": 0.1/);
+    assert.match(prompt, /- Fed: 1 trades, \$50.00 volume, realized \$0.00, unrealized \$6.00/);
+    assert.match(prompt, /T1 \| 2025-11-06 00:00 UTC \| BUY \| Will Arsenal/);
+    assert.doesNotMatch(prompt, /T2 \|/);
+    assert.match(prompt, /\(1 older trades not shown\)/);
+    assert.match(prompt, /Question: What is their average entry\?/);
+});
+
+test('sessions keep recent turns per wallet and expire when idle', () => {
+    let now = 0;
+    const sessions = createQaSessions({ ttlSeconds: 60, maxSessions: 2, historyTurns: 2, now: () => now });
+    const session = sessions.create({ walletAddress: '0xAbc', window: { label: 'last 7 days' }, trades });
+
+    assert.equal(sessions.get(session.id, '0xabc'), session);
+    assert.equal(sessions.get(session.id, '0xdef'), null);
+    for (const question of ['one', 'two', 'three']) {
+        sessions.record(session, { question, answer: 'ok', citations: [] });
+    }
+    assert.deepEqual(session.history.map(turn => turn.question), ['two', 'three']);
+
+    now = 59 * 1000;
+    assert.ok(sessions.get(session.id, '0xabc'));
+    now = 120 * 1000;
+    assert.equal(sessions.get(session.id, '0xabc'), null);
+
+    // Past maxSessions the least recently used session goes first.
+    const first = sessions.create({ walletAddress: '0x1', window: {}, trades: [] });
+    const second = sessions.create({ walletAddress: '0x2', window: {}, trades: [] });
+    sessions.get(first.id, '0x1');
+    sessions.create({ walletAddress: '0x3', window: {}, trades: [] });
+    assert.ok(sessions.get(first.id, '0x1'));
+    assert.equal(sessions.get(second.id, '0x2'), null);
+});
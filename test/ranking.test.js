@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRankOptions, rankFlaggedTraders, rankTraders, RankOptionsError } from '../lib/ranking.js';
+import { config } from '../lib/config.js';
+
+function trader(name, { profit = 0, tradeCount = 5, capital = 100, roi = null, winRate = null, maxDrawdown = 0, labels = [] } = {}) {
+    return {
+        name: name,
+        walletAddress: `0x${name}`,
+        weeklyProfit: profit,
+        tradeCount: tradeCount,
+        pnl: { realizedPnl: profit, capitalDeployed: capital },
+        metrics: { roi, winRate, maxDrawdown },
+        classification: { flagged: labels.length > 0, labels }
+    };
+}
+
+const traders = [
+    trader('small', { profit: 20, capital: 50, roi: 0.4, winRate: 0.5, maxDrawdown: 5 }),
+    trader('whale', { profit: 500, capital: 10000, roi: 0.05, winRate: null, maxDrawdown: 200 }),
+    trader('loser', { profit: -80, capital: 400, roi: -0.2, winRate: 0, maxDrawdown: 80 }),
+    trader('idle', { profit: 900, tradeCount: 1, capital: 900, roi: 1, winRate: 1, maxDrawdown: 0 })
+];
+
+test('parseRankOptions falls back to the configured defaults', () => {
+    assert.deepEqual(parseRankOptions(), {
+        rankBy: config.ranking.rankBy,
+        minTrades: config.ranking.minTrades,
+        minCapital: config.ranking.minCapital,
+        limit: config.ranking.limit,
+        flagged: config.ranking.flagged
+    });
+    assert.deepEqual(parseRankOptions({ rankBy: 'roi', minTrades: '2', minCapital: '10', limit: '3', flagged: 'exclude' }),
+        { rankBy: 'roi', minTrades: 2, minCapital: 10, limit: 3, flagged: 'exclude' });
+});
+
+test('parseRankOptions rejects unknown keys and bad numbers', () => {
+    assert.throws(() => parseRankOptions({ rankBy: 'luck' }), RankOptionsError);
+    assert.throws(() => parseRankOptions({ minTrades: '-1' }), RankOptionsError);
+    assert.throws(() => parseRankOptions({ minCapital: 'lots' }), RankOptionsError);
+    assert.throws(() => parseRankOptions({ limit: '0' }), RankOptionsError);
+    assert.throws(() => parseRankOptions({ limit: '2.5' }), RankOptionsError);
+    assert.throws(() => parseRankOptions({ flagged: 'hide' }), RankOptionsError);
+});
+
+test('rankTraders ranks by total PnL after the activity filters', () => {
+    const ranked = rankTraders(traders, { rankBy: 'profit', minTrades: 2 });
+
+    assert.deepEqual(ranked.map(entry => entry.name), ['whale', 'small', 'loser']);
+    assert.deepEqual(ranked.map(entry => entry.rank), [1, 2, 3]);
+});
+
+test('rankTraders applies minCapital and limit', () => {
+    const ranked = rankTraders(traders, { rankBy: 'profit', minTrades: 1, minCapital: 100, limit: 2 });
+
+    assert.deepEqual(ranked.map(entry => entry.name), ['idle', 'whale']);
+});
+
+test('rankTraders never counts wallets without trades in the window', () => {
+    const ranked = rankTraders([...traders, trader('none', { profit: 1000, tradeCount: 0 })], { minTrades: 0, limit: 10 });
+
+    assert.ok(!ranked.some(entry => entry.name === 'none'));
+});
+
+test('rankTraders sorts null metrics last', () => {
+    const ranked = rankTraders(traders, { rankBy: 'winRate', minTrades: 2 });
+
+    assert.deepEqual(ranked.map(entry => entry.name), ['small', 'loser', 'whale']);
+});
+
+test('rankTraders ranks ascending keys lowest first', () => {
+    const ranked = rankTraders(traders, { rankBy: 'drawdown', minTrades: 1, limit: 10 });
+
+    assert.deepEqual(ranked.map(entry => entry.name), ['idle', 'small', 'loser', 'whale']);
+});
+
+test('flagged wallets are ranked as usual, dropped or ranked on their own', () => {
+    const withBots = [...traders, trader('bot', { profit: 2000, labels: ['high-frequency'] }), trader('maker', { profit: 300, labels: ['market-maker'] })];
+
+    assert.equal(rankTraders(withBots, { minTrades: 2, limit: 10 })[0].name, 'bot');
+    assert.deepEqual(rankFlaggedTraders(withBots, { minTrades: 2, limit: 10, flagged: 'include' }), []);
+
+    for (const flagged of ['exclude', 'separate']) {
+        const ranked = rankTraders(withBots, { minTrades: 2, limit: 10, flagged });
+        assert.deepEqual(ranked.map(entry => entry.name), ['whale', 'small', 'loser'], flagged);
+    }
+    const separate = rankFlaggedTraders(withBots, { minTrades: 2, limit: 10, flagged: 'separate' });
+    assert.deepEqual(separate.map(entry => [entry.name, entry.rank]), [['bot', 1], ['maker', 2]]);
+});
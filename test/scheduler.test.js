@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, nextRunTime, parseSchedule, ScheduleError } from '../lib/scheduler.js';
+
+const at = iso => Date.parse(iso);
+
+test('parseSchedule reads intervals and disables empty schedules', () => {
+    assert.deepEqual(parseSchedule('30m'), { spec: '30m', type: 'interval', intervalMs: 30 * 60 * 1000 });
+    assert.equal(parseSchedule('1.5h').intervalMs, 90 * 60 * 1000);
+    for (const off of ['', 'off', '0', undefined]) assert.equal(parseSchedule(off), null);
+
+    for (const bad of ['15', '0m', 'soon', '* * * *', '61 * * * *', '0 25 * * *', '5-1 * * * *', '*/0 * * * *']) {
+        assert.throws(() => parseSchedule(bad), ScheduleError, bad);
+    }
+});
+
+test('nextRunTime steps cron expressions forward in UTC', () => {
+    const cases = [
+        ['*/15 * * * *', '2025-11-03T10:07:30Z', '2025-11-03T10:15:00Z'],
+        ['0 */6 * * *', '2025-11-03T18:00:00Z', '2025-11-04T00:00:00Z'],
+        ['30 9 * * 1-5', '2025-11-07T10:00:00Z', '2025-11-10T09:30:00Z'],
+        ['0 0 1 * *', '2025-12-15T00:00:00Z', '2026-01-01T00:00:00Z'],
+        ['0 12 * * 7', '2025-11-03T00:00:00Z', '2025-11-09T12:00:00Z'],
+        // Day of month and day of week both restricted: either matches.
+        ['0 0 13 * 5', '2025-11-01T00:00:00Z', '2025-11-07T00:00:00Z']
+    ];
+    for (const [spec, from, expected] of cases) {
+        assert.equal(new Date(nextRunTime(parseSchedule(spec), at(from))).toISOString(), new Date(at(expected)).toISOString(), spec);
+    }
+
+    assert.equal(nextRunTime(parseSchedule('0 0 31 2 *'), at('2025-01-01T00:00:00Z')), null);
+    assert.equal(nextRunTime(parseSchedule('2h'), 1000), 1000 + 2 * 60 * 60 * 1000);
+});
+
+test('the scheduler runs on its interval and reports the next run', async () => {
+    let runs = 0;
+    const scheduler = createScheduler({ schedule: parseSchedule('0.02s'), task: async () => ++runs });
+
+    assert.equal(scheduler.getStatus().nextRunAt, null);
+    scheduler.start();
+    assert.ok(Date.parse(scheduler.getStatus().nextRunAt) > Date.now() - 1000);
+    await new Promise(resolve => setTimeout(resolve, 120));
+    scheduler.stop();
+
+    const status = scheduler.getStatus();
+    assert.ok(runs >= 2, `ran ${runs} times`);
+    assert.equal(status.runs, runs);
+    assert.equal(status.lastStatus, 'completed');
+    assert.equal(status.enabled, false);
+    assert.equal(status.nextRunAt, null);
+});
+
+test('a run that comes due while the last one is going is skipped', async () => {
+    let release;
+    let started = 0;
+    const scheduler = createScheduler({
+        schedule: parseSchedule('1h'),
+        task: () => {
+            started++;
+            return new Promise(resolve => {
+                release = resolve;
+            });
+        }
+    });
+
+    const first = scheduler.runNow();
+    assert.deepEqual(await scheduler.runNow(), { skipped: true });
+    assert.equal(scheduler.getStatus().running, true);
+    release('done');
+    assert.equal(await first, 'done');
+
+    assert.equal(started, 1);
+    assert.equal(scheduler.getStatus().skipped, 1);
+    assert.equal(scheduler.getStatus().runs, 1);
+});
+
+test('failed and self-skipped runs are recorded without stopping the schedule', async () => {
+    const logged = [];
+    const outcomes = [() => Promise.reject(new Error('upstream down')), () => ({ skipped: true }), () => 'ok'];
+    const scheduler = createScheduler({ schedule: parseSchedule('1h'), task: () => outcomes.shift()(), log: message => logged.push(message) });
+
+    assert.deepEqual(await scheduler.runNow(), { error: 'upstream down' });
+    assert.equal(scheduler.getStatus().lastError, 'upstream down');
+    assert.match(logged[0], /upstream down/);
+
+    await scheduler.runNow();
+    assert.equal(scheduler.getStatus().lastStatus, 'skipped');
+
+    await scheduler.runNow();
+    assert.deepEqual(
+        [scheduler.getStatus().lastStatus, scheduler.getStatus().lastError, scheduler.getStatus().runs],
+        ['completed', null, 1]
+    );
+});
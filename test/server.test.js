@@ -0,0 +1,432 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startMockPolymarket } from './helpers/mockPolymarket.js';
+import { createGeminiStub } from './helpers/gemini.js';
+import { VALID_STRATEGY, WALLETS, WINDOW } from './helpers/fixtures.js';
+
+// The lib modules read their configuration from the environment at import
+// time, so the mock server has to be up before server.js is loaded.
+const mock = await startMockPolymarket();
+const dataDir = await mkdtemp(path.join(os.tmpdir(), 'polymarket-test-'));
+
+Object.assign(process.env, {
+    GAMMA_API_URL: mock.url,
+    DATA_API_URL: mock.url,
+    POLYMARKET_MAX_RETRIES: '0',
+    POLYMARKET_CACHE_TTL_SECONDS: '0',
+    DATA_DIR: dataDir,
+    EXPLAINER_PROVIDER: 'gemini',
+    EXPLAINER_FALLBACK: 'heuristic',
+    WATCHLIST_POLL_SECONDS: '0',
+    // Low enough that delta's six ~$11 fills count as micro-trades.
+    CLASSIFIER_MIN_TRADES: '6',
+    CLASSIFIER_MIN_TRADE_VALUE: '20',
+    // The helper below sends test-key; tiny-key is for the quota test.
+    API_KEYS: 'test-key:1000,tiny-key:1'
+});
+
+const gemini = createGeminiStub([], { fallback: VALID_STRATEGY });
+const { registerExplainer } = await import('../lib/explainers/index.js');
+const { createGeminiExplainer } = await import('../lib/explainers/gemini.js');
+registerExplainer('gemini', options => createGeminiExplainer({ ...options, ai: gemini }));
+
+const { app } = await import('../server.js');
+
+const windowQuery = `from=${WINDOW.from}&to=${WINDOW.to}`;
+const windowBody = { from: WINDOW.from, to: WINDOW.to };
+let server;
+let baseUrl;
+
+async function api(pathname, { method = 'GET', body, key = 'test-key' } = {}) {
+    const headers = body ? { 'Content-Type': 'application/json' } : {};
+    if (key) headers['X-API-Key'] = key;
+    const response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const type = response.headers.get('content-type') || '';
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: type.includes('application/json') ? await response.json() : await response.text()
+    };
+}
+
+before(async () => {
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await mock.close();
+    await rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => mock.reset());
+
+test('GET / serves the dashboard', async () => {
+    const { status, body } = await api('/');
+    assert.equal(status, 200);
+    assert.match(body, /Polymarket Strategy Analyzer/);
+});
+
+test('nothing is reported before the first run', async () => {
+    const status = await api('/api/status');
+    assert.deepEqual(status.body, {
+        isRunning: false,
+        activeJobId: null,
+        hasResults: false,
+        lastRunTime: null,
+        resultsAgeSeconds: null,
+        schedule: {
+            schedule: null, enabled: false, running: false, nextRunAt: null,
+            lastRunAt: null, lastFinishedAt: null, lastStatus: null, lastError: null, runs: 0, skipped: 0
+        },
+        statsUpdatedAt: null,
+        apiKeyRequired: true
+    });
+
+    const results = await api('/api/results');
+    assert.equal(results.body.results, null);
+    assert.equal((await api('/api/stats', { key: null })).status, 503);
+
+    const exported = await api('/api/export?format=csv');
+    assert.equal(exported.status, 404);
+});
+
+test('POST /api/run rejects invalid parameters with 400', async () => {
+    for (const query of ['window=yesterday', 'concurrency=0', 'rankBy=luck', 'minVolume=-5', 'sources=rumours', 'maxMarkets=100000', 'maxTraders=5000', 'explainer=oracle', 'tokenBudget=lots', 'consensus=maybe', `from=${WINDOW.to}&to=${WINDOW.from}`]) {
+        const { status, body } = await api(`/api/run?${query}`, { method: 'POST' });
+        assert.equal(status, 400, query);
+        assert.ok(body.error, query);
+    }
+    assert.equal(mock.requests.length, 0);
+});
+
+test('POST /api/run discovers, ranks and explains the top traders', async () => {
+    const { status, body } = await api('/api/run', { method: 'POST', body: { ...windowBody, minTrades: 1 } });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.window.from, WINDOW.from);
+    assert.equal(body.discovery.marketsSelected, 2);
+    assert.equal(body.discovery.failedRequests, 0);
+    assert.deepEqual(body.results.map(trader => [trader.walletAddress, trader.rank]),
+        [[WALLETS.alpha, 1], [WALLETS.delta, 2], [WALLETS.bravo, 3]]);
+
+    const [alpha] = body.results;
+    assert.ok(Math.abs(alpha.weeklyProfit - 51) < 1e-9);
+    assert.equal(alpha.tradeCount, 5);
+    assert.equal(alpha.strategyProvider, 'gemini');
+    assert.equal(alpha.strategy, VALID_STRATEGY.summary);
+    assert.equal(alpha.strategyProfile.archetype, VALID_STRATEGY.archetype);
+    assert.equal(alpha.classification.flagged, false);
+    assert.deepEqual(alpha.categoryBreakdown.map(category => category.category), ['Economics', 'Sports']);
+    assert.ok(alpha.topTrades.every(trade => trade.category && trade.marketStatus === 'open'));
+    assert.equal(body.results[1].classification.flagged, true);
+    assert.equal(body.aiUsage.calls, 3);
+    assert.equal(body.aiUsage.totalTokens, 4500);
+    assert.ok(body.runId);
+    assert.deepEqual(Object.keys(body.timings.phases), ['discovery', 'profits', 'strategies', 'save']);
+    assert.ok(body.timings.totalMs >= body.timings.phases.profits);
+    assert.equal(body.timings.concurrency, 5);
+    assert.deepEqual(body.consensus.shared.map(entry => [entry.market, entry.outcome, entry.direction, entry.traders.map(trader => trader.name)]), [
+        ['Will the Fed cut rates in December?', 'Yes', 'buying', ['alpha', 'delta']],
+        ['Will Arsenal win the Premier League?', 'Yes', 'buying', ['delta', 'bravo']]
+    ]);
+    assert.ok(body.consensus.shared[0].supportingTrades.every(trade => trade.market === 'Will the Fed cut rates in December?' && trade.walletAddress));
+    assert.deepEqual(body.consensus.disagreements.map(entry => entry.stances.map(stance => [stance.name, stance.direction, stance.outcome])), [
+        [['alpha', 'buying', 'No'], ['delta', 'buying', 'Yes'], ['bravo', 'buying', 'Yes']]
+    ]);
+
+    const results = await api('/api/results');
+    assert.deepEqual(results.body.results, body.results);
+    assert.deepEqual(results.body.consensus, body.consensus);
+    assert.equal(results.body.aiUsage.calls, 3);
+
+    const runStatus = await api('/api/status');
+    assert.equal(runStatus.body.hasResults, true);
+    assert.ok(runStatus.body.resultsAgeSeconds >= 0 && runStatus.body.resultsAgeSeconds < 60);
+
+    const runs = await api('/api/runs');
+    assert.equal(runs.body.runs[0].id, body.runId);
+    assert.equal((await api('/api/runs?limit=1')).body.runs.length, 1);
+    for (const query of ['limit=0', 'limit=-1', 'limit=101', 'limit=ten', 'offset=-5']) {
+        assert.equal((await api(`/api/runs?${query}`)).status, 400, query);
+    }
+
+    const run = await api(`/api/runs/${body.runId}`);
+    assert.equal(run.status, 200);
+    assert.equal(run.body.results.length, 3);
+    assert.deepEqual(run.body.consensus, body.consensus);
+});
+
+test('POST /api/run applies the ranking options', async () => {
+    const { body } = await api('/api/run', {
+        method: 'POST',
+        body: { ...windowBody, minTrades: 1, rankBy: 'drawdown', limit: 2, explainer: 'heuristic', consensus: false }
+    });
+
+    assert.equal(body.results.length, 2);
+    assert.deepEqual(body.ranking, { rankBy: 'drawdown', minTrades: 1, minCapital: 0, limit: 2, flagged: 'include' });
+    assert.ok(body.results.every(trader => trader.strategyProvider === 'heuristic'));
+    assert.equal(body.consensus, null);
+});
+
+test('POST /api/run can exclude flagged wallets or rank them separately', async () => {
+    const excluded = await api(`/api/run?${windowQuery}&minTrades=1&flagged=exclude&explainer=heuristic`, { method: 'POST' });
+    assert.deepEqual(excluded.body.results.map(trader => trader.walletAddress), [WALLETS.alpha, WALLETS.bravo]);
+    assert.deepEqual(excluded.body.flaggedResults, []);
+
+    const { body } = await api(`/api/run?${windowQuery}&minTrades=1&flagged=separate&explainer=heuristic`, { method: 'POST' });
+    assert.equal(body.results.length, 2);
+    assert.deepEqual(body.flaggedResults.map(trader => [trader.walletAddress, trader.rank]), [[WALLETS.delta, 1]]);
+    assert.deepEqual(body.flaggedResults[0].classification.labels, ['micro-trades']);
+    assert.equal(body.flaggedResults[0].strategyProvider, 'heuristic');
+
+    const results = await api('/api/results');
+    assert.equal(results.body.flaggedResults.length, 1);
+    const markdown = await api('/api/export?format=md');
+    assert.match(markdown.body, /## Flagged Wallets/);
+
+    const csv = (await api('/api/export?format=csv')).body.trim().split('\n');
+    const flaggedColumn = csv[0].split(',').indexOf('flagged');
+    assert.ok(flaggedColumn > 0);
+    assert.equal(csv.length, 1 + body.results.length + 1);
+    assert.match(csv[csv.length - 1], new RegExp(`^1,delta,${WALLETS.delta},`));
+    assert.deepEqual(csv.slice(1).map(line => line.split(',')[flaggedColumn]), [...body.results.map(() => 'false'), 'true']);
+    // Flagged wallets export their full trade list, like the ranked ones.
+    const trades = (await api('/api/export?format=csv&rows=trades')).body.trim().split('\n');
+    assert.equal(trades.filter(line => line.startsWith(`1,delta,${WALLETS.delta},true,`)).length, 6);
+
+    assert.equal((await api('/api/run?flagged=hide', { method: 'POST' })).status, 400);
+});
+
+test('POST /api/run reports an error when discovery finds nobody', async () => {
+    mock.route('/markets', () => ({ body: [] }));
+
+    const { status, body } = await api('/api/run', { method: 'POST', body: windowBody });
+    assert.equal(status, 200);
+    assert.equal(body.error, 'No active traders found');
+});
+
+test('POST /api/jobs runs the analysis in the background', async () => {
+    const started = await api('/api/jobs', { method: 'POST', body: { from: WINDOW.from, to: WINDOW.to, minTrades: 1, explainer: 'heuristic' } });
+    assert.equal(started.status, 202);
+    assert.equal(started.body.eventsUrl, `/api/jobs/${started.body.id}/events`);
+
+    let job = started.body;
+    for (let i = 0; i < 100 && (job.status === 'queued' || job.status === 'running'); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        job = (await api(`/api/jobs/${job.id}`)).body;
+    }
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.results.length, 3);
+
+    const list = await api('/api/jobs');
+    assert.ok(list.body.jobs.some(entry => entry.id === job.id && entry.result === undefined));
+
+    assert.equal((await api('/api/jobs/missing')).status, 404);
+    assert.equal((await api('/api/jobs/missing', { method: 'DELETE' })).status, 404);
+});
+
+test('GET /api/results/:wallet returns the trade table and PnL curve on demand', async () => {
+    const { status, body } = await api(`/api/results/${WALLETS.alpha.toUpperCase().replace('0X', '0x')}`, { key: null });
+
+    assert.equal(status, 200);
+    assert.equal(body.walletAddress, WALLETS.alpha);
+    assert.equal(body.rank, 1);
+    assert.equal(body.trades.length, 5);
+    assert.ok(body.trades.every((trade, i) => i === 0 || trade.timestamp <= body.trades[i - 1].timestamp));
+
+    const curve = body.pnlCurve;
+    assert.deepEqual(curve[0], { timestamp: WINDOW.from, pnl: 0 });
+    assert.ok(Math.abs(curve[curve.length - 1].pnl - 51) < 1e-9);
+    assert.ok(Math.abs(body.markets.reduce((sum, market) => sum + market.totalPnl, 0) - 51) < 1e-9);
+    assert.equal(body.markets.reduce((sum, market) => sum + market.tradeCount, 0), 5);
+
+    // The ranked results stay light.
+    assert.equal((await api('/api/results')).body.results[0].trades, undefined);
+    assert.equal((await api(`/api/results/${WALLETS.charlie}`)).status, 404);
+    assert.equal(mock.requests.length, 0);
+});
+
+test('GET /api/export renders the latest run', async () => {
+    const csv = await api('/api/export?format=csv');
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /^attachment; filename="polymarket-report-\d{4}-\d{2}-\d{2}\.csv"$/);
+    const lines = csv.body.trim().split('\n');
+    assert.match(lines[0], /^rank,name,wallet,total_pnl/);
+    assert.equal(lines.length, 4);
+    // delta is flagged but ranked with the others here.
+    const flaggedColumn = lines[0].split(',').indexOf('flagged');
+    assert.deepEqual(lines.slice(1).map(line => line.split(',')[flaggedColumn]), ['false', 'true', 'false']);
+
+    const trades = await api('/api/export?format=csv&rows=trades');
+    assert.equal(trades.body.trim().split('\n').length, 1 + 5 + 6 + 3);
+
+    const markdown = await api('/api/export?format=md');
+    assert.match(markdown.body, /^# Polymarket Top Traders Report/);
+    assert.match(markdown.body, /^### 2 traders buying Yes · Will the Fed cut rates in December\?$/m);
+
+    assert.equal((await api('/api/export?format=xml')).status, 400);
+    assert.equal((await api('/api/export?format=json&runId=00000000-0000-0000-0000-000000000000')).status, 404);
+});
+
+test('POST /api/markets lists where the ranked wallets agree and disagree', async () => {
+    const { status, body } = await api('/api/markets', { method: 'POST', body: { limit: 1 } });
+
+    assert.equal(status, 200);
+    assert.equal(body.wallets.length, 3);
+    assert.deepEqual(body.agree.map(entry => entry.consensusOutcome), ['Yes']);
+    assert.deepEqual(body.disagree.map(entry => entry.market), ['Will Arsenal win the Premier League?']);
+    assert.equal((await api('/api/markets?limit=0', { method: 'POST' })).status, 400);
+});
+
+test('POST /api/markets/:conditionId breaks down one market', async () => {
+    const { status, body } = await api(`/api/markets/${mock.fixtures.markets[0].conditionId}`, { method: 'POST' });
+    assert.equal(status, 200);
+    assert.equal(body.consensus.outcome, 'Yes');
+    assert.equal(body.wallets[0].walletAddress, WALLETS.alpha);
+    assert.equal(body.wallets[0].rank, 1);
+
+    assert.equal((await api('/api/markets/0x1234', { method: 'POST' })).status, 400);
+    assert.equal((await api(`/api/markets/0x${'ab'.repeat(32)}`, { method: 'POST' })).status, 404);
+
+    mock.route('/markets', () => ({ status: 500, body: {} }));
+    assert.equal((await api(`/api/markets/${mock.fixtures.markets[0].conditionId}`, { method: 'POST' })).status, 502);
+});
+
+test('POST /api/trader/:wallet returns a single-wallet deep dive', async () => {
+    const { status, body } = await api(`/api/trader/${WALLETS.bravo}`, { method: 'POST', body: { ...windowBody, explainer: 'heuristic' } });
+
+    assert.equal(status, 200);
+    assert.equal(body.walletAddress, WALLETS.bravo);
+    assert.equal(body.tradeCount, 3);
+    assert.ok(Math.abs(body.profit + 31) < 1e-9);
+    assert.equal(body.trades.length, 3);
+    assert.equal(body.strategyProvider, 'heuristic');
+    assert.equal(body.aiUsage.calls, 0);
+});
+
+test('POST /api/trader/:wallet validates the wallet and surfaces upstream errors', async () => {
+    assert.equal((await api('/api/trader/not-a-wallet', { method: 'POST' })).status, 400);
+
+    mock.route('/trades', () => ({ status: 500, body: {} }));
+    const { status, body } = await api(`/api/trader/${WALLETS.alpha}?${windowQuery}`, { method: 'POST' });
+    assert.equal(status, 502);
+    assert.match(body.error, /status: 500/);
+});
+
+test('POST /api/trader/:wallet/ask answers follow-ups from the session trades', async () => {
+    gemini.reply({ answer: 'They sold the Fed YES position into the rally.', citations: ['T1', 'T42'] });
+    const first = await api(`/api/trader/${WALLETS.alpha}/ask`, { method: 'POST', body: { question: 'Why did they sell the Fed market?' } });
+
+    assert.equal(first.status, 200);
+    assert.equal(first.body.provider, 'gemini');
+    assert.equal(first.body.window.from, WINDOW.from);
+    assert.deepEqual(first.body.citations.map(trade => trade.id), ['T1']);
+    assert.ok(first.body.citations[0].market && first.body.citations[0].timestamp);
+    assert.equal(first.body.turns, 1);
+    assert.equal(first.body.aiUsage.calls, 1);
+    // Alpha was in the latest run, so its trades weren't refetched.
+    assert.equal(mock.requests.length, 0);
+
+    const followUp = await api(`/api/trader/${WALLETS.alpha}/ask`, {
+        method: 'POST',
+        body: { question: 'And what did they pay for Arsenal?', sessionId: first.body.sessionId, explainer: 'heuristic' }
+    });
+    assert.equal(followUp.body.sessionId, first.body.sessionId);
+    assert.equal(followUp.body.turns, 2);
+    assert.equal(followUp.body.provider, 'heuristic');
+    assert.ok(followUp.body.citations.every(trade => /Arsenal/.test(trade.market)));
+
+    // Other wallets and windows are fetched for a new session.
+    const fetched = await api(`/api/trader/${WALLETS.charlie}/ask`, { method: 'POST', body: { ...windowBody, question: 'What did they buy?', sessionId: first.body.sessionId } });
+    assert.notEqual(fetched.body.sessionId, first.body.sessionId);
+    assert.ok(mock.requests.length > 0);
+
+    assert.equal((await api(`/api/trader/${WALLETS.alpha}/ask`, { method: 'POST', body: { question: ' ' } })).status, 400);
+    mock.route('/trades', () => ({ status: 500, body: {} }));
+    assert.equal((await api(`/api/trader/${WALLETS.bravo}/ask`, { method: 'POST', body: { ...windowBody, question: 'Why?' } })).status, 502);
+});
+
+test('POST /api/backtest mirrors a wallet over the window', async () => {
+    const { status, body } = await api('/api/backtest', {
+        method: 'POST',
+        body: { wallets: [WALLETS.alpha], from: WINDOW.from, to: WINDOW.to, slippageBps: 0 }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.leaderTrades, 5);
+    assert.equal(body.startingBankroll, 1000);
+
+    const invalid = await api('/api/backtest', { method: 'POST', body: { wallets: [WALLETS.alpha], sizing: 'martingale' } });
+    assert.equal(invalid.status, 400);
+});
+
+test('watchlist routes add, list and remove wallets', async () => {
+    const added = await api('/api/watchlist', { method: 'POST', body: { wallet: WALLETS.delta, label: 'delta', filters: { sides: ['buy'] } } });
+    assert.equal(added.status, 201);
+    assert.deepEqual(added.body.filters.sides, ['BUY']);
+
+    assert.equal((await api('/api/watchlist', { method: 'POST', body: { wallet: WALLETS.delta } })).status, 200);
+    assert.equal((await api('/api/watchlist', { method: 'POST', body: { wallet: 'nope' } })).status, 400);
+    assert.equal((await api('/api/watchlist', { method: 'POST', body: { wallet: WALLETS.delta, webhooks: ['http://169.254.169.254/latest/meta-data'] } })).status, 400);
+
+    const list = await api('/api/watchlist');
+    assert.deepEqual(list.body.wallets.map(entry => entry.walletAddress), [WALLETS.delta]);
+
+    const poll = await api('/api/watchlist/poll', { method: 'POST' });
+    assert.equal(poll.body.alerts, 0);
+
+    assert.equal((await api(`/api/watchlist/${WALLETS.delta}`, { method: 'DELETE' })).status, 200);
+    assert.equal((await api(`/api/watchlist/${WALLETS.delta}`, { method: 'DELETE' })).status, 404);
+});
+
+test('GET /api/stats totals the active markets', async () => {
+    const { body } = await api('/api/stats');
+
+    assert.equal(body.totalMarkets, 3);
+    assert.equal(body.activeMarkets, 3);
+    assert.equal(body.totalVolume, 2500000.5 + 1800000 + 50000);
+    assert.ok((await api('/api/status')).body.statsUpdatedAt);
+});
+
+test('expensive endpoints need an API key and enforce its quota', async () => {
+    const gone = await api('/api/run');
+    assert.equal(gone.status, 405);
+    assert.equal(gone.headers.get('allow'), 'POST');
+
+    const anonymous = await api('/api/run', { method: 'POST', body: windowBody, key: null });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.error, 'API key required');
+    assert.equal((await api('/api/jobs', { method: 'POST', key: 'wrong' })).status, 401);
+    assert.equal((await api(`/api/watchlist/${WALLETS.delta}`, { method: 'DELETE', key: null })).status, 401);
+    assert.equal((await api('/api/markets')).status, 405);
+    assert.equal((await api('/api/markets', { method: 'POST', key: null })).status, 401);
+    assert.equal((await api(`/api/markets/${mock.fixtures.markets[0].conditionId}`, { method: 'POST', key: null })).status, 401);
+
+    // Read-only endpoints stay open.
+    assert.equal((await api('/api/results', { key: null })).status, 200);
+    assert.equal((await api('/api/stats', { key: null })).status, 200);
+
+    // Requests that fail validation still count.
+    const first = await api('/api/trader/not-a-wallet', { method: 'POST', key: 'tiny-key' });
+    assert.equal(first.status, 400);
+    assert.equal(first.headers.get('ratelimit-remaining'), '0');
+
+    const limited = await api(`/api/trader/${WALLETS.bravo}`, { method: 'POST', body: windowBody, key: 'tiny-key' });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.match(limited.body.error, /Rate limit exceeded/);
+    assert.equal(mock.requests.length, 0);
+});
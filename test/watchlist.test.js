@@ -0,0 +1,141 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createWatchlist, isWebhookAllowed, parseWatchEntry, WatchlistError } from '../lib/watchlist.js';
+import { createAlertPoller, fillKey, isPublicAddress, matchesFilters, publicLookup } from '../lib/alerts.js';
+import { WALLETS } from './helpers/fixtures.js';
+
+const OPS_HOOK = 'https://ops.example.com/hook';
+const allowlist = { webhooks: [OPS_HOOK], hosts: ['hooks.example.com', '*.alerts.example.org'] };
+
+let dir;
+
+before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'watchlist-'));
+});
+
+after(() => rm(dir, { recursive: true, force: true }));
+
+function fill(tx, timestamp, { side = 'BUY', size = 100, price = 0.5, conditionId = '0xfed', slug = 'fed-cut' } = {}) {
+    return { transactionHash: tx, conditionId, slug, outcomeIndex: 0, outcome: 'Yes', title: 'Fed cut?', side, size, price, timestamp };
+}
+
+// Trades come back newest first, whatever `since` is; the poller does the filtering.
+function fakeClient(trades) {
+    return {
+        async getTradesSince() {
+            return [...trades].sort((a, b) => b.timestamp - a.timestamp);
+        }
+    };
+}
+
+function fakeFetch({ failing = [] } = {}) {
+    const posts = [];
+    async function fetchImpl(url, options) {
+        posts.push({ url, agent: options.agent, body: JSON.parse(options.body) });
+        return { ok: !failing.includes(url), status: failing.includes(url) ? 500 : 200 };
+    }
+    return { fetchImpl, posts };
+}
+
+test('isWebhookAllowed accepts operator URLs and allowlisted hosts only', () => {
+    assert.equal(isWebhookAllowed(OPS_HOOK, allowlist), true);
+    assert.equal(isWebhookAllowed('https://hooks.example.com/x', allowlist), true);
+    assert.equal(isWebhookAllowed('https://team.alerts.example.org/x', allowlist), true);
+    assert.equal(isWebhookAllowed('https://alerts.example.org.evil.test/x', allowlist), false);
+    assert.equal(isWebhookAllowed('http://169.254.169.254/latest/meta-data', allowlist), false);
+    assert.equal(isWebhookAllowed('https://hooks.example.com/x', { webhooks: [], hosts: [] }), false);
+});
+
+test('parseWatchEntry validates filters and rejects webhooks outside the allowlist', () => {
+    const entry = parseWatchEntry({ wallet: WALLETS.alpha, webhooks: 'https://hooks.example.com/a', filters: { minValue: '25', sides: ['buy'], markets: 'Fed-Cut' } }, allowlist);
+    assert.deepEqual(entry.webhooks, ['https://hooks.example.com/a']);
+    assert.deepEqual(entry.filters, { minValue: 25, markets: ['fed-cut'], sides: ['BUY'] });
+
+    assert.throws(() => parseWatchEntry({ wallet: WALLETS.alpha, webhooks: ['http://127.0.0.1:8080/'] }, allowlist), /Webhook host not allowed: 127\.0\.0\.1:8080/);
+    assert.throws(() => parseWatchEntry({ wallet: WALLETS.alpha, webhooks: ['ftp://hooks.example.com/'] }, allowlist), WatchlistError);
+    assert.throws(() => parseWatchEntry({ wallet: WALLETS.alpha, filters: { sides: ['HOLD'] } }), WatchlistError);
+    assert.throws(() => parseWatchEntry({ wallet: WALLETS.alpha, filters: { minValue: -1 } }), WatchlistError);
+});
+
+test('matchesFilters checks value, side and market ids or slugs', () => {
+    const trade = fill('0x1', 100);
+    assert.equal(matchesFilters(trade, {}), true);
+    assert.equal(matchesFilters(trade, { minValue: 50 }), true);
+    assert.equal(matchesFilters(trade, { minValue: 51 }), false);
+    assert.equal(matchesFilters(trade, { sides: ['SELL'] }), false);
+    assert.equal(matchesFilters(trade, { markets: ['fed-cut'] }), true);
+    assert.equal(matchesFilters(trade, { markets: ['0xfed'] }), true);
+    assert.equal(matchesFilters(trade, { markets: ['other'] }), false);
+});
+
+test('webhook addresses must be public', async () => {
+    assert.equal(isPublicAddress('8.8.8.8'), true);
+    assert.equal(isPublicAddress('2606:4700::1111'), true);
+    for (const address of ['127.0.0.1', '10.0.0.5', '172.20.1.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:169.254.169.254']) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+
+    const error = await new Promise(resolve => publicLookup('localhost', {}, resolve));
+    assert.match(error.message, /localhost resolves to non-public address/);
+});
+
+test('the poller alerts each new fill once, across polls and failed deliveries', async () => {
+    const watchlist = createWatchlist(path.join(dir, 'alerts.json'), { allowlist });
+    await watchlist.add({ wallet: WALLETS.alpha, label: 'alpha', webhooks: ['https://hooks.example.com/a'], filters: { minValue: 10 } });
+
+    const trades = [fill('0x1', 100)];
+    const { fetchImpl, posts } = fakeFetch({ failing: ['https://hooks.example.com/a'] });
+    const poller = createAlertPoller({ watchlist, client: fakeClient(trades), webhooks: [OPS_HOOK], webhookHosts: allowlist.hosts, fetchImpl, intervalMs: 0 });
+
+    // The first poll only records where the history ends.
+    assert.equal(await poller.pollOnce(), 0);
+    assert.equal(posts.length, 0);
+    assert.equal((await watchlist.entries())[0].cursor, 100);
+
+    // A second fill in the same second is new; the small one is filtered out.
+    trades.push(fill('0x2', 100), fill('0x3', 200, { size: 1 }), fill('0x4', 200, { side: 'SELL' }));
+    assert.equal(await poller.pollOnce(), 2);
+    assert.deepEqual(posts.map(post => [post.url, post.body.trade.transactionHash]), [
+        ['https://hooks.example.com/a', '0x2'], [OPS_HOOK, '0x2'],
+        ['https://hooks.example.com/a', '0x4'], [OPS_HOOK, '0x4']
+    ]);
+    // Only the wallet's own webhook is held to public addresses.
+    assert.ok(posts[0].agent);
+    assert.equal(posts[1].agent, undefined);
+    assert.equal(posts[1].body.label, 'alpha');
+
+    // Nothing new, and the failed deliveries are not retried.
+    assert.equal(await poller.pollOnce(), 0);
+    assert.equal(posts.length, 4);
+    assert.equal(poller.getStatus().deliveryFailures, 2);
+
+    const entry = (await watchlist.entries())[0];
+    assert.equal(entry.cursor, 200);
+    assert.deepEqual(entry.seen.slice(0, 3).sort(), [fillKey(trades[1]), fillKey(trades[2]), fillKey(trades[3])].sort());
+});
+
+test('the poller drops wallet webhooks that resolve or point to private addresses', async () => {
+    const metadata = 'http://169.254.169.254/latest/meta-data';
+    const watchlist = createWatchlist(path.join(dir, 'private.json'), { allowlist: { webhooks: [], hosts: ['169.254.169.254'] } });
+    await watchlist.add({ wallet: WALLETS.bravo, webhooks: [metadata] });
+
+    const trades = [fill('0x1', 100)];
+    const { fetchImpl, posts } = fakeFetch();
+    const poller = createAlertPoller({ watchlist, client: fakeClient(trades), webhooks: [], webhookHosts: ['169.254.169.254'], fetchImpl, intervalMs: 0 });
+
+    await poller.pollOnce();
+    trades.push(fill('0x2', 200));
+    await poller.pollOnce();
+
+    assert.equal(posts.length, 0);
+    assert.equal(poller.getStatus().deliveryFailures, 1);
+
+    // Once the host leaves the allowlist the webhook isn't called at all.
+    const strict = createAlertPoller({ watchlist, client: fakeClient([...trades, fill('0x3', 300)]), webhooks: [], webhookHosts: [], fetchImpl, intervalMs: 0 });
+    await strict.pollOnce();
+    assert.equal(strict.getStatus().deliveryFailures, 0);
+    assert.equal(posts.length, 0);
+});